@@ -40,6 +40,14 @@ export default [
       "react-refresh/only-export-components": ["warn", { allowConstantExport: true }],
     },
   },
+  {
+    files: ["scripts/**/*.mjs", "server/**/*.mjs", "test/**/*.mjs"],
+    languageOptions: {
+      globals: {
+        ...globals.node,
+      },
+    },
+  },
   {
     files: ["extension/**/*.js"],
     languageOptions: {
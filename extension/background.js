@@ -1,8 +1,121 @@
-const ITEMS_KEY = "cooldown_site_timers_v1";
-const SETTINGS_KEY = "cooldown_settings_v1";
+import {
+  BACKUP_REASON_LABELS,
+  BRIDGE_PAIRING_TTL_MS,
+  BUDGET_TRACKING_MAX_GAP_MS,
+  HISTORY_LOCK_NAME,
+  LS_BACKUPS_KEY,
+  LS_BRIDGE_KEY,
+  LS_FOCUS_KEY,
+  LS_GROUPS_KEY,
+  LS_HISTORY_KEY,
+  LS_ITEMS_REVISION_KEY,
+  LS_KEY,
+  LS_MIGRATION_BACKUP_KEY,
+  LS_OVERRIDES_KEY,
+  LS_SCHEMA_VERSION_KEY,
+  LS_SERVER_SYNC_KEY,
+  LS_SERVER_SYNC_STATE_KEY,
+  LS_SETTINGS_KEY,
+  LS_SYNC_KEY,
+  LS_SYNC_STATE_KEY,
+  LS_TRASH_KEY,
+  LS_USAGE_KEY,
+  MAX_OVERRIDE_ENTRIES,
+  MAX_VISITS_PER_SITE,
+  SITES_LOCK_NAME,
+} from "../src/lib/constants.js";
+import { addBackup, createBackup, normalizeBackups } from "../src/lib/backups.js";
+import { getFocusPhase, normalizeFocusSession } from "../src/lib/focus.js";
+import { normalizeGroups } from "../src/lib/groups.js";
+import { applyHistoryPatches, normalizeHistory } from "../src/lib/history.js";
+import { MIGRATION_READ_KEYS, planStorageMigration } from "../src/lib/migrations.js";
+import { isPatternScope, matchesException, matchesPattern } from "../src/lib/patterns.js";
+import { getDayPeriodStart, getNextDayReset, getNextScheduleChange, isWithinSchedule } from "../src/lib/schedule.js";
+import {
+  getTimerNow,
+  isPaused,
+  normalizeSettings,
+  normalizeSites,
+  normalizeTrash,
+  resumeFromPause,
+  startCooldown,
+} from "../src/lib/sites.js";
+import {
+  isServerSyncReady,
+  mergeSyncEntities,
+  normalizeServerSyncConfig,
+  normalizeServerSyncState,
+  syncWithServer,
+} from "../src/lib/sync.js";
+
+// Bundled by scripts/build-extension.mjs: the storage keys, migrators, rules, schedules and sync client come from
+// src/lib, so the worker and the app always apply the same ones.
+const SYNC_META_KEY = "sync_meta";
+const SYNC_CHUNK_PREFIX = "sync_chunk_";
+const ALLOWED_TABS_SESSION_KEY = "allowed_tabs";
+const TAB_SITES_SESSION_KEY = "tab_sites";
 const ALARM_PREFIX = "cooldown:";
+const SCHEDULE_ALARM = "schedule-change";
+const SCHEDULE_RECHECK_MS = 30 * 60 * 1000;
+const BUDGET_ALARM = "budget-tick";
+const BUDGET_TICK_MS = 60 * 1000;
+const PAUSE_ALARM = "pause-end";
+const FOCUS_ALARM = "focus-phase";
+const BACKUP_ALARM = "backup-snapshot";
+const BACKUP_INTERVAL_MINUTES = 6 * 60;
+// chrome.storage.sync allows 8 KB per item, key included, and about 100 KB in total.
+const SYNC_CHUNK_BYTES = 7800;
+const SYNC_QUOTA_BYTES = 100 * 1024;
+const SYNC_DELAY_MS = 2000;
+const SYNC_TIMER_FIELDS = ["endAt", "lastVisitedAt", "multiplier", "quotaUsed", "quotaPeriodStart"];
+const SYNC_PAUSE_FIELDS = ["pausedAt", "pauseUntil", "pauseMode"];
+const SYNC_DEVICE_FIELDS = ["notificationsOn", "soundOn"];
+const SERVER_SYNC_ALARM = "server-sync";
+const SERVER_SYNC_INTERVAL_MINUTES = 1;
+const BRIDGE_PORT_NAME = "cooldown-bridge";
+// What a paired web app may touch: usage and overrides are only recorded here, and sync, bridge and backup
+// bookkeeping stay out of reach.
+const BRIDGE_READ_KEYS = [
+  LS_KEY,
+  LS_ITEMS_REVISION_KEY,
+  LS_SETTINGS_KEY,
+  LS_HISTORY_KEY,
+  LS_USAGE_KEY,
+  LS_GROUPS_KEY,
+  LS_OVERRIDES_KEY,
+  LS_FOCUS_KEY,
+  LS_TRASH_KEY,
+  LS_BACKUPS_KEY,
+];
+// Sites, the visit history, the trash and the backups each have their own narrow message: the first two are patched
+// under a lock, and the last two exist to recover from a bad write. The rest is stored as its normalizer returns it.
+const BRIDGE_WRITE_NORMALIZERS = {
+  [LS_SETTINGS_KEY]: normalizeSettings,
+  [LS_GROUPS_KEY]: normalizeGroups,
+  [LS_FOCUS_KEY]: normalizeFocusSession,
+};
+const OVERRIDE_ALARM_PREFIX = "override:";
+const OVERRIDE_MINUTES = [5, 10, 15, 30];
 const pendingOpenUrls = new Map();
-const allowedTabs = new Map();
+// Sites a tab may show although they block, keyed by getAllowanceKey(tabId, siteId). Each entry has the time the
+// permission ends and whether it also ends when the tab leaves the site.
+const tabAllowances = new Map();
+// The site each tab was last counted on, so in-site navigations are not counted as new visits.
+const tabSites = new Map();
+let usageWrites = Promise.resolve();
+let overrideWrites = Promise.resolve();
+let backupWrites = Promise.resolve();
+let trashWrites = Promise.resolve();
+let syncRuns = Promise.resolve();
+let syncTimeoutId = null;
+let serverSyncRuns = Promise.resolve();
+let serverSyncTimeoutId = null;
+const bridgePorts = new Set();
+const tabStateRestored = restoreTabState();
+// A failed migration leaves the version as it was, so it runs again on the next start. Until then the worker reads
+// the old values, which the shared normalizers still understand, and the app reports the error when it runs the
+// same migration.
+const storageMigrated = migrateStoredState().catch((error) => console.error("Storage migration failed", error));
 
 function getAlarmName(item) {
   return `${ALARM_PREFIX}${encodeURIComponent(item.id)}:${item.endAt}`;
@@ -12,7 +125,37 @@ function isActive(item, now = Date.now()) {
   return Number.isFinite(item?.endAt) && item.endAt > now;
 }
 
+function isBlocking(item, now = Date.now()) {
+  return isActive(item, now) && isWithinSchedule(item.schedule, now);
+}
+
+function isBudgetExhausted(item, usage, now = Date.now()) {
+  return item.rule === "budget" && isWithinSchedule(item.schedule, now) && (usage.sites[item.id] || 0) >= item.budgetMs;
+}
+
+function findBlockingItem(items, usage, targetUrl, isCandidate, now = Date.now()) {
+  return items.find(
+    (item) =>
+      isCandidate(item) && (isBlocking(item, now) || isBudgetExhausted(item, usage, now)) && matchesScope(item, targetUrl),
+  );
+}
+
+function getBlockedUntil(item, settings, now = Date.now()) {
+  const until = isActive(item, now) ? item.endAt : getNextDayReset(settings.dayResetTime, now);
+  const scheduleChange = getNextScheduleChange(item.schedule, now);
+  return scheduleChange === null ? until : Math.min(until, scheduleChange.at);
+}
+
+// Exceptions keep subdomains or paths reachable, so navigation, enforcement and tracking all skip them.
 function matchesScope(item, targetUrl) {
+  if (matchesException(item.exceptions, targetUrl)) {
+    return false;
+  }
+
+  if (isPatternScope(item.scope)) {
+    return matchesPattern(item.scope, item.pattern, targetUrl);
+  }
+
   try {
     const savedUrl = new URL(item.url);
     if (item.scope === "exact") {
@@ -25,16 +168,657 @@ function matchesScope(item, targetUrl) {
   }
 }
 
-async function readState() {
-  const values = await chrome.storage.local.get([ITEMS_KEY, SETTINGS_KEY]);
+// Cooldowns frozen by a pause keep their end time, as in loadStoredItems in src/lib/storage.js.
+function toSites(value, settings, now = Date.now()) {
+  return normalizeSites(value, { now: getTimerNow(settings, now) });
+}
+
+function readUsage(value, settings, now = Date.now()) {
+  const usage = value && typeof value === "object" ? value : {};
+  const periodStart = getDayPeriodStart(settings.dayResetTime, now);
+  const samePeriod = usage.periodStart === periodStart && usage.sites && typeof usage.sites === "object";
+
+  return {
+    periodStart,
+    sites: samePeriod ? { ...usage.sites } : {},
+    tracking: usage.tracking && Array.isArray(usage.tracking.siteIds) ? usage.tracking : null,
+  };
+}
+
+// The same migration as migrateStoredState in src/lib/storage.js. Whichever of the worker and the extension page
+// starts first migrates; the version key stops the other from doing it again.
+async function migrateStoredState() {
+  const plan = planStorageMigration(await chrome.storage.local.get(MIGRATION_READ_KEYS), Date.now());
+  if (!plan) {
+    return;
+  }
+
+  if (plan.backup) {
+    await chrome.storage.local.set({ [LS_MIGRATION_BACKUP_KEY]: plan.backup });
+  }
+  if (Object.keys(plan.values).length) {
+    await withSitesLock(() => writeWithRevision(plan.values));
+  }
+  await chrome.storage.local.set({ [LS_SCHEMA_VERSION_KEY]: plan.version });
+}
+
+// Deleted sites live under their own trash key, which is never read here, so they can never block a navigation.
+// Everything is normalized as the app does, since the shared rules expect that shape.
+async function readState(now = Date.now()) {
+  await storageMigrated;
+  const values = await chrome.storage.local.get([LS_KEY, LS_SETTINGS_KEY, LS_USAGE_KEY, LS_GROUPS_KEY, LS_FOCUS_KEY]);
+  const settings = normalizeSettings(values[LS_SETTINGS_KEY]);
   return {
-    items: Array.isArray(values[ITEMS_KEY]) ? values[ITEMS_KEY] : [],
-    settings: values[SETTINGS_KEY] && typeof values[SETTINGS_KEY] === "object" ? values[SETTINGS_KEY] : {},
+    items: toSites(values[LS_KEY], settings, now),
+    settings,
+    usage: readUsage(values[LS_USAGE_KEY], settings, now),
+    groups: normalizeGroups(values[LS_GROUPS_KEY], now),
+    focusSession: normalizeFocusSession(values[LS_FOCUS_KEY], now),
+  };
+}
+
+// Mirrors updateStoredSites in src/lib/storage.js: every write to the sites holds a Web Lock shared with the
+// extension pages and bumps the revision, so a page holding older sites cannot overwrite the change.
+function withSitesLock(task) {
+  return navigator.locks.request(SITES_LOCK_NAME, task);
+}
+
+async function writeWithRevision(changes) {
+  if (!(LS_KEY in changes)) {
+    await chrome.storage.local.set(changes);
+    return;
+  }
+
+  const values = await chrome.storage.local.get(LS_ITEMS_REVISION_KEY);
+  await chrome.storage.local.set({ ...changes, [LS_ITEMS_REVISION_KEY]: (Number(values[LS_ITEMS_REVISION_KEY]) || 0) + 1 });
+}
+
+// mutate receives the current sites and returns the values to write, or null to leave everything as it is.
+function updateStoredItems(mutate) {
+  return withSitesLock(async () => {
+    const values = await chrome.storage.local.get(LS_KEY);
+    const changes = await mutate(Array.isArray(values[LS_KEY]) ? values[LS_KEY] : []);
+    if (changes) {
+      await writeWithRevision(changes);
+    }
+    return changes;
+  });
+}
+
+// For work that read the data before a slow step, such as a sync: the changes are written only if the values in
+// expected are still the stored ones. Returns whether they were.
+function writeIfUnchanged(expected, changes) {
+  return withSitesLock(async () => {
+    const current = await chrome.storage.local.get(Object.keys(expected));
+    if (Object.keys(expected).some((key) => JSON.stringify(current[key]) !== JSON.stringify(expected[key]))) {
+      return false;
+    }
+
+    await writeWithRevision(changes);
+    return true;
+  });
+}
+
+function isFocusTarget(session, item) {
+  return (
+    session.siteIds.includes(item.id) || (typeof item.groupId === "string" && session.groupIds.includes(item.groupId))
+  );
+}
+
+// isCandidate leaves out sites that may not block here, such as the ones a tab has an allowance for.
+function findBlock({ items, settings, usage, focusSession }, targetUrl, isCandidate = () => true, now = Date.now()) {
+  if (isPaused(settings, now)) {
+    return null;
+  }
+
+  // A focus session blocks its sites regardless of their own cooldowns, so it is checked first.
+  const focusPhase = getFocusPhase(focusSession, now);
+  if (focusPhase?.phase === "focus") {
+    const focusItem = items.find(
+      (item) => isCandidate(item) && isFocusTarget(focusSession, item) && matchesScope(item, targetUrl),
+    );
+    if (focusItem) {
+      return { item: focusItem, rule: "focus", until: focusPhase.endsAt };
+    }
+  }
+
+  const item = findBlockingItem(items, usage, targetUrl, isCandidate, now);
+  if (!item) {
+    return null;
+  }
+
+  return {
+    item,
+    rule: item.rule === "quota" || item.rule === "budget" ? item.rule : "cooldown",
+    until: getBlockedUntil(item, settings, now),
+  };
+}
+
+// The extension pages take the same lock to apply their own history patches, so no visit is overwritten.
+function withHistoryLock(task) {
+  return navigator.locks.request(HISTORY_LOCK_NAME, task);
+}
+
+function appendVisit(siteId, visit) {
+  return withHistoryLock(async () => {
+    const values = await chrome.storage.local.get(LS_HISTORY_KEY);
+    const history =
+      values[LS_HISTORY_KEY] && typeof values[LS_HISTORY_KEY] === "object" ? values[LS_HISTORY_KEY] : {};
+    const visits = Array.isArray(history[siteId]) ? history[siteId] : [];
+    await chrome.storage.local.set({
+      [LS_HISTORY_KEY]: {
+        ...history,
+        [siteId]: [...visits, visit].slice(-MAX_VISITS_PER_SITE),
+      },
+    });
+  }).catch(() => {
+    // A lost history entry must never block navigation handling.
+  });
+}
+
+// Also taken when a paired web app asks for one before a risky change, so it learns whether the snapshot was saved.
+function takeBackup(reason) {
+  const write = backupWrites.then(async () => {
+    await storageMigrated;
+    const values = await chrome.storage.local.get([LS_KEY, LS_SETTINGS_KEY, LS_GROUPS_KEY, LS_BACKUPS_KEY]);
+    const backups = normalizeBackups(values[LS_BACKUPS_KEY]);
+    if (!Array.isArray(values[LS_KEY])) {
+      return backups;
+    }
+
+    const snapshot = {
+      items: values[LS_KEY],
+      settings: values[LS_SETTINGS_KEY] && typeof values[LS_SETTINGS_KEY] === "object" ? values[LS_SETTINGS_KEY] : null,
+      groups: Array.isArray(values[LS_GROUPS_KEY]) ? values[LS_GROUPS_KEY] : [],
+    };
+    const nextBackups = addBackup(backups, createBackup(snapshot, reason));
+    if (nextBackups !== backups) {
+      await chrome.storage.local.set({ [LS_BACKUPS_KEY]: nextBackups });
+    }
+    return nextBackups;
+  });
+  backupWrites = write.catch(() => {});
+  return write;
+}
+
+// Trash entries from a paired web app are normalized, never replace an entry already there, and can only be added
+// or removed by id, so the page cannot rewrite what was deleted.
+function updateTrash(added, removedIds) {
+  const write = trashWrites.then(async () => {
+    const now = Date.now();
+    const removed = new Set(removedIds);
+    const values = await chrome.storage.local.get(LS_TRASH_KEY);
+    const kept = normalizeTrash(values[LS_TRASH_KEY], now).filter((entry) => !removed.has(entry.id));
+    const keptIds = new Set(kept.map((entry) => entry.id));
+    const trash = normalizeTrash([...normalizeTrash(added, now).filter((entry) => !keptIds.has(entry.id)), ...kept], now);
+    await chrome.storage.local.set({ [LS_TRASH_KEY]: trash });
+  });
+  trashWrites = write.catch(() => {});
+  return write;
+}
+
+async function ensureBackupAlarm() {
+  if (!(await chrome.alarms.get(BACKUP_ALARM))) {
+    chrome.alarms.create(BACKUP_ALARM, { delayInMinutes: 1, periodInMinutes: BACKUP_INTERVAL_MINUTES });
+  }
+}
+
+function pickFields(source, fields) {
+  return Object.fromEntries(fields.filter((field) => field in source).map((field) => [field, source[field]]));
+}
+
+function omitFields(source, fields) {
+  return Object.fromEntries(Object.entries(source).filter(([field]) => !fields.includes(field)));
+}
+
+// The favicon is rebuilt from the address on each device, so it never takes sync space.
+function toSyncSite(item, syncTimers) {
+  return omitFields(item, syncTimers ? ["favicon"] : ["favicon", ...SYNC_TIMER_FIELDS]);
+}
+
+function toSyncSettings(settings, syncTimers) {
+  return omitFields(settings, syncTimers ? SYNC_DEVICE_FIELDS : [...SYNC_DEVICE_FIELDS, ...SYNC_PAUSE_FIELDS]);
+}
+
+async function readRemoteSync() {
+  const values = await chrome.storage.sync.get(null);
+  const chunkKeys = Object.keys(values).filter((key) => key.startsWith(SYNC_CHUNK_PREFIX));
+  const meta = values[SYNC_META_KEY];
+  if (!meta || !Number.isInteger(meta.chunks)) {
+    return { payload: null, text: "", chunkKeys, complete: true };
+  }
+
+  const text = Array.from({ length: meta.chunks }, (_, index) => values[`${SYNC_CHUNK_PREFIX}${index}`] ?? "").join(
+    "",
+  );
+  // Chunks can reach this device in several batches; a partial payload waits for the rest.
+  if (text.length !== meta.length) {
+    return { payload: null, text, chunkKeys, complete: false };
+  }
+
+  try {
+    return { payload: JSON.parse(text), text, chunkKeys, complete: true };
+  } catch {
+    return { payload: null, text, chunkKeys, complete: false };
+  }
+}
+
+function splitSyncChunks(text) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    let end = Math.min(text.length, start + SYNC_CHUNK_BYTES);
+    while (encoder.encode(JSON.stringify(text.slice(start, end))).length > SYNC_CHUNK_BYTES) {
+      end = start + Math.floor((end - start) * 0.9);
+    }
+    chunks.push(text.slice(start, end));
+    start = end;
+  }
+
+  return chunks;
+}
+
+async function writeRemoteSync(text, previousChunkKeys) {
+  const chunks = splitSyncChunks(text);
+  const values = { [SYNC_META_KEY]: { chunks: chunks.length, length: text.length } };
+  chunks.forEach((chunk, index) => {
+    values[`${SYNC_CHUNK_PREFIX}${index}`] = chunk;
+  });
+
+  const totalBytes = new TextEncoder().encode(JSON.stringify(values)).length;
+  if (totalBytes > SYNC_QUOTA_BYTES) {
+    throw new Error("Los datos ocupan más de los 100 KB que permite la sincronización de Chrome.");
+  }
+
+  await chrome.storage.sync.set(values);
+  const staleKeys = previousChunkKeys.filter((key) => !(key in values));
+  if (staleKeys.length) {
+    await chrome.storage.sync.remove(staleKeys);
+  }
+}
+
+async function runSync() {
+  await storageMigrated;
+  const values = await chrome.storage.local.get([LS_KEY, LS_SETTINGS_KEY, LS_GROUPS_KEY, LS_SYNC_KEY, LS_SYNC_STATE_KEY]);
+  const preferences = values[LS_SYNC_KEY] && typeof values[LS_SYNC_KEY] === "object" ? values[LS_SYNC_KEY] : {};
+  if (preferences.enabled !== true) {
+    return;
+  }
+
+  const syncTimers = preferences.syncTimers === true;
+  const syncState = values[LS_SYNC_STATE_KEY] && typeof values[LS_SYNC_STATE_KEY] === "object" ? values[LS_SYNC_STATE_KEY] : {};
+  try {
+    const remote = await readRemoteSync();
+    if (!remote.complete) {
+      return;
+    }
+
+    const now = Date.now();
+    const payload = remote.payload ?? {};
+    const localItems = Array.isArray(values[LS_KEY]) ? values[LS_KEY] : [];
+    const localGroups = Array.isArray(values[LS_GROUPS_KEY]) ? values[LS_GROUPS_KEY] : [];
+    const localSettings = values[LS_SETTINGS_KEY] && typeof values[LS_SETTINGS_KEY] === "object" ? values[LS_SETTINGS_KEY] : {};
+    // Running timers only cross over when both ends share them; otherwise each device keeps its own.
+    const shareTimers = syncTimers && payload.timers === true;
+    const keepLocalTimers = (local, remoteSite) =>
+      shareTimers
+        ? { ...remoteSite, ...pickFields(local, ["favicon"]) }
+        : { ...remoteSite, ...pickFields(local, [...SYNC_TIMER_FIELDS, "favicon"]) };
+
+    const sites = mergeSyncEntities(
+      localItems,
+      Array.isArray(payload.items) ? payload.items : [],
+      new Set(Array.isArray(syncState.siteIds) ? syncState.siteIds : []),
+      payload.deleted?.sites ?? {},
+      now,
+      keepLocalTimers,
+    );
+    const groups = mergeSyncEntities(
+      localGroups,
+      Array.isArray(payload.groups) ? payload.groups : [],
+      new Set(Array.isArray(syncState.groupIds) ? syncState.groupIds : []),
+      payload.deleted?.groups ?? {},
+      now,
+      (local, remoteGroup) => remoteGroup,
+    );
+
+    // Settings carry no updatedAt of their own, so a local edit is detected against what was last synced. On the
+    // first sync the settings already shared by other devices win over this device's.
+    const firstSync = typeof syncState.settingsJson !== "string";
+    const settingsChangedHere =
+      !firstSync && JSON.stringify(toSyncSettings(localSettings, syncTimers)) !== syncState.settingsJson;
+    const remoteSettingsAt = Number(payload.settingsUpdatedAt) || 0;
+    const takeRemoteSettings =
+      Boolean(payload.settings) &&
+      !settingsChangedHere &&
+      remoteSettingsAt > (Number(syncState.settingsUpdatedAt) || 0);
+    const settings = takeRemoteSettings
+      ? {
+          ...localSettings,
+          ...(shareTimers ? payload.settings : omitFields(payload.settings, SYNC_PAUSE_FIELDS)),
+        }
+      : localSettings;
+    const settingsUpdatedAt =
+      takeRemoteSettings || (!settingsChangedHere && payload.settings) ? remoteSettingsAt : now;
+
+    const localChanges = {};
+    if (JSON.stringify(sites.list) !== JSON.stringify(localItems)) {
+      localChanges[LS_KEY] = sites.list;
+    }
+    if (JSON.stringify(groups.list) !== JSON.stringify(localGroups)) {
+      localChanges[LS_GROUPS_KEY] = groups.list;
+    }
+    if (takeRemoteSettings) {
+      localChanges[LS_SETTINGS_KEY] = settings;
+    }
+    // Data edited here since it was read wins; the change listener schedules another run for it.
+    if (
+      Object.keys(localChanges).length &&
+      !(await writeIfUnchanged(
+        { [LS_KEY]: values[LS_KEY], [LS_GROUPS_KEY]: values[LS_GROUPS_KEY], [LS_SETTINGS_KEY]: values[LS_SETTINGS_KEY] },
+        localChanges,
+      ))
+    ) {
+      return;
+    }
+
+    const nextPayload = {
+      version: 1,
+      timers: syncTimers,
+      settingsUpdatedAt,
+      items: sites.list.map((item) => toSyncSite(item, syncTimers)),
+      groups: groups.list,
+      settings: toSyncSettings(settings, syncTimers),
+      deleted: { sites: sites.deleted, groups: groups.deleted },
+    };
+    const nextText = JSON.stringify(nextPayload);
+    if (nextText !== remote.text) {
+      await writeRemoteSync(nextText, remote.chunkKeys);
+    }
+
+    await chrome.storage.local.set({
+      [LS_SYNC_STATE_KEY]: {
+        siteIds: sites.list.map((item) => item.id),
+        groupIds: groups.list.map((group) => group.id),
+        settingsJson: JSON.stringify(toSyncSettings(settings, syncTimers)),
+        settingsUpdatedAt,
+        lastSyncedAt: now,
+        error: null,
+      },
+    });
+  } catch (error) {
+    await chrome.storage.local.set({
+      [LS_SYNC_STATE_KEY]: { ...syncState, error: error?.message || "No se pudo sincronizar." },
+    });
+  }
+}
+
+// Bursts of local edits and chunks arriving from other devices collapse into one run.
+function scheduleSync() {
+  clearTimeout(syncTimeoutId);
+  syncTimeoutId = setTimeout(() => {
+    syncRuns = syncRuns.then(runSync).catch(() => {});
+  }, SYNC_DELAY_MS);
+}
+
+async function runServerSync() {
+  await storageMigrated;
+  const keys = [LS_KEY, LS_GROUPS_KEY, LS_SETTINGS_KEY];
+  const values = await chrome.storage.local.get([...keys, LS_SERVER_SYNC_KEY, LS_SERVER_SYNC_STATE_KEY]);
+  const config = normalizeServerSyncConfig(values[LS_SERVER_SYNC_KEY]);
+  if (!isServerSyncReady(config)) {
+    return;
+  }
+
+  const now = Date.now();
+  const syncState = normalizeServerSyncState(values[LS_SERVER_SYNC_STATE_KEY]);
+  const settings = normalizeSettings(values[LS_SETTINGS_KEY]);
+  const local = {
+    items: toSites(values[LS_KEY], settings, now),
+    groups: normalizeGroups(values[LS_GROUPS_KEY], now),
+    settings,
   };
+  try {
+    const result = await syncWithServer(config, local, syncState, {
+      now,
+      normalizeSite: (data) => toSites([data], settings, now)[0] ?? null,
+      normalizeGroup: (data) => normalizeGroups([data], now)[0] ?? null,
+    });
+    result.settings = normalizeSettings(result.settings);
+    const localChanges = { [LS_SERVER_SYNC_STATE_KEY]: result.syncState };
+    if (JSON.stringify(result.items) !== JSON.stringify(local.items)) {
+      localChanges[LS_KEY] = result.items;
+    }
+    if (JSON.stringify(result.groups) !== JSON.stringify(local.groups)) {
+      localChanges[LS_GROUPS_KEY] = result.groups;
+    }
+    if (JSON.stringify(result.settings) !== JSON.stringify(local.settings)) {
+      localChanges[LS_SETTINGS_KEY] = result.settings;
+    }
+    // Data edited while the requests were in flight wins; the change listener schedules another run for it.
+    await writeIfUnchanged(Object.fromEntries(keys.map((key) => [key, values[key]])), localChanges);
+  } catch (error) {
+    await chrome.storage.local.set({
+      [LS_SERVER_SYNC_STATE_KEY]: { ...syncState, error: error?.message || "No se pudo sincronizar." },
+    });
+  }
 }
 
-async function syncCooldownAlarms(items) {
-  const activeItems = items.filter((item) => isActive(item));
+function scheduleServerSync() {
+  clearTimeout(serverSyncTimeoutId);
+  serverSyncTimeoutId = setTimeout(() => {
+    serverSyncRuns = serverSyncRuns.then(runServerSync).catch(() => {});
+  }, SYNC_DELAY_MS);
+}
+
+async function ensureServerSyncAlarm() {
+  if (!(await chrome.alarms.get(SERVER_SYNC_ALARM))) {
+    chrome.alarms.create(SERVER_SYNC_ALARM, { periodInMinutes: SERVER_SYNC_INTERVAL_MINUTES });
+  }
+}
+
+async function readBridgeOrigins() {
+  const values = await chrome.storage.local.get(LS_BRIDGE_KEY);
+  const origins = values[LS_BRIDGE_KEY]?.origins;
+  return Array.isArray(origins) ? origins.map((entry) => entry?.origin).filter(Boolean) : [];
+}
+
+// The manifest's externally_connectable decides which origins can reach the worker at all; among those, only the
+// ones the user confirmed in the extension get at the data.
+async function requestBridgePairing(origin) {
+  const values = await chrome.storage.local.get(LS_BRIDGE_KEY);
+  const state = values[LS_BRIDGE_KEY] && typeof values[LS_BRIDGE_KEY] === "object" ? values[LS_BRIDGE_KEY] : {};
+  const pending = state.pending;
+  if (pending?.origin === origin && pending.requestedAt + BRIDGE_PAIRING_TTL_MS > Date.now()) {
+    return pending.code;
+  }
+
+  const code = String(crypto.getRandomValues(new Uint32Array(1))[0] % 1_000_000).padStart(6, "0");
+  await chrome.storage.local.set({ [LS_BRIDGE_KEY]: { ...state, pending: { origin, code, requestedAt: Date.now() } } });
+  await chrome.tabs.create({ url: chrome.runtime.getURL("index.html"), active: true });
+  return code;
+}
+
+async function handleBridgeMessage(message, origin) {
+  if (!origin) {
+    return { ok: false };
+  }
+
+  const paired = (await readBridgeOrigins()).includes(origin);
+  if (message?.type === "bridge-status") {
+    return { ok: true, paired };
+  }
+
+  if (message?.type === "bridge-pair") {
+    return paired ? { ok: true, paired } : { ok: true, paired, code: await requestBridgePairing(origin) };
+  }
+
+  if (!paired) {
+    return { ok: false, error: "Esta aplicación web no está vinculada con la extensión." };
+  }
+
+  await storageMigrated;
+  if (message?.type === "bridge-read" && Array.isArray(message.keys)) {
+    const keys = message.keys.filter((key) => BRIDGE_READ_KEYS.includes(key));
+    return { ok: true, values: await chrome.storage.local.get(keys) };
+  }
+
+  if (message?.type === "bridge-write" && message.values && typeof message.values === "object") {
+    const keys = Object.keys(message.values);
+    if (!keys.every((key) => Object.hasOwn(BRIDGE_WRITE_NORMALIZERS, key))) {
+      return { ok: false, error: "La extensión no permite modificar esos datos." };
+    }
+
+    const now = Date.now();
+    await chrome.storage.local.set(
+      Object.fromEntries(keys.map((key) => [key, BRIDGE_WRITE_NORMALIZERS[key](message.values[key], now)])),
+    );
+    return { ok: true };
+  }
+
+  if (message?.type === "bridge-update-history" && Array.isArray(message.patches)) {
+    const history = await withHistoryLock(async () => {
+      const values = await chrome.storage.local.get(LS_HISTORY_KEY);
+      const nextHistory = applyHistoryPatches(normalizeHistory(values[LS_HISTORY_KEY]), message.patches);
+      await chrome.storage.local.set({ [LS_HISTORY_KEY]: nextHistory });
+      return nextHistory;
+    });
+    return { ok: true, history };
+  }
+
+  if (message?.type === "bridge-backup") {
+    const reason = Object.hasOwn(BACKUP_REASON_LABELS, message.reason) ? message.reason : "auto";
+    return { ok: true, backups: await takeBackup(reason) };
+  }
+
+  if (message?.type === "bridge-update-trash" && Array.isArray(message.added) && Array.isArray(message.removedIds)) {
+    await updateTrash(message.added, message.removedIds);
+    return { ok: true };
+  }
+
+  // The sites go through the same normalization as every other read, so a paired page cannot store a shape the
+  // worker and the app would choke on.
+  if (message?.type === "bridge-swap-sites") {
+    if (!Number.isInteger(message.revision) || !Array.isArray(message.items)) {
+      return { ok: false, error: "La lista de sitios no es válida." };
+    }
+
+    const swapped = await withSitesLock(async () => {
+      const values = await chrome.storage.local.get([LS_ITEMS_REVISION_KEY, LS_SETTINGS_KEY]);
+      if ((Number(values[LS_ITEMS_REVISION_KEY]) || 0) !== message.revision) {
+        return false;
+      }
+
+      const items = toSites(message.items, normalizeSettings(values[LS_SETTINGS_KEY]), Date.now());
+      await writeWithRevision({ [LS_KEY]: items });
+      return true;
+    });
+    return { ok: true, swapped };
+  }
+
+  return { ok: false, error: "Petición no reconocida." };
+}
+
+async function notifyBridgePorts(changedKeys) {
+  if (!bridgePorts.size) {
+    return;
+  }
+
+  const origins = await readBridgeOrigins();
+  bridgePorts.forEach((port) => {
+    if (!origins.includes(port.sender?.origin)) {
+      bridgePorts.delete(port);
+      port.disconnect();
+    } else if (changedKeys.some((key) => BRIDGE_READ_KEYS.includes(key))) {
+      port.postMessage({ type: "bridge-changed" });
+    }
+  });
+}
+
+function appendOverride(entry) {
+  overrideWrites = overrideWrites
+    .then(async () => {
+      const values = await chrome.storage.local.get(LS_OVERRIDES_KEY);
+      const overrides = Array.isArray(values[LS_OVERRIDES_KEY]) ? values[LS_OVERRIDES_KEY] : [];
+      await chrome.storage.local.set({
+        [LS_OVERRIDES_KEY]: [...overrides, entry].slice(-MAX_OVERRIDE_ENTRIES),
+      });
+    })
+    .catch(() => {
+      // The override still applies even if its log entry cannot be written.
+    });
+
+  return overrideWrites;
+}
+
+async function getFocusedTabUrl() {
+  const focusedWindow = await chrome.windows.getLastFocused();
+  if (!focusedWindow?.focused) {
+    return null;
+  }
+
+  const [tab] = await chrome.tabs.query({ active: true, windowId: focusedWindow.id });
+  try {
+    return tab?.url ? new URL(tab.url) : null;
+  } catch {
+    return null;
+  }
+}
+
+// Focused time is flushed into chrome.storage.local on every focus change and at least once a minute, so a
+// restarted service worker loses at most the unflushed gap, which is capped to avoid counting time it missed.
+function refreshTimeTracking() {
+  usageWrites = usageWrites
+    .then(async () => {
+      const now = Date.now();
+      const state = await readState();
+      const { items, settings, usage } = state;
+      if (usage.tracking) {
+        const elapsed = Math.min(BUDGET_TRACKING_MAX_GAP_MS, Math.max(0, now - usage.tracking.startedAt));
+        usage.tracking.siteIds.forEach((siteId) => {
+          usage.sites[siteId] = (usage.sites[siteId] || 0) + elapsed;
+        });
+      }
+
+      const budgetItems = isPaused(settings, now) ? [] : items.filter((item) => item.rule === "budget");
+      const focusedUrl = budgetItems.length ? await getFocusedTabUrl() : null;
+      const trackedItems = focusedUrl
+        ? budgetItems.filter(
+            (item) =>
+              matchesScope(item, focusedUrl) &&
+              isWithinSchedule(item.schedule, now) &&
+              !isBudgetExhausted(item, usage, now),
+          )
+        : [];
+
+      usage.tracking = trackedItems.length ? { siteIds: trackedItems.map((item) => item.id), startedAt: now } : null;
+      await chrome.storage.local.set({ [LS_USAGE_KEY]: usage });
+
+      if (trackedItems.length) {
+        const remainingMs = Math.min(
+          ...trackedItems.map((item) => item.budgetMs - (usage.sites[item.id] || 0)),
+        );
+        chrome.alarms.create(BUDGET_ALARM, { when: now + Math.max(1000, Math.min(BUDGET_TICK_MS, remainingMs)) });
+      } else {
+        await chrome.alarms.clear(BUDGET_ALARM);
+      }
+
+      if (budgetItems.some((item) => isBudgetExhausted(item, usage, now))) {
+        await enforceActiveCooldowns(state);
+      }
+    })
+    .catch(() => {
+      // Tracking resumes on the next focus change or alarm.
+    });
+
+  return usageWrites;
+}
+
+async function syncCooldownAlarms(items, settings) {
+  // A freezing pause keeps cooldowns from ending, so their alarms are dropped until the pause is lifted.
+  const frozen = Number.isFinite(settings.pausedAt) && settings.pauseMode === "freeze";
+  const activeItems = frozen ? [] : items.filter((item) => isActive(item));
   const activeAlarmNames = new Set(activeItems.map(getAlarmName));
   const existingAlarms = await chrome.alarms.getAll();
 
@@ -47,11 +831,82 @@ async function syncCooldownAlarms(items) {
   activeItems.forEach((item) => {
     chrome.alarms.create(getAlarmName(item), { when: item.endAt });
   });
+
+  await syncScheduleAlarm(items);
+  await syncPauseAlarm(settings);
+}
+
+async function syncPauseAlarm(settings) {
+  if (!Number.isFinite(settings.pausedAt) || !Number.isFinite(settings.pauseUntil)) {
+    await chrome.alarms.clear(PAUSE_ALARM);
+    return;
+  }
+
+  chrome.alarms.create(PAUSE_ALARM, { when: Math.max(Date.now() + 1000, settings.pauseUntil) });
+}
+
+async function finishExpiredPause() {
+  await storageMigrated;
+  await updateStoredItems(async (items) => {
+    const now = Date.now();
+    const { settings } = await readState(now);
+    if (settings.pausedAt === null || isPaused(settings, now)) {
+      return null;
+    }
+
+    const resumed = resumeFromPause(toSites(items, settings, now), settings, now);
+    return { [LS_KEY]: resumed.items, [LS_SETTINGS_KEY]: resumed.settings };
+  });
+}
+
+// Every scheduled site counts, not only running cooldowns: a budget or quota site starts blocking when its window opens.
+async function syncScheduleAlarm(items) {
+  const now = Date.now();
+  const nextChange = items.reduce((closest, item) => {
+    const change = getNextScheduleChange(item.schedule, now)?.at ?? null;
+    return change !== null && (closest === null || change < closest) ? change : closest;
+  }, null);
+
+  if (nextChange === null) {
+    await chrome.alarms.clear(SCHEDULE_ALARM);
+    return;
+  }
+
+  // A periodic recheck keeps the alarm honest if the system time zone changes while the worker is alive.
+  chrome.alarms.create(SCHEDULE_ALARM, { when: Math.min(nextChange, now + SCHEDULE_RECHECK_MS) });
 }
 
 async function syncStoredCooldownAlarms() {
-  const { items } = await readState();
-  await syncCooldownAlarms(items);
+  const { items, settings, focusSession } = await readState();
+  await syncCooldownAlarms(items, settings);
+  await syncFocusAlarm(focusSession);
+}
+
+// readState leaves out ended and malformed sessions, so without a session whatever is stored goes too.
+async function syncFocusAlarm(session) {
+  const now = Date.now();
+  if (!session) {
+    await chrome.alarms.clear(FOCUS_ALARM);
+    await chrome.storage.local.remove(LS_FOCUS_KEY);
+    return;
+  }
+
+  const phase = getFocusPhase(session, now);
+  chrome.alarms.create(FOCUS_ALARM, { when: phase ? phase.endsAt : session.startedAt });
+}
+
+async function showFocusNotification(settings, message) {
+  if (!settings.notificationsOn) {
+    return;
+  }
+
+  await chrome.notifications.create(`focus-phase:${Date.now()}`, {
+    type: "basic",
+    iconUrl: chrome.runtime.getURL("favicon.ico"),
+    title: "Sesión de enfoque",
+    message,
+    priority: 1,
+  });
 }
 
 async function showReadyNotification(item, settings) {
@@ -68,53 +923,144 @@ async function showReadyNotification(item, settings) {
   });
 }
 
-function allowNextNavigation(url) {
-  const expiresAt = Date.now() + 10_000;
-  pendingOpenUrls.set(url, expiresAt);
-  return expiresAt;
+function getAllowanceKey(tabId, siteId) {
+  return `${tabId}:${siteId}`;
 }
 
-function isAllowedNavigation(details, targetUrl) {
-  const allowedUntil = allowedTabs.get(details.tabId);
-  if (allowedUntil && allowedUntil > Date.now()) {
-    return true;
+// Overrides outlive the service worker, so allowances are mirrored to session storage and restored on wake-up.
+// Allowances and the site each tab is on live in session storage, since the service worker can stop between
+// navigations of the same tab.
+async function restoreTabState() {
+  try {
+    const values = await chrome.storage.session.get([ALLOWED_TABS_SESSION_KEY, TAB_SITES_SESSION_KEY]);
+    const now = Date.now();
+    Object.entries(values[ALLOWED_TABS_SESSION_KEY] || {}).forEach(([key, allowance]) => {
+      // Older entries were keyed by the tab alone and covered every site; they are dropped.
+      if (key.includes(":") && Number(allowance?.until) > now && !tabAllowances.has(key)) {
+        tabAllowances.set(key, { until: Number(allowance.until), untilLeave: allowance.untilLeave === true });
+      }
+    });
+    Object.entries(values[TAB_SITES_SESSION_KEY] || {}).forEach(([tabId, siteId]) => {
+      if (typeof siteId === "string" && !tabSites.has(Number(tabId))) {
+        tabSites.set(Number(tabId), siteId);
+      }
+    });
+  } catch {
+    // Without session storage, overrides and the sites of open tabs only last while the service worker stays alive.
   }
+}
 
-  if (allowedUntil) {
-    allowedTabs.delete(details.tabId);
+async function persistTabAllowances() {
+  const now = Date.now();
+  const entries = [...tabAllowances].filter(([, allowance]) => allowance.until > now);
+  try {
+    await chrome.storage.session.set({ [ALLOWED_TABS_SESSION_KEY]: Object.fromEntries(entries) });
+  } catch {
+    // See restoreTabState.
   }
+}
 
-  const pendingUntil = pendingOpenUrls.get(targetUrl.href);
-  if (!pendingUntil) {
-    return false;
+// siteId null forgets the tab's site.
+function setTabSite(tabId, siteId) {
+  if (siteId === null ? !tabSites.has(tabId) : tabSites.get(tabId) === siteId) {
+    return;
   }
 
-  pendingOpenUrls.delete(targetUrl.href);
-  return pendingUntil > Date.now();
+  if (siteId === null) {
+    tabSites.delete(tabId);
+  } else {
+    tabSites.set(tabId, siteId);
+  }
+  void persistTabSites();
 }
 
-function isAllowedTab(tabId) {
+async function persistTabSites() {
+  try {
+    await chrome.storage.session.set({ [TAB_SITES_SESSION_KEY]: Object.fromEntries(tabSites) });
+  } catch {
+    // See restoreTabState.
+  }
+}
+
+function allowSiteInTab(tabId, siteId, until, untilLeave = false) {
+  tabAllowances.set(getAllowanceKey(tabId, siteId), { until, untilLeave });
+}
+
+function isSiteAllowedInTab(tabId, siteId, now = Date.now()) {
   if (typeof tabId !== "number") {
     return false;
   }
 
-  const allowedUntil = allowedTabs.get(tabId);
-  if (!allowedUntil) {
+  const key = getAllowanceKey(tabId, siteId);
+  const allowance = tabAllowances.get(key);
+  if (!allowance) {
     return false;
   }
 
-  if (allowedUntil > Date.now()) {
+  if (allowance.until > now) {
     return true;
   }
 
-  allowedTabs.delete(tabId);
+  tabAllowances.delete(key);
   return false;
 }
 
-async function redirectBlockedTab(tabId, blockingItem, targetUrl) {
+function forgetTabAllowances(tabId) {
+  const prefix = getAllowanceKey(tabId, "");
+  let removed = false;
+  [...tabAllowances.keys()].forEach((key) => {
+    if (key.startsWith(prefix)) {
+      tabAllowances.delete(key);
+      removed = true;
+    }
+  });
+  return removed;
+}
+
+// Called for every page a tab opens, before it is checked.
+function forgetSitesLeftBehind(tabId, items, targetUrl) {
+  const prefix = getAllowanceKey(tabId, "");
+  let removed = false;
+  tabAllowances.forEach((allowance, key) => {
+    if (!key.startsWith(prefix) || !allowance.untilLeave) {
+      return;
+    }
+
+    const site = items.find((item) => item.id === key.slice(prefix.length));
+    if (!site || !matchesScope(site, targetUrl)) {
+      tabAllowances.delete(key);
+      removed = true;
+    }
+  });
+  return removed;
+}
+
+function allowNextNavigation(url, siteId) {
+  const expiresAt = Date.now() + 10_000;
+  pendingOpenUrls.set(url, { siteId, expiresAt });
+  return expiresAt;
+}
+
+// A site the app just opened may load in the new tab before tabs.create has told us the tab's id.
+function claimPendingOpen(tabId, targetUrl) {
+  const pending = pendingOpenUrls.get(targetUrl.href);
+  if (!pending) {
+    return;
+  }
+
+  pendingOpenUrls.delete(targetUrl.href);
+  if (pending.expiresAt > Date.now()) {
+    allowSiteInTab(tabId, pending.siteId, pending.expiresAt);
+  }
+}
+
+async function redirectBlockedTab(tabId, block, targetUrl) {
   const params = new URLSearchParams({
-    label: blockingItem.label || targetUrl.hostname,
-    endAt: String(blockingItem.endAt),
+    siteId: block.item.id,
+    url: targetUrl.href,
+    label: block.item.label || targetUrl.hostname,
+    rule: block.rule,
+    endAt: String(block.until),
   });
 
   await chrome.tabs.update(tabId, {
@@ -122,16 +1068,22 @@ async function redirectBlockedTab(tabId, blockingItem, targetUrl) {
   });
 }
 
-async function enforceActiveCooldowns(items) {
-  const activeItems = items.filter((item) => isActive(item));
-  if (!activeItems.length) {
+async function enforceActiveCooldowns(state) {
+  const { items, settings, usage, focusSession } = state;
+  if (isPaused(settings)) {
+    return;
+  }
+
+  await tabStateRestored;
+  const focusActive = getFocusPhase(focusSession)?.phase === "focus";
+  if (!focusActive && !items.some((item) => isBlocking(item) || isBudgetExhausted(item, usage))) {
     return;
   }
 
   const tabs = await chrome.tabs.query({});
   await Promise.all(
     tabs.map(async (tab) => {
-      if (typeof tab.id !== "number" || !tab.url || isAllowedTab(tab.id)) {
+      if (typeof tab.id !== "number" || !tab.url) {
         return;
       }
 
@@ -146,43 +1098,94 @@ async function enforceActiveCooldowns(items) {
         return;
       }
 
-      const blockingItem = activeItems.find((item) => matchesScope(item, targetUrl));
-      if (blockingItem) {
-        await redirectBlockedTab(tab.id, blockingItem, targetUrl);
+      const block = findBlock(state, targetUrl, (item) => !isSiteAllowedInTab(tab.id, item.id));
+      if (block) {
+        await redirectBlockedTab(tab.id, block, targetUrl);
       }
     }),
   );
 }
 
 async function openSiteFromApp(siteId) {
-  const { items } = await readState();
-  const site = items.find((item) => item.id === siteId);
+  const now = Date.now();
+  const { settings, groups } = await readState(now);
+  let site = null;
+  let wasActive = false;
+  await updateStoredItems((storedItems) => {
+    const items = toSites(storedItems, settings, now);
+    site = items.find((item) => item.id === siteId) ?? null;
+    if (!site) {
+      return null;
+    }
+
+    wasActive = isBlocking(site, now);
+    return { [LS_KEY]: startCooldown(items, site.id, now, { groups, dayResetTime: settings.dayResetTime }) };
+  });
   if (!site) {
     throw new Error("El sitio ya no existe.");
   }
 
-  const now = Date.now();
-  const nextItems = items.map((item) =>
-    item.id === site.id
-      ? {
-          ...item,
-          lastVisitedAt: now,
-          endAt: now + item.durationMs,
-          updatedAt: now,
-        }
-      : item,
-  );
-
   const targetUrl = new URL(site.url).href;
-  const expiresAt = allowNextNavigation(targetUrl);
-  await chrome.storage.local.set({ [ITEMS_KEY]: nextItems });
+  const expiresAt = allowNextNavigation(targetUrl, site.id);
+  await appendVisit(site.id, { at: now, source: "app", blocked: wasActive });
   const tab = await chrome.tabs.create({ url: site.url, active: true });
   if (typeof tab.id === "number") {
-    allowedTabs.set(tab.id, expiresAt);
+    await tabStateRestored;
+    allowSiteInTab(tab.id, site.id, expiresAt);
+    await persistTabAllowances();
+    setTabSite(tab.id, site.id);
   }
 }
 
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+async function startOverride(message, tabId) {
+  const reason = typeof message.reason === "string" ? message.reason.trim().slice(0, 300) : "";
+  const minutes = Number(message.minutes);
+  if (typeof tabId !== "number" || !reason || !OVERRIDE_MINUTES.includes(minutes)) {
+    throw new Error("Solicitud de acceso no válida.");
+  }
+
+  const targetUrl = new URL(message.url);
+  if (targetUrl.protocol !== "http:" && targetUrl.protocol !== "https:") {
+    throw new Error("Solicitud de acceso no válida.");
+  }
+
+  const now = Date.now();
+  const state = await readState(now);
+  const site = state.items.find((item) => item.id === message.siteId);
+  if (!site) {
+    throw new Error("El sitio ya no existe.");
+  }
+
+  // The override only lifts this site, and only where it is actually what blocks the address.
+  if (!findBlock(state, targetUrl, (item) => item.id === site.id, now)) {
+    throw new Error("Solicitud de acceso no válida.");
+  }
+
+  const allowedUntil = now + minutes * 60 * 1000;
+  await tabStateRestored;
+  allowSiteInTab(tabId, site.id, allowedUntil);
+  await persistTabAllowances();
+  // When the override ends, the regular enforcement pass sends the tab back to the blocked page.
+  chrome.alarms.create(`${OVERRIDE_ALARM_PREFIX}${tabId}:${encodeURIComponent(site.id)}`, { when: allowedUntil });
+  await appendOverride({
+    at: now,
+    siteId: site.id,
+    label: site.label || targetUrl.hostname,
+    url: targetUrl.href,
+    reason,
+    minutes,
+  });
+  await chrome.tabs.update(tabId, { url: targetUrl.href });
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type === "override-site" && typeof message.siteId === "string") {
+    startOverride(message, sender.tab?.id)
+      .then(() => sendResponse({ ok: true }))
+      .catch(() => sendResponse({ ok: false }));
+    return true;
+  }
+
   if (message?.type !== "open-site" || typeof message.siteId !== "string") {
     return undefined;
   }
@@ -193,42 +1196,172 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   return true;
 });
 
+chrome.runtime.onMessageExternal.addListener((message, sender, sendResponse) => {
+  handleBridgeMessage(message, sender.origin)
+    .then(sendResponse)
+    .catch(() => sendResponse({ ok: false, error: "La extensión no pudo completar la petición." }));
+  return true;
+});
+
+chrome.runtime.onConnectExternal.addListener((port) => {
+  if (port.name !== BRIDGE_PORT_NAME) {
+    port.disconnect();
+    return;
+  }
+
+  void readBridgeOrigins().then((origins) => {
+    if (!origins.includes(port.sender?.origin)) {
+      port.disconnect();
+      return;
+    }
+
+    bridgePorts.add(port);
+    port.onDisconnect.addListener(() => bridgePorts.delete(port));
+  });
+});
+
 chrome.runtime.onInstalled.addListener(() => {
   void syncStoredCooldownAlarms();
+  void refreshTimeTracking();
+  void ensureBackupAlarm();
+  void ensureServerSyncAlarm();
+  scheduleSync();
+  scheduleServerSync();
 });
 
 chrome.runtime.onStartup.addListener(() => {
   void syncStoredCooldownAlarms();
+  void refreshTimeTracking();
+  void ensureBackupAlarm();
+  void ensureServerSyncAlarm();
+  scheduleSync();
+  scheduleServerSync();
 });
 
 chrome.storage.onChanged.addListener((changes, areaName) => {
-  if (areaName === "local" && changes[ITEMS_KEY]) {
-    const items = Array.isArray(changes[ITEMS_KEY].newValue) ? changes[ITEMS_KEY].newValue : [];
-    void syncCooldownAlarms(items);
-    void enforceActiveCooldowns(items);
+  if (
+    areaName === "sync" ||
+    (areaName === "local" && (changes[LS_KEY] || changes[LS_SETTINGS_KEY] || changes[LS_GROUPS_KEY] || changes[LS_SYNC_KEY]))
+  ) {
+    scheduleSync();
+  }
+
+  if (
+    areaName === "local" &&
+    (changes[LS_KEY] || changes[LS_SETTINGS_KEY] || changes[LS_GROUPS_KEY] || changes[LS_SERVER_SYNC_KEY])
+  ) {
+    scheduleServerSync();
+  }
+
+  if (areaName === "local") {
+    void notifyBridgePorts(Object.keys(changes));
+  }
+
+  if (areaName === "local" && (changes[LS_KEY] || changes[LS_SETTINGS_KEY] || changes[LS_FOCUS_KEY])) {
+    void readState().then(async (state) => {
+      await syncCooldownAlarms(state.items, state.settings);
+      if (changes[LS_FOCUS_KEY]) {
+        await syncFocusAlarm(state.focusSession);
+      }
+      await enforceActiveCooldowns(state);
+    });
+    void refreshTimeTracking();
   }
 });
 
 chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SCHEDULE_ALARM) {
+    void (async () => {
+      const state = await readState();
+      await syncScheduleAlarm(state.items);
+      await enforceActiveCooldowns(state);
+    })();
+    return;
+  }
+
+  if (alarm.name === BUDGET_ALARM) {
+    void refreshTimeTracking();
+    return;
+  }
+
+  if (alarm.name === SERVER_SYNC_ALARM) {
+    serverSyncRuns = serverSyncRuns.then(runServerSync).catch(() => {});
+    return;
+  }
+
+  if (alarm.name === BACKUP_ALARM) {
+    takeBackup("auto").catch(() => {
+      // A missed snapshot is retried on the next alarm.
+    });
+    return;
+  }
+
+  if (alarm.name === FOCUS_ALARM) {
+    void (async () => {
+      const state = await readState();
+      const phase = getFocusPhase(state.focusSession);
+      const values = await chrome.storage.local.get(LS_FOCUS_KEY);
+      await syncFocusAlarm(state.focusSession);
+      if (!state.focusSession) {
+        if (values[LS_FOCUS_KEY]) {
+          await showFocusNotification(state.settings, "La sesión ha terminado.");
+        }
+        return;
+      }
+
+      if (!phase) {
+        return;
+      }
+
+      await showFocusNotification(
+        state.settings,
+        phase.phase === "focus" ? "Empieza un bloque de enfoque." : "Empieza un descanso.",
+      );
+      await enforceActiveCooldowns(state);
+    })();
+    return;
+  }
+
+  if (alarm.name === PAUSE_ALARM) {
+    void finishExpiredPause();
+    return;
+  }
+
+  if (alarm.name.startsWith(OVERRIDE_ALARM_PREFIX)) {
+    void (async () => {
+      await enforceActiveCooldowns(await readState());
+      await persistTabAllowances();
+    })();
+    return;
+  }
+
   if (!alarm.name.startsWith(ALARM_PREFIX)) {
     return;
   }
 
   void (async () => {
-    const { items, settings } = await readState();
+    const { settings } = await readState();
+    // Read as stored: normalizing would already have cleared the cooldown that just ended.
+    const values = await chrome.storage.local.get(LS_KEY);
+    const items = Array.isArray(values[LS_KEY]) ? values[LS_KEY] : [];
     const item = items.find((candidate) => getAlarmName(candidate) === alarm.name);
     if (!item || !Number.isFinite(item.endAt)) {
       return;
     }
 
     const now = Date.now();
-    const nextItems = items.map((candidate) =>
-      candidate.id === item.id && candidate.endAt === item.endAt
-        ? { ...candidate, endAt: null, updatedAt: now }
-        : candidate,
+    // Only this cooldown is cleared, and only if it has not been restarted or cleared since.
+    await updateStoredItems((currentItems) =>
+      currentItems.some((candidate) => candidate.id === item.id && candidate.endAt === item.endAt)
+        ? {
+            [LS_KEY]: currentItems.map((candidate) =>
+              candidate.id === item.id && candidate.endAt === item.endAt
+                ? { ...candidate, endAt: null, updatedAt: now }
+                : candidate,
+            ),
+          }
+        : null,
     );
-
-    await chrome.storage.local.set({ [ITEMS_KEY]: nextItems });
     await showReadyNotification(item, settings);
   })();
 });
@@ -250,16 +1383,82 @@ chrome.webNavigation.onBeforeNavigate.addListener((details) => {
       return;
     }
 
-    if (isAllowedNavigation(details, targetUrl)) {
-      return;
+    await tabStateRestored;
+    claimPendingOpen(details.tabId, targetUrl);
+    const state = await readState();
+    const { items, settings, groups } = state;
+    if (forgetSitesLeftBehind(details.tabId, items, targetUrl)) {
+      void persistTabAllowances();
     }
 
-    const { items } = await readState();
-    const blockingItem = items.find((item) => isActive(item) && matchesScope(item, targetUrl));
-    if (!blockingItem) {
+    const paused = isPaused(settings);
+    const isAllowed = (item) => isSiteAllowedInTab(details.tabId, item.id);
+    const block = findBlock(state, targetUrl, (item) => !isAllowed(item));
+    if (!block) {
+      // Pages of a site the tab has an allowance for were already counted when it was granted.
+      if (items.some((item) => isAllowed(item) && matchesScope(item, targetUrl))) {
+        return;
+      }
+
+      const visitedItem = items.find((item) => matchesScope(item, targetUrl));
+      if (!visitedItem) {
+        setTabSite(details.tabId, null);
+        return;
+      }
+
+      // Only the first page of a site in a tab counts as a visit; later in-site navigations do not.
+      if (tabSites.get(details.tabId) !== visitedItem.id) {
+        const now = Date.now();
+        setTabSite(details.tabId, visitedItem.id);
+        if (visitedItem.rule === "quota" && !paused) {
+          await updateStoredItems((storedItems) => {
+            const currentItems = toSites(storedItems, settings, now);
+            if (!currentItems.some((item) => item.id === visitedItem.id)) {
+              return null;
+            }
+
+            const nextItems = startCooldown(currentItems, visitedItem.id, now, {
+              groups,
+              dayResetTime: settings.dayResetTime,
+            });
+            // The visit that uses up the quota stays open until the tab leaves the site or the quota renews; the
+            // block applies to the next one. It is allowed before the write, which triggers the enforcement pass.
+            if (isActive(nextItems.find((item) => item.id === visitedItem.id), now)) {
+              allowSiteInTab(details.tabId, visitedItem.id, getNextDayReset(settings.dayResetTime, now), true);
+              void persistTabAllowances();
+            }
+            return { [LS_KEY]: nextItems };
+          });
+        }
+        await appendVisit(visitedItem.id, { at: now, source: "navigation", blocked: false });
+      }
       return;
     }
 
-    await redirectBlockedTab(details.tabId, blockingItem, targetUrl);
+    setTabSite(details.tabId, null);
+    await redirectBlockedTab(details.tabId, block, targetUrl);
+    await appendVisit(block.item.id, { at: Date.now(), source: "navigation", blocked: true });
   })();
 });
+
+chrome.tabs.onRemoved.addListener((tabId) => {
+  setTabSite(tabId, null);
+  if (forgetTabAllowances(tabId)) {
+    void persistTabAllowances();
+  }
+  void refreshTimeTracking();
+});
+
+chrome.tabs.onActivated.addListener(() => {
+  void refreshTimeTracking();
+});
+
+chrome.tabs.onUpdated.addListener((_tabId, changeInfo, tab) => {
+  if (tab.active && changeInfo.url) {
+    void refreshTimeTracking();
+  }
+});
+
+chrome.windows.onFocusChanged.addListener(() => {
+  void refreshTimeTracking();
+});
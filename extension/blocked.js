@@ -1,12 +1,48 @@
 const parameters = new URLSearchParams(window.location.search);
+const eyebrow = document.querySelector("#eyebrow");
 const title = document.querySelector("#title");
 const description = document.querySelector("#description");
 const clock = document.querySelector("#clock");
 const endAt = Number(parameters.get("endAt"));
 const label = parameters.get("label") || "este sitio";
+const siteId = parameters.get("siteId");
+const blockedUrl = parameters.get("url");
+const rule = ["quota", "budget", "focus"].includes(parameters.get("rule")) ? parameters.get("rule") : "cooldown";
+const countsDown = rule === "cooldown" || rule === "focus";
 
-title.textContent = `${label} sigue en cooldown`;
-description.textContent = "La extensión bloquea esta visita hasta que termine el temporizador.";
+function formatResetTime(timestamp) {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString("es-ES", { hour: "2-digit", minute: "2-digit" });
+  if (date.toDateString() === new Date().toDateString()) {
+    return `hoy a las ${time}`;
+  }
+
+  return `el ${date.toLocaleDateString("es-ES", { weekday: "long" })} a las ${time}`;
+}
+
+if (rule === "quota") {
+  document.title = "Cupo diario agotado";
+  eyebrow.textContent = "Cupo diario agotado";
+  title.textContent = `${label} no admite más visitas hoy`;
+  description.textContent = "Has usado todas las visitas permitidas para este sitio.";
+  clock.textContent = `Se renueva ${formatResetTime(endAt)}`;
+  clock.classList.add("clock--text");
+} else if (rule === "budget") {
+  document.title = "Tiempo diario agotado";
+  eyebrow.textContent = "Tiempo diario agotado";
+  title.textContent = `${label} ha agotado su tiempo de hoy`;
+  description.textContent = "Has usado todo el tiempo diario permitido con este sitio en primer plano.";
+  clock.textContent = `Se renueva ${formatResetTime(endAt)}`;
+  clock.classList.add("clock--text");
+} else if (rule === "focus") {
+  document.title = "Sesión de enfoque";
+  eyebrow.textContent = "Sesión de enfoque";
+  title.textContent = `${label} está bloqueado durante la sesión de enfoque`;
+  description.textContent = "Podrás visitarlo en el próximo descanso o cuando termine la sesión.";
+} else {
+  title.textContent = `${label} sigue en cooldown`;
+  description.textContent = "La extensión bloquea esta visita hasta que termine el temporizador.";
+}
 
 function updateClock() {
   const remaining = Math.max(0, endAt - Date.now());
@@ -14,10 +50,17 @@ function updateClock() {
   const hours = String(Math.floor(totalSeconds / 3600)).padStart(2, "0");
   const minutes = String(Math.floor((totalSeconds % 3600) / 60)).padStart(2, "0");
   const seconds = String(totalSeconds % 60).padStart(2, "0");
-  clock.textContent = `${hours}:${minutes}:${seconds}`;
+  if (countsDown) {
+    clock.textContent = `${hours}:${minutes}:${seconds}`;
+  }
 
   if (remaining === 0) {
-    description.textContent = "El cooldown ha terminado. Ya puedes volver a visitar el sitio.";
+    description.textContent =
+      rule === "cooldown"
+        ? "El cooldown ha terminado. Ya puedes volver a visitar el sitio."
+        : rule === "focus"
+          ? "El bloque de enfoque ha terminado. Ya puedes volver a visitar el sitio."
+          : "El límite diario se ha renovado. Ya puedes volver a visitar el sitio.";
   }
 }
 
@@ -27,3 +70,94 @@ window.setInterval(updateClock, 1000);
 document.querySelector("#back-button").addEventListener("click", () => {
   window.history.back();
 });
+
+const OVERRIDE_PHRASE = "Me salto la pausa a sabiendas";
+const OVERRIDE_DELAY_SECONDS = 30;
+const overrideToggle = document.querySelector("#override-toggle");
+const overrideForm = document.querySelector("#override-form");
+const overrideReason = document.querySelector("#override-reason");
+const overrideMinutes = document.querySelector("#override-minutes");
+const overridePhrase = document.querySelector("#override-phrase");
+const overrideStatus = document.querySelector("#override-status");
+const overrideSubmit = document.querySelector("#override-submit");
+let overrideReadyAt = null;
+
+document.querySelector("#override-phrase-text").textContent = OVERRIDE_PHRASE;
+
+if (!siteId || !blockedUrl || !globalThis.chrome?.runtime?.sendMessage) {
+  overrideToggle.hidden = true;
+}
+
+function isOverrideFilled() {
+  return Boolean(overrideReason.value.trim()) && overridePhrase.value.trim() === OVERRIDE_PHRASE;
+}
+
+// Editing the reason or the phrase during the wait starts the countdown again.
+function resetOverrideWait() {
+  overrideReadyAt = null;
+  overrideSubmit.textContent = "Empezar espera";
+  overrideSubmit.disabled = !isOverrideFilled();
+  overrideStatus.textContent = "";
+}
+
+function updateOverrideWait() {
+  if (overrideReadyAt === null) {
+    return;
+  }
+
+  const secondsLeft = Math.ceil((overrideReadyAt - Date.now()) / 1000);
+  if (secondsLeft > 0) {
+    overrideSubmit.disabled = true;
+    overrideSubmit.textContent = `Espera ${secondsLeft} s`;
+    return;
+  }
+
+  overrideSubmit.disabled = false;
+  overrideSubmit.textContent = `Entrar durante ${overrideMinutes.value} min`;
+}
+
+overrideToggle.addEventListener("click", () => {
+  overrideForm.hidden = false;
+  overrideToggle.hidden = true;
+  overrideReason.focus();
+});
+
+[overrideReason, overridePhrase].forEach((field) => field.addEventListener("input", resetOverrideWait));
+overrideMinutes.addEventListener("change", updateOverrideWait);
+
+overrideForm.addEventListener("submit", (event) => {
+  event.preventDefault();
+  if (!isOverrideFilled()) {
+    return;
+  }
+
+  if (overrideReadyAt === null) {
+    overrideReadyAt = Date.now() + OVERRIDE_DELAY_SECONDS * 1000;
+    overrideStatus.textContent = "Tómate estos segundos para decidir si de verdad lo necesitas.";
+    updateOverrideWait();
+    return;
+  }
+
+  if (Date.now() < overrideReadyAt) {
+    return;
+  }
+
+  overrideSubmit.disabled = true;
+  chrome.runtime.sendMessage(
+    {
+      type: "override-site",
+      siteId,
+      url: blockedUrl,
+      minutes: Number(overrideMinutes.value),
+      reason: overrideReason.value.trim(),
+    },
+    (response) => {
+      if (chrome.runtime.lastError || !response?.ok) {
+        resetOverrideWait();
+        overrideStatus.textContent = "No se pudo conceder el acceso. Inténtalo de nuevo.";
+      }
+    },
+  );
+});
+
+window.setInterval(updateOverrideWait, 250);
@@ -0,0 +1,50 @@
+import { copyFile, mkdir, readFile, readdir, writeFile } from "node:fs/promises";
+import path from "node:path";
+import process from "node:process";
+import { fileURLToPath } from "node:url";
+import { build } from "vite";
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const sourceDir = path.join(rootDir, "extension");
+const outputDir = path.join(rootDir, "dist");
+const workerEntry = "background.js";
+
+await mkdir(outputDir, { recursive: true });
+
+// The service worker imports the same rules, schedules, migrations and sync client as the app from src/lib, so it is
+// bundled into a single classic script instead of being copied as it is.
+await build({
+  configFile: false,
+  logLevel: "warn",
+  publicDir: false,
+  build: {
+    outDir: outputDir,
+    emptyOutDir: false,
+    minify: false,
+    rollupOptions: {
+      input: path.join(sourceDir, workerEntry),
+      output: { format: "iife", entryFileNames: workerEntry },
+    },
+  },
+});
+
+const entries = await readdir(sourceDir, { withFileTypes: true });
+await Promise.all(
+  entries
+    .filter((entry) => entry.isFile() && entry.name !== workerEntry)
+    .map((entry) => copyFile(path.join(sourceDir, entry.name), path.join(outputDir, entry.name))),
+);
+
+// BRIDGE_ORIGINS adds the hosted web app, e.g. BRIDGE_ORIGINS=https://cooldown.example.com, to the origins that may
+// ask to pair with the extension.
+const bridgeOrigins = (process.env.BRIDGE_ORIGINS ?? "")
+  .split(",")
+  .map((origin) => origin.trim().replace(/\/+$/, ""))
+  .filter(Boolean);
+if (bridgeOrigins.length) {
+  const manifestPath = path.join(outputDir, "manifest.json");
+  const manifest = JSON.parse(await readFile(manifestPath, "utf8"));
+  const matches = bridgeOrigins.map((origin) => `${origin}/*`);
+  manifest.externally_connectable.matches = [...new Set([...manifest.externally_connectable.matches, ...matches])];
+  await writeFile(manifestPath, `${JSON.stringify(manifest, null, 2)}\n`);
+}
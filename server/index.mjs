@@ -0,0 +1,260 @@
+import { Buffer } from "node:buffer";
+import { createHash, randomBytes } from "node:crypto";
+import { mkdir, readFile, rename, writeFile } from "node:fs/promises";
+import { createServer } from "node:http";
+import path from "node:path";
+import process from "node:process";
+import { fileURLToPath } from "node:url";
+
+// Minimal sync server for Cooldown Tracker. Protocol: docs/sync-protocol.md.
+const PROTOCOL_VERSION = 1;
+const MAX_BODY_BYTES = 1024 * 1024;
+const MAX_CHANGES_PER_REQUEST = 1000;
+const PAGE_SIZE = 500;
+const RECORD_KINDS = ["site", "group", "settings"];
+
+const rootDir = path.dirname(fileURLToPath(import.meta.url));
+const dataFile = path.resolve(process.env.SYNC_DATA_FILE ?? path.join(rootDir, "data", "sync.json"));
+// PORT=0 lets the system pick a free port; the startup message says which one.
+const port = process.env.PORT ? Number(process.env.PORT) : 8787;
+const host = process.env.HOST ?? "127.0.0.1";
+
+// Messages for whoever runs the server go to stderr with a timestamp. stdout only ever carries a new token, so
+// add-user can be piped without the token ending up next to the rest of the output.
+function log(message) {
+  process.stderr.write(`${new Date().toISOString()} ${message}\n`);
+}
+
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+async function loadData() {
+  try {
+    const data = JSON.parse(await readFile(dataFile, "utf8"));
+    return data && typeof data.users === "object" ? data : { users: {} };
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { users: {} };
+    }
+
+    throw error;
+  }
+}
+
+// Written to a temporary file first so a crash never leaves half a JSON file behind.
+async function saveData(data) {
+  await mkdir(path.dirname(dataFile), { recursive: true });
+  const temporaryFile = `${dataFile}.tmp`;
+  await writeFile(temporaryFile, JSON.stringify(data));
+  await rename(temporaryFile, dataFile);
+}
+
+function findUser(data, request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(request.headers.authorization ?? "");
+  if (!match) {
+    return null;
+  }
+
+  const tokenHash = hashToken(match[1]);
+  return Object.values(data.users).find((user) => user.tokenHash === tokenHash) ?? null;
+}
+
+function validateChange(change) {
+  if (!change || typeof change !== "object") {
+    return "Cada cambio debe ser un objeto.";
+  }
+
+  if (!RECORD_KINDS.includes(change.kind)) {
+    return `Tipo de registro desconocido: ${change.kind}.`;
+  }
+
+  if (typeof change.id !== "string" || !change.id || change.id.length > 200) {
+    return "El identificador del registro no es válido.";
+  }
+
+  if (!Number.isFinite(change.updatedAt) || change.updatedAt <= 0) {
+    return "updatedAt debe ser una marca de tiempo en milisegundos.";
+  }
+
+  if (!change.deleted && (!change.data || typeof change.data !== "object")) {
+    return "Un registro que no se borra necesita data.";
+  }
+
+  return null;
+}
+
+// The most recent updatedAt wins. On a tie the stored record stays, so every client converges on the same copy.
+function applyChanges(user, changes) {
+  const accepted = [];
+  const conflicts = [];
+  changes.forEach((change) => {
+    const key = `${change.kind}:${change.id}`;
+    const current = user.records[key];
+    if (current && current.updatedAt >= change.updatedAt) {
+      conflicts.push(current);
+      return;
+    }
+
+    user.revision += 1;
+    user.records[key] = {
+      kind: change.kind,
+      id: change.id,
+      rev: user.revision,
+      updatedAt: change.updatedAt,
+      deleted: change.deleted === true,
+      data: change.deleted === true ? null : change.data,
+    };
+    accepted.push({ kind: change.kind, id: change.id, rev: user.revision });
+  });
+
+  return { accepted, conflicts };
+}
+
+// A since beyond the user's revision comes from a client that saw revisions this data file no longer has, for
+// example after it was restored from an older copy. The client is told to drop what it remembers and start again.
+function listChanges(user, since) {
+  if (since > user.revision) {
+    return { revision: user.revision, more: false, reset: true, changes: [] };
+  }
+
+  const records = Object.values(user.records)
+    .filter((record) => record.rev > since)
+    .sort((left, right) => left.rev - right.rev);
+  const page = records.slice(0, PAGE_SIZE);
+  return {
+    revision: page.length ? page[page.length - 1].rev : Math.max(since, 0),
+    more: records.length > PAGE_SIZE,
+    changes: page,
+  };
+}
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Cache-Control": "no-store",
+  });
+  response.end(body === null ? "" : JSON.stringify(body));
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error("La petición supera 1 MB."), { status: 413 }));
+        request.destroy();
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+    request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    request.on("error", reject);
+  });
+}
+
+// Requests run one at a time, so two devices pushing together never interleave their read-modify-write.
+let queue = Promise.resolve();
+
+async function handle(request, response) {
+  const url = new URL(request.url, "http://localhost");
+  if (request.method === "OPTIONS") {
+    send(response, 204, null);
+    return;
+  }
+
+  if (url.pathname === "/v1/health" && request.method === "GET") {
+    send(response, 200, { ok: true, protocol: PROTOCOL_VERSION });
+    return;
+  }
+
+  if (url.pathname !== "/v1/changes" || !["GET", "POST"].includes(request.method)) {
+    send(response, 404, { error: "Ruta no encontrada." });
+    return;
+  }
+
+  const body = request.method === "POST" ? await readBody(request) : null;
+  const task = queue.then(async () => {
+    const data = await loadData();
+    const user = findUser(data, request);
+    if (!user) {
+      send(response, 401, { error: "Token no válido." });
+      return;
+    }
+
+    if (request.method === "GET") {
+      const since = Math.max(0, Math.floor(Number(url.searchParams.get("since")) || 0));
+      send(response, 200, listChanges(user, since));
+      return;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch {
+      send(response, 400, { error: "El cuerpo no es JSON válido." });
+      return;
+    }
+
+    const changes = Array.isArray(payload?.changes) ? payload.changes : null;
+    if (!changes || changes.length > MAX_CHANGES_PER_REQUEST) {
+      send(response, 400, { error: `Se esperaba changes con hasta ${MAX_CHANGES_PER_REQUEST} cambios.` });
+      return;
+    }
+
+    const invalid = changes.map(validateChange).find(Boolean);
+    if (invalid) {
+      send(response, 400, { error: invalid });
+      return;
+    }
+
+    const result = applyChanges(user, changes);
+    if (result.accepted.length) {
+      await saveData(data);
+    }
+    send(response, 200, { revision: user.revision, ...result });
+  });
+  queue = task.catch(() => {});
+  await task;
+}
+
+async function addUser(name) {
+  if (!name) {
+    throw new Error("Uso: node server/index.mjs add-user <nombre>");
+  }
+
+  const data = await loadData();
+  const token = randomBytes(24).toString("base64url");
+  const existing = data.users[name];
+  data.users[name] = existing
+    ? { ...existing, tokenHash: hashToken(token) }
+    : { name, tokenHash: hashToken(token), revision: 0, records: {} };
+  await saveData(data);
+  log(`Token nuevo para ${name}. ${existing ? "El anterior ya no es válido." : "No se puede volver a mostrar."}`);
+  process.stdout.write(`${token}\n`);
+}
+
+const [command, argument] = process.argv.slice(2);
+if (command === "add-user") {
+  await addUser(argument);
+} else {
+  const server = createServer((request, response) => {
+    handle(request, response).catch((error) => {
+      if (!error.status) {
+        log(`Error en ${request.method} ${request.url?.split("?")[0]}: ${error.message}`);
+      }
+      if (!response.headersSent) {
+        send(response, error.status ?? 500, { error: error.status ? error.message : "Error interno del servidor." });
+      }
+    });
+  });
+  server.listen(port, host, () => {
+    log(`Servidor de sincronización en http://${host}:${server.address().port} (datos en ${dataFile})`);
+  });
+}
@@ -1,51 +1,148 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import ActionDialog from "./components/ActionDialog.jsx";
 import AddEditModal from "./components/AddEditModal.jsx";
 import EmptyState from "./components/EmptyState.jsx";
+import FocusModal from "./components/FocusModal.jsx";
+import GroupModal from "./components/GroupModal.jsx";
+import GroupsPanel from "./components/GroupsPanel.jsx";
+import ImportWizard from "./components/ImportWizard.jsx";
+import PassphraseDialog from "./components/PassphraseDialog.jsx";
 import SettingsPanel from "./components/SettingsPanel.jsx";
 import SiteCard from "./components/SiteCard.jsx";
+import StatsPanel from "./components/StatsPanel.jsx";
 import ToastViewport from "./components/ToastViewport.jsx";
-import { FILTER_OPTIONS } from "./lib/constants.js";
+import TrashPanel from "./components/TrashPanel.jsx";
+import { createBackup, restoreBackup } from "./lib/backups.js";
+import {
+  approveBridgePairing,
+  normalizeBridgeState,
+  requestBridgePairing,
+  revokeBridgeOrigin,
+  waitForBridgePairing,
+} from "./lib/bridge.js";
+import {
+  BRIDGE_PAIRING_TTL_MS,
+  DEFAULT_SYNC,
+  FILTER_OPTIONS,
+  GROUP_FILTER_ALL,
+  GROUP_FILTER_NONE,
+  SERVER_SYNC_DELAY_MS,
+  SERVER_SYNC_INTERVAL_MS,
+  TAB_LEADER_LOCK_NAME,
+} from "./lib/constants.js";
+import { decryptExport, encryptExport } from "./lib/crypto.js";
+import { buildEventsCsv, buildSitesCsv, hasCsvEvents } from "./lib/csv.js";
+import { createFocusSession, getFocusPhase, getFocusSiteIds } from "./lib/focus.js";
+import { applyGroupDuration, assignGroupMembers, groupSites, removeGroup, upsertGroup } from "./lib/groups.js";
+import { appendVisit, applyHistoryPatches, diffHistory } from "./lib/history.js";
+import { formatScheduleBoundary } from "./lib/schedule.js";
+import { EMPTY_UNDO_HISTORY, applyUndoEntry, createUndoEntry, pushUndoEntry } from "./lib/undo.js";
 import {
   buildExportPayload,
   clearCooldown,
+  clearGroupCooldown,
+  getTimerNow,
+  getTrashExpiry,
   getVisibleSites,
+  isPaused,
+  moveSiteToTrash,
   parseImportPayload,
-  removeSite,
+  purgeTrashEntry,
   resolveExpiredCooldowns,
   resetCooldown,
+  restoreSiteFromTrash,
+  resumeFromPause,
   startCooldown,
+  startGroupCooldown,
+  startPause,
   upsertSite,
 } from "./lib/sites.js";
 import {
-  loadExtensionState,
+  addStoredBackup,
+  loadBridgeConfig,
+  loadStoredBackups,
+  loadStoredFocusSession,
+  loadStoredGroups,
+  loadStoredHistory,
   loadStoredItems,
+  loadStoredServerSync,
+  loadStoredServerSyncState,
   loadStoredSettings,
-  saveStoredItems,
+  loadStoredState,
+  loadStoredTrash,
+  saveStoredFocusSession,
+  saveStoredGroups,
+  saveBridgeConfig,
+  saveStoredBridgeState,
+  saveStoredServerSync,
   saveStoredSettings,
-  subscribeToExtensionState,
+  saveStoredSyncPreferences,
+  saveStoredTrash,
+  subscribeToStoredState,
+  syncStoredStateWithServer,
+  updateStoredHistory,
+  updateStoredSites,
+  usesBridgeStorage,
   usesExtensionStorage,
 } from "./lib/storage.js";
-import { downloadJsonFile, formatClock, hostnameFromUrl, isExtensionContext } from "./lib/utils.js";
+import { isServerSyncReady } from "./lib/sync.js";
+import { applySitePatches, diffSites } from "./lib/patches.js";
+import {
+  downloadJsonFile,
+  downloadTextFile,
+  formatClock,
+  formatDateTime,
+  hostnameFromUrl,
+  isExtensionContext,
+  uid,
+} from "./lib/utils.js";
 import { useNotificationCenter } from "./hooks/useNotificationCenter.js";
+import { useTabLeader } from "./hooks/useTabLeader.js";
 import { useToasts } from "./hooks/useToasts.js";
 
-export default function CooldownApp() {
+export default function CooldownApp({ storageError = null }) {
   const initialNowRef = useRef(Date.now());
   const initialNow = initialNowRef.current;
   const extensionMode = isExtensionContext();
   const [now, setNow] = useState(initialNow);
   const [items, setItems] = useState(() => loadStoredItems(initialNow));
   const [settings, setSettings] = useState(() => loadStoredSettings());
+  const [history, setHistory] = useState(() => loadStoredHistory());
+  const [groups, setGroups] = useState(() => loadStoredGroups());
+  const [usage, setUsage] = useState(null);
+  const [overrides, setOverrides] = useState([]);
+  const [focusSession, setFocusSession] = useState(() => loadStoredFocusSession(initialNow));
+  const [trash, setTrash] = useState(() => loadStoredTrash(initialNow));
+  const [backups, setBackups] = useState(() => loadStoredBackups());
+  const [sync, setSync] = useState(DEFAULT_SYNC);
+  const [syncStatus, setSyncStatus] = useState(null);
+  const [serverSync, setServerSync] = useState(() => loadStoredServerSync());
+  const [serverSyncStatus, setServerSyncStatus] = useState(() => loadStoredServerSyncState());
+  const [bridge, setBridge] = useState(() => normalizeBridgeState(null));
+  const [bridgeConfig] = useState(() => loadBridgeConfig());
+  const [bridgePairingCode, setBridgePairingCode] = useState(null);
   const [storageReady, setStorageReady] = useState(() => !usesExtensionStorage());
   const [filter, setFilter] = useState("all");
+  const [groupFilter, setGroupFilter] = useState(GROUP_FILTER_ALL);
+  const [groupedView, setGroupedView] = useState(false);
   const [query, setQuery] = useState("");
   const [showForm, setShowForm] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
+  const [statsTarget, setStatsTarget] = useState(null);
+  const [showGroups, setShowGroups] = useState(false);
+  const [showFocus, setShowFocus] = useState(false);
+  const [showTrash, setShowTrash] = useState(false);
+  const [importDraft, setImportDraft] = useState(null);
+  const [encryptedImport, setEncryptedImport] = useState(null);
+  const [editingGroup, setEditingGroup] = useState(null);
+  const [deleteGroupTarget, setDeleteGroupTarget] = useState(null);
   const [editing, setEditing] = useState(null);
   const [deleteTarget, setDeleteTarget] = useState(null);
   const [durationDecision, setDurationDecision] = useState(null);
-  const { toasts, push } = useToasts();
+  const { toasts, push, dismiss } = useToasts();
+  // With several tabs open, only one plays the completion sound, shows notifications and talks to the sync server.
+  const tabLeader = useTabLeader(TAB_LEADER_LOCK_NAME);
+  const tabLeaderRef = useRef(tabLeader);
   const { supported, permission, toggleNotifications, notifyReady } = useNotificationCenter({
     notificationsOn: settings.notificationsOn,
     soundOn: settings.soundOn,
@@ -53,8 +150,43 @@ export default function CooldownApp() {
   });
   const notifiedRef = useRef(new Set());
   const itemsRef = useRef(items);
+  // The sites as last seen in storage; what differs from them is what this page still has to write.
+  const storedItemsRef = useRef(items);
+  const siteWritesRef = useRef(Promise.resolve(true));
   const settingsRef = useRef(settings);
+  const historyRef = useRef(history);
+  // Same as storedItemsRef, for the visit history.
+  const storedHistoryRef = useRef(history);
+  const historyWritesRef = useRef(Promise.resolve(true));
+  const groupsRef = useRef(groups);
+  const focusSessionRef = useRef(focusSession);
+  const trashRef = useRef(trash);
+  const syncRef = useRef(sync);
+  const serverSyncRef = useRef(serverSync);
+  const serverSyncRunningRef = useRef(false);
+  const undoHistoryRef = useRef(EMPTY_UNDO_HISTORY);
   const persistenceWarningShownRef = useRef(false);
+  const paused = isPaused(settings, now);
+  const timerNow = getTimerNow(settings, now);
+  const focusPhase = getFocusPhase(focusSession, now);
+
+  const persist = useCallback(
+    (savePromise) =>
+      savePromise
+        .then((saved) => {
+          if (!saved && !persistenceWarningShownRef.current) {
+            persistenceWarningShownRef.current = true;
+            push("Los cambios no se han podido guardar en este navegador.", "error");
+          }
+        })
+        .catch(() => {
+          if (!persistenceWarningShownRef.current) {
+            persistenceWarningShownRef.current = true;
+            push("Los cambios no se han podido guardar en este navegador.", "error");
+          }
+        }),
+    [push],
+  );
 
   useEffect(() => {
     itemsRef.current = items;
@@ -64,20 +196,62 @@ export default function CooldownApp() {
     settingsRef.current = settings;
   }, [settings]);
 
+  useEffect(() => {
+    historyRef.current = history;
+  }, [history]);
+
+  useEffect(() => {
+    groupsRef.current = groups;
+  }, [groups]);
+
+  useEffect(() => {
+    focusSessionRef.current = focusSession;
+  }, [focusSession]);
+
+  useEffect(() => {
+    trashRef.current = trash;
+  }, [trash]);
+
+  useEffect(() => {
+    syncRef.current = sync;
+  }, [sync]);
+
+  useEffect(() => {
+    serverSyncRef.current = serverSync;
+  }, [serverSync]);
+
+  useEffect(() => {
+    tabLeaderRef.current = tabLeader;
+  }, [tabLeader]);
+
   useEffect(() => {
     if (!usesExtensionStorage()) {
       return undefined;
     }
 
     let cancelled = false;
-    loadExtensionState(initialNow)
+    loadStoredState(initialNow)
       .then((state) => {
         if (cancelled || !state) {
           return;
         }
 
+        storedItemsRef.current = state.items;
+        storedHistoryRef.current = state.history;
         setItems(state.items);
         setSettings(state.settings);
+        setHistory(state.history);
+        setGroups(state.groups);
+        setUsage(state.usage);
+        setOverrides(state.overrides);
+        setFocusSession(state.focusSession);
+        setTrash(state.trash);
+        setBackups(state.backups);
+        setSync(state.sync);
+        setSyncStatus(state.syncStatus);
+        setServerSync(state.serverSync);
+        setServerSyncStatus(state.serverSyncStatus);
+        setBridge(state.bridge);
       })
       .catch(() => {
         if (!cancelled) {
@@ -95,24 +269,56 @@ export default function CooldownApp() {
     };
   }, [initialNow, push]);
 
+  // Changes made by the service worker, a paired extension or, in the web build, another open tab.
   useEffect(() => {
-    if (!storageReady || !usesExtensionStorage()) {
+    if (!storageReady) {
       return undefined;
     }
 
-    return subscribeToExtensionState(() => {
-      loadExtensionState()
+    return subscribeToStoredState(() => {
+      loadStoredState()
         .then((state) => {
           if (!state) {
             return;
           }
 
-          if (JSON.stringify(state.items) !== JSON.stringify(itemsRef.current)) {
-            setItems(state.items);
+          // Edits this page has not stored yet are replayed on top, so a change from elsewhere never undoes them.
+          const pendingPatches = diffSites(storedItemsRef.current, itemsRef.current);
+          storedItemsRef.current = state.items;
+          const nextItems = applySitePatches(state.items, pendingPatches).items;
+          if (JSON.stringify(nextItems) !== JSON.stringify(itemsRef.current)) {
+            setItems(nextItems);
           }
           if (JSON.stringify(state.settings) !== JSON.stringify(settingsRef.current)) {
             setSettings(state.settings);
           }
+          const pendingVisits = diffHistory(storedHistoryRef.current, historyRef.current);
+          storedHistoryRef.current = state.history;
+          const nextHistory = applyHistoryPatches(state.history, pendingVisits);
+          if (JSON.stringify(nextHistory) !== JSON.stringify(historyRef.current)) {
+            setHistory(nextHistory);
+          }
+          if (JSON.stringify(state.groups) !== JSON.stringify(groupsRef.current)) {
+            setGroups(state.groups);
+          }
+          setUsage(state.usage);
+          setOverrides(state.overrides);
+          if (JSON.stringify(state.focusSession) !== JSON.stringify(focusSessionRef.current)) {
+            setFocusSession(state.focusSession);
+          }
+          if (JSON.stringify(state.trash) !== JSON.stringify(trashRef.current)) {
+            setTrash(state.trash);
+          }
+          setBackups(state.backups);
+          if (JSON.stringify(state.sync) !== JSON.stringify(syncRef.current)) {
+            setSync(state.sync);
+          }
+          setSyncStatus(state.syncStatus);
+          if (JSON.stringify(state.serverSync) !== JSON.stringify(serverSyncRef.current)) {
+            setServerSync(state.serverSync);
+          }
+          setServerSyncStatus(state.serverSyncStatus);
+          setBridge(state.bridge);
         })
         .catch(() => {
           // The application keeps the currently displayed state if Chrome storage is temporarily unavailable.
@@ -128,48 +334,273 @@ export default function CooldownApp() {
     return () => window.clearInterval(timerId);
   }, []);
 
+  // Sites are stored as per-site patches through a compare-and-swap, one write at a time, so this page never
+  // overwrites a change made by the service worker or another page since it last read them.
+  const persistSites = useCallback(() => {
+    siteWritesRef.current = siteWritesRef.current.then(async () => {
+      const sentItems = itemsRef.current;
+      const patches = diffSites(storedItemsRef.current, sentItems);
+      if (!patches.length) {
+        return true;
+      }
+
+      const result = await updateStoredSites(patches, getTimerNow(settingsRef.current));
+      storedItemsRef.current = result.items;
+      if (result.conflicts.length) {
+        const labels = [...new Set(result.conflicts.map((conflict) => conflict.label).filter(Boolean))];
+        push(
+          `${labels.length ? labels.join(", ") : "Algunos sitios"}: se modificaron a la vez en otro lugar y se conserva ` +
+            "esa versión.",
+          "error",
+        );
+      }
+
+      // Edits made while the write was in flight stay on top and go out in the next write.
+      const nextItems = applySitePatches(result.items, diffSites(sentItems, itemsRef.current)).items;
+      if (JSON.stringify(nextItems) !== JSON.stringify(itemsRef.current)) {
+        setItems(nextItems);
+      }
+      return true;
+    });
+    const write = siteWritesRef.current;
+    siteWritesRef.current = write.catch(() => false);
+    return write;
+  }, [push]);
+
+  // Visits go out the same way, as per-site patches, so this page never drops one the service worker just recorded.
+  const persistHistory = useCallback(() => {
+    historyWritesRef.current = historyWritesRef.current.then(async () => {
+      const sentHistory = historyRef.current;
+      const patches = diffHistory(storedHistoryRef.current, sentHistory);
+      if (!patches.length) {
+        return true;
+      }
+
+      const storedHistory = await updateStoredHistory(patches);
+      storedHistoryRef.current = storedHistory;
+      const nextHistory = applyHistoryPatches(storedHistory, diffHistory(sentHistory, historyRef.current));
+      if (JSON.stringify(nextHistory) !== JSON.stringify(historyRef.current)) {
+        setHistory(nextHistory);
+      }
+      return true;
+    });
+    const write = historyWritesRef.current;
+    historyWritesRef.current = write.catch(() => false);
+    return write;
+  }, []);
+
   useEffect(() => {
     if (!storageReady) {
       return;
     }
 
-    void saveStoredItems(items)
-      .then((saved) => {
-        if (!saved && !persistenceWarningShownRef.current) {
-          persistenceWarningShownRef.current = true;
-          push("Los cambios no se han podido guardar en este navegador.", "error");
-        }
-      })
-      .catch(() => {
-        if (!persistenceWarningShownRef.current) {
-          persistenceWarningShownRef.current = true;
-          push("Los cambios no se han podido guardar en este navegador.", "error");
-        }
-      });
-  }, [items, push, storageReady]);
+    void persist(persistSites());
+  }, [items, persist, persistSites, storageReady]);
+
+  useEffect(() => {
+    if (!storageReady) {
+      return;
+    }
+
+    void persist(saveStoredSettings(settings));
+  }, [persist, settings, storageReady]);
 
   useEffect(() => {
     if (!storageReady) {
       return;
     }
 
-    void saveStoredSettings(settings)
-      .then((saved) => {
-        if (!saved && !persistenceWarningShownRef.current) {
-          persistenceWarningShownRef.current = true;
-          push("Los cambios no se han podido guardar en este navegador.", "error");
+    void persist(persistHistory());
+  }, [history, persist, persistHistory, storageReady]);
+
+  useEffect(() => {
+    if (!storageReady) {
+      return;
+    }
+
+    void persist(saveStoredGroups(groups));
+  }, [groups, persist, storageReady]);
+
+  useEffect(() => {
+    if (!storageReady) {
+      return;
+    }
+
+    void persist(saveStoredFocusSession(focusSession));
+  }, [focusSession, persist, storageReady]);
+
+  useEffect(() => {
+    if (!storageReady) {
+      return;
+    }
+
+    void persist(saveStoredTrash(trash));
+  }, [persist, storageReady, trash]);
+
+  useEffect(() => {
+    if (!storageReady || !extensionMode) {
+      return;
+    }
+
+    void persist(saveStoredSyncPreferences(sync));
+  }, [extensionMode, persist, storageReady, sync]);
+
+  // A paired web page uses the extension's data, and the extension syncs it; the setting is not shared over the bridge.
+  useEffect(() => {
+    if (!storageReady || usesBridgeStorage()) {
+      return;
+    }
+
+    void persist(saveStoredServerSync(serverSync));
+  }, [persist, serverSync, storageReady]);
+
+  // Inside the extension the service worker talks to the sync server; a plain web page does it itself.
+  const runServerSync = useCallback(async () => {
+    if (
+      usesExtensionStorage() ||
+      !tabLeaderRef.current ||
+      serverSyncRunningRef.current ||
+      !isServerSyncReady(serverSyncRef.current)
+    ) {
+      return;
+    }
+
+    serverSyncRunningRef.current = true;
+    const local = { items: itemsRef.current, groups: groupsRef.current, settings: settingsRef.current };
+    try {
+      // An edit made while the request was in flight wins; the next run sends it and pulls the same records again.
+      const result = await syncStoredStateWithServer(
+        serverSyncRef.current,
+        local,
+        () =>
+          itemsRef.current === local.items &&
+          groupsRef.current === local.groups &&
+          settingsRef.current === local.settings,
+      );
+      if (result) {
+        if (JSON.stringify(result.items) !== JSON.stringify(local.items)) {
+          setItems(result.items);
         }
-      })
-      .catch(() => {
-        if (!persistenceWarningShownRef.current) {
-          persistenceWarningShownRef.current = true;
-          push("Los cambios no se han podido guardar en este navegador.", "error");
+        if (JSON.stringify(result.groups) !== JSON.stringify(local.groups)) {
+          setGroups(result.groups);
         }
-      });
-  }, [push, settings, storageReady]);
+        if (JSON.stringify(result.settings) !== JSON.stringify(local.settings)) {
+          setSettings(result.settings);
+        }
+      }
+      setServerSyncStatus(loadStoredServerSyncState());
+    } finally {
+      serverSyncRunningRef.current = false;
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!storageReady || usesExtensionStorage() || !isServerSyncReady(serverSync)) {
+      return undefined;
+    }
+
+    const timeoutId = window.setTimeout(runServerSync, SERVER_SYNC_DELAY_MS);
+    return () => window.clearTimeout(timeoutId);
+  }, [groups, items, runServerSync, serverSync, settings, storageReady]);
 
   useEffect(() => {
-    const { items: nextItems, completed } = resolveExpiredCooldowns(items, now);
+    if (!storageReady || usesExtensionStorage() || !isServerSyncReady(serverSync)) {
+      return undefined;
+    }
+
+    const intervalId = window.setInterval(runServerSync, SERVER_SYNC_INTERVAL_MS);
+    window.addEventListener("focus", runServerSync);
+    return () => {
+      window.clearInterval(intervalId);
+      window.removeEventListener("focus", runServerSync);
+    };
+  }, [runServerSync, serverSync, storageReady]);
+
+  useEffect(() => {
+    if (trash.some((entry) => getTrashExpiry(entry) <= now)) {
+      setTrash((currentTrash) => currentTrash.filter((entry) => getTrashExpiry(entry) > now));
+    }
+  }, [now, trash]);
+
+  useEffect(() => {
+    if (focusSession && !focusPhase && now >= focusSession.startedAt) {
+      setFocusSession(null);
+      push("La sesión de enfoque ha terminado.", "success");
+    }
+  }, [focusPhase, focusSession, now, push]);
+
+  // Reads from refs so toast actions created several renders ago still see the latest state.
+  const travel = useCallback(
+    (direction, entryId = null) => {
+      const { past, future } = undoHistoryRef.current;
+      const source = direction === "undo" ? past : future;
+      const entry = source[source.length - 1];
+      if (!entry) {
+        push(direction === "undo" ? "No hay nada que deshacer." : "No hay nada que rehacer.");
+        return;
+      }
+
+      if (entryId && entry.id !== entryId) {
+        push("Hay cambios más recientes. Deshazlos primero con Ctrl+Z.", "error");
+        return;
+      }
+
+      const current = {
+        items: itemsRef.current,
+        groups: groupsRef.current,
+        trash: trashRef.current,
+        settings: settingsRef.current,
+        history: historyRef.current,
+      };
+      const { state, skipped } = applyUndoEntry(current, entry, direction);
+      setItems(state.items);
+      setGroups(state.groups);
+      setTrash(state.trash);
+      setSettings(state.settings);
+      setHistory(state.history);
+      undoHistoryRef.current =
+        direction === "undo"
+          ? { past: past.slice(0, -1), future: [...future, entry] }
+          : { past: [...past, entry], future: future.slice(0, -1) };
+
+      const message = `${direction === "undo" ? "Deshecho" : "Rehecho"}: ${entry.label}.`;
+      push(
+        skipped ? `${message} Se han conservado los cambios hechos desde otra ventana.` : message,
+        "success",
+        {
+          label: direction === "undo" ? "Rehacer" : "Deshacer",
+          onSelect: () => travel(direction === "undo" ? "redo" : "undo", entry.id),
+        },
+      );
+    },
+    [push],
+  );
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+        return;
+      }
+
+      // Text fields keep their native undo.
+      const target = event.target;
+      if (target instanceof HTMLElement && (target.isContentEditable || target.closest("input, textarea, select"))) {
+        return;
+      }
+
+      const key = event.key.toLowerCase();
+      if (key === "z" || key === "y") {
+        event.preventDefault();
+        travel(key === "y" || event.shiftKey ? "redo" : "undo");
+      }
+    };
+
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [travel]);
+
+  useEffect(() => {
+    const { items: nextItems, completed } = resolveExpiredCooldowns(items, timerNow);
     if (!completed.length) {
       return;
     }
@@ -182,23 +613,43 @@ export default function CooldownApp() {
       }
 
       notifiedRef.current.add(key);
-      notifyReady(item);
+      if (tabLeaderRef.current) {
+        notifyReady(item);
+      }
       push(`"${item.label || hostnameFromUrl(item.url)}" ya se puede visitar.`, "success");
     });
-  }, [items, now, notifyReady, push]);
+  }, [items, timerNow, notifyReady, push]);
+
+  // The extension resumes timed pauses from its own alarm, also for a paired web app; a web app on its own data has to
+  // do it while it is open.
+  useEffect(() => {
+    if (usesExtensionStorage() || settings.pausedAt === null || paused) {
+      return;
+    }
+
+    const resumed = resumeFromPause(items, settings, now);
+    setItems(resumed.items);
+    setSettings(resumed.settings);
+  }, [items, now, paused, settings]);
 
   const visibleItems = useMemo(
     () =>
       getVisibleSites(items, {
         filter,
+        groupId: groupFilter,
         query,
-        now,
+        now: timerNow,
       }),
-    [items, filter, query, now],
+    [items, filter, groupFilter, query, timerNow],
+  );
+
+  const sections = useMemo(
+    () => (groupedView ? groupSites(visibleItems, groups) : [{ group: null, items: visibleItems }]),
+    [groupedView, visibleItems, groups],
   );
 
   const summary = useMemo(() => {
-    const activeItems = items.filter((item) => item.endAt && item.endAt > now);
+    const activeItems = items.filter((item) => item.endAt && item.endAt > timerNow);
     const readyCount = items.length - activeItems.length;
     const nextReady = activeItems.reduce((closest, item) => {
       if (!closest || item.endAt < closest.endAt) {
@@ -213,32 +664,74 @@ export default function CooldownApp() {
       active: activeItems.length,
       ready: readyCount,
       nextReady,
-      nextReadyRemaining: nextReady ? Math.max(0, nextReady.endAt - now) : 0,
+      nextReadyRemaining: nextReady ? Math.max(0, nextReady.endAt - timerNow) : 0,
     };
-  }, [items, now]);
+  }, [items, timerNow]);
 
   const closeForm = () => {
     setShowForm(false);
     setEditing(null);
   };
 
+  // Applies a change that can be undone and offers the undo from the confirmation toast.
+  const commitUndoable = (label, changes, message) => {
+    const before = { items, groups, trash, settings, history };
+    const after = { ...before, ...changes };
+    if (changes.items) {
+      setItems(changes.items);
+    }
+    if (changes.groups) {
+      setGroups(changes.groups);
+    }
+    if (changes.trash) {
+      setTrash(changes.trash);
+    }
+    if (changes.settings) {
+      setSettings(changes.settings);
+    }
+    if (changes.history) {
+      setHistory(changes.history);
+    }
+
+    const entry = createUndoEntry(label, before, after);
+    undoHistoryRef.current = pushUndoEntry(undoHistoryRef.current, entry);
+    push(message, "success", entry ? { label: "Deshacer", onSelect: () => travel("undo", entry.id) } : null);
+  };
+
+  // Snapshots the state as it is before a bulk change, so the change can be reverted from the backups list too.
+  const takeBackup = (reason) =>
+    addStoredBackup(createBackup({ items, settings, groups }, reason))
+      .then(setBackups)
+      .catch(() => {
+        push("No se pudo guardar la copia de seguridad previa.", "error");
+      });
+
   const commitItem = (payload, message, stamp = Date.now()) => {
     setNow(stamp);
-    setItems((currentItems) => upsertSite(currentItems, payload, stamp));
-    push(message, "success");
+    commitUndoable(
+      `guardar "${payload.label || hostnameFromUrl(payload.url)}"`,
+      { items: upsertSite(items, payload, stamp) },
+      message,
+    );
   };
 
   const handleSaveItem = async (payload) => {
     const existing = items.find((item) => item.id === payload.id) || editing;
     const isEditing = Boolean(existing);
 
-    if (existing && existing.endAt && payload.durationMs !== existing.durationMs) {
+    if (
+      existing &&
+      existing.endAt &&
+      existing.rule === "cooldown" &&
+      payload.rule === "cooldown" &&
+      payload.durationMs !== existing.durationMs
+    ) {
       setDurationDecision({ payload, existing });
       closeForm();
       return;
     }
 
-    if (!isEditing && extensionMode) {
+    if (!isEditing && extensionMode && payload.rule === "cooldown") {
       const stamp = Date.now();
       commitItem(
         {
@@ -262,11 +755,39 @@ export default function CooldownApp() {
       return;
     }
 
-    setItems((currentItems) => removeSite(currentItems, deleteTarget.id));
-    push(`"${deleteTarget.label || hostnameFromUrl(deleteTarget.url)}" eliminado.`, "success");
+    const name = deleteTarget.label || hostnameFromUrl(deleteTarget.url);
+    commitUndoable(
+      `eliminar "${name}"`,
+      moveSiteToTrash({ items, trash, history }, deleteTarget.id, Date.now()),
+      `"${name}" se ha movido a la papelera.`,
+    );
     setDeleteTarget(null);
   };
 
+  const handleRestoreFromTrash = (entry) => {
+    const name = entry.item.label || hostnameFromUrl(entry.item.url);
+    const restored = restoreSiteFromTrash({ items, trash, history }, entry.id, groups);
+    if (!restored) {
+      push(`Ya existe un sitio con el mismo identificador que "${name}".`, "error");
+      return;
+    }
+
+    commitUndoable(`restaurar "${name}"`, restored, `"${name}" restaurado.`);
+  };
+
+  const handlePurgeFromTrash = (entry) => {
+    const name = entry.item.label || hostnameFromUrl(entry.item.url);
+    commitUndoable(
+      `eliminar definitivamente "${name}"`,
+      { trash: purgeTrashEntry(trash, entry.id) },
+      `"${name}" eliminado definitivamente.`,
+    );
+  };
+
+  const handleEmptyTrash = () => {
+    commitUndoable("vaciar la papelera", { trash: [] }, "Papelera vaciada.");
+  };
+
   const handleDurationDecision = (mode) => {
     if (!durationDecision) {
       return;
@@ -277,7 +798,9 @@ export default function CooldownApp() {
       mode === "now"
         ? {
             ...payload,
-            endAt: existing.lastVisitedAt ? existing.lastVisitedAt + payload.durationMs : payload.endAt,
+            endAt: existing.lastVisitedAt
+              ? existing.lastVisitedAt + Math.round(payload.durationMs * existing.multiplier)
+              : payload.endAt,
           }
         : payload;
 
@@ -295,13 +818,31 @@ export default function CooldownApp() {
     setDurationDecision(null);
   };
 
-  const runCooldownAction = (action, id, message) => {
+  const runCooldownAction = (action, id, message, undoLabel = null) => {
     const stamp = Date.now();
     setNow(stamp);
-    setItems((currentItems) => action(currentItems, id, stamp));
+    const nextItems = action(items, id, stamp, { dayResetTime: settings.dayResetTime, groups });
+    if (undoLabel) {
+      commitUndoable(undoLabel, { items: nextItems }, message);
+      return stamp;
+    }
+
+    setItems(nextItems);
     if (message) {
       push(message, "success");
     }
+
+    return stamp;
+  };
+
+  const recordVisit = (item, source, stamp) => {
+    setHistory((currentHistory) =>
+      appendVisit(currentHistory, item.id, {
+        at: stamp,
+        source,
+        blocked: Boolean(item.endAt && item.endAt > stamp),
+      }),
+    );
   };
 
   const handleOpenSite = (item, event) => {
@@ -315,12 +856,111 @@ export default function CooldownApp() {
       return;
     }
 
-    runCooldownAction(startCooldown, item.id);
+    const stamp = runCooldownAction(startCooldown, item.id);
+    recordVisit(item, "app", stamp);
+  };
+
+  const handleMarkVisited = (item) => {
+    const message =
+      item.rule !== "cooldown" ? "Visita registrada." : extensionMode ? "Bloqueo activado." : "Cooldown iniciado.";
+    const stamp = runCooldownAction(startCooldown, item.id, message);
+    recordVisit(item, "manual", stamp);
+  };
+
+  const closeGroupForm = () => {
+    setEditingGroup(null);
+  };
+
+  const handleSaveGroup = (draft) => {
+    const stamp = Date.now();
+    const groupId = draft.id || uid();
+    setGroups((currentGroups) => upsertGroup(currentGroups, { ...draft, id: groupId }, stamp));
+    setItems((currentItems) => {
+      const assignedItems = assignGroupMembers(currentItems, groupId, draft.memberIds, stamp);
+      return draft.durationMs ? applyGroupDuration(assignedItems, groupId, draft.durationMs, stamp) : assignedItems;
+    });
+    push(draft.id ? "Grupo actualizado." : "Grupo creado.", "success");
+    closeGroupForm();
+  };
+
+  const handleDeleteGroupConfirmed = () => {
+    if (!deleteGroupTarget) {
+      return;
+    }
+
+    const stamp = Date.now();
+    void takeBackup("delete-group");
+    setGroups((currentGroups) => removeGroup(currentGroups, deleteGroupTarget.id));
+    setItems((currentItems) => assignGroupMembers(currentItems, deleteGroupTarget.id, [], stamp));
+    if (groupFilter === deleteGroupTarget.id) {
+      setGroupFilter(GROUP_FILTER_ALL);
+    }
+    push(`Grupo "${deleteGroupTarget.name}" eliminado.`, "success");
+    setDeleteGroupTarget(null);
+  };
+
+  const handleStartGroup = (group) => {
+    runCooldownAction(startGroupCooldown, group.id, `Grupo "${group.name}" iniciado.`);
+  };
+
+  const handleClearGroup = (group) => {
+    runCooldownAction(
+      clearGroupCooldown,
+      group.id,
+      `Grupo "${group.name}" limpiado.`,
+      `limpiar el grupo "${group.name}"`,
+    );
+  };
+
+  const handlePause = (until) => {
+    const stamp = Date.now();
+    setNow(stamp);
+    setSettings((currentSettings) => startPause(currentSettings, stamp, until));
+    push("Todas las reglas están en pausa.", "success");
   };
 
-  const handleExport = () => {
-    const payload = buildExportPayload(items, settings);
-    downloadJsonFile("cooldown-data.json", JSON.stringify(payload, null, 2));
+  const handleResume = () => {
+    const stamp = Date.now();
+    const resumed = resumeFromPause(items, settings, stamp);
+    setNow(stamp);
+    setItems(resumed.items);
+    setSettings(resumed.settings);
+    push("Reglas reanudadas.", "success");
+  };
+
+  const handleStartFocus = (draft) => {
+    const stamp = Date.now();
+    setNow(stamp);
+    setFocusSession(createFocusSession(draft, stamp));
+    setShowFocus(false);
+    push(
+      extensionMode ? "Sesión de enfoque iniciada." : "Sesión de enfoque iniciada. Solo la extensión bloquea sitios.",
+      "success",
+    );
+  };
+
+  const handleEndFocus = () => {
+    setFocusSession(null);
+    push("Sesión de enfoque terminada.", "success");
+  };
+
+  const handleExport = async ({ format = "json", includeTrash = false, passphrase = "" } = {}) => {
+    // The byte order mark makes spreadsheet apps read the CSV as UTF-8, so accents survive.
+    if (format === "sites-csv") {
+      const csv = buildSitesCsv(items, { now: timerNow, dayResetTime: settings.dayResetTime, usage });
+      downloadTextFile("cooldown-sitios.csv", `\uFEFF${csv}`, "text/csv");
+    } else if (format === "events-csv") {
+      downloadTextFile("cooldown-eventos.csv", `\uFEFF${buildEventsCsv(items, history, overrides)}`, "text/csv");
+    } else {
+      const payload = buildExportPayload(items, settings, { history, groups, trash: includeTrash ? trash : null });
+      const text = JSON.stringify(payload, null, 2);
+      if (passphrase) {
+        downloadJsonFile("cooldown-data.cifrado.json", await encryptExport(text, passphrase));
+      } else {
+        downloadJsonFile("cooldown-data.json", text);
+      }
+    }
+
     push("Datos exportados.", "success");
   };
 
@@ -335,17 +975,83 @@ export default function CooldownApp() {
       fallbackSettings: settings,
     });
 
-    if (parsed.hasItems) {
-      setItems(parsed.items);
+    setShowSettings(false);
+    if (parsed.format === "encrypted") {
+      setEncryptedImport({ fileName: file.name, envelope: parsed.envelope });
+      return;
+    }
+
+    setImportDraft({ fileName: file.name, parsed });
+  };
+
+  const handleDecryptImport = async (passphrase) => {
+    const text = await decryptExport(encryptedImport.envelope, passphrase);
+    const parsed = parseImportPayload(text, { now, fallbackSettings: settings });
+    if (parsed.format !== "json") {
+      throw new Error("El archivo cifrado no contiene una copia de Cooldown Tracker.");
+    }
+
+    setEncryptedImport(null);
+    setImportDraft({ fileName: encryptedImport.fileName, parsed });
+  };
+
+  const handleConfirmImport = (plan) => {
+    void takeBackup("import");
+    commitUndoable("importar datos", plan.changes, "Datos importados.");
+    setImportDraft(null);
+  };
+
+  const handleRestoreBackup = (backup) => {
+    const stamp = Date.now();
+    void takeBackup("restore");
+    setNow(stamp);
+    commitUndoable(
+      `restaurar la copia del ${formatDateTime(backup.at)}`,
+      restoreBackup({ items, groups, settings, trash, history }, backup, stamp),
+      "Copia de seguridad restaurada.",
+    );
+  };
+
+  const handleConnectBridge = async (extensionId) => {
+    const pairing = await requestBridgePairing(extensionId);
+    if (!pairing.paired) {
+      setBridgePairingCode(pairing.code);
+      try {
+        await waitForBridgePairing(extensionId);
+      } finally {
+        setBridgePairingCode(null);
+      }
     }
 
-    if (parsed.settings) {
-      setSettings(parsed.settings);
+    // Every loader picks its storage when the page starts, so switching to the extension's data needs a reload.
+    saveBridgeConfig({ extensionId, enabled: true });
+    window.location.reload();
+  };
+
+  const handleDisconnectBridge = () => {
+    saveBridgeConfig({ ...bridgeConfig, enabled: false });
+    window.location.reload();
+  };
+
+  const handleBridgeDecision = (approved) => {
+    const nextBridge = approved ? approveBridgePairing(bridge, Date.now()) : { ...bridge, pending: null };
+    setBridge(nextBridge);
+    void persist(saveStoredBridgeState(nextBridge));
+    if (approved) {
+      push(`${bridge.pending.origin} puede acceder a tus datos.`, "success");
     }
+  };
 
-    push("Datos importados.", "success");
+  const handleRevokeBridgeOrigin = (origin) => {
+    const nextBridge = revokeBridgeOrigin(bridge, origin);
+    setBridge(nextBridge);
+    void persist(saveStoredBridgeState(nextBridge));
+    push(`${origin} ya no puede acceder a tus datos.`, "success");
   };
 
+  const pendingBridgePairing =
+    extensionMode && bridge.pending && bridge.pending.requestedAt + BRIDGE_PAIRING_TTL_MS > now ? bridge.pending : null;
+
   return (
     <div className="min-h-screen bg-[#f6f7f9] text-slate-950">
       <header className="sticky top-0 z-20 border-b border-slate-200 bg-white/95 backdrop-blur">
@@ -391,7 +1097,66 @@ export default function CooldownApp() {
               ))}
             </div>
 
+            {groups.length ? (
+              <div className="flex items-center gap-2">
+                <select
+                  value={groupFilter}
+                  onChange={(event) => setGroupFilter(event.target.value)}
+                  aria-label="Filtrar por grupo"
+                  className="h-10 rounded-lg border border-slate-200 bg-white px-3 text-sm text-slate-700 transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+                >
+                  <option value={GROUP_FILTER_ALL}>Todos los grupos</option>
+                  <option value={GROUP_FILTER_NONE}>Sin grupo</option>
+                  {groups.map((group) => (
+                    <option key={group.id} value={group.id}>
+                      {group.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => setGroupedView((current) => !current)}
+                  aria-pressed={groupedView}
+                  className={`h-10 rounded-lg border px-3 text-sm font-medium transition ${
+                    groupedView
+                      ? "border-slate-950 bg-slate-950 text-white"
+                      : "border-slate-200 bg-white text-slate-700 hover:border-slate-300 hover:bg-slate-50"
+                  }`}
+                >
+                  Agrupar
+                </button>
+              </div>
+            ) : null}
+
             <div className="flex items-center gap-2">
+              <button
+                type="button"
+                onClick={() => setStatsTarget("")}
+                className="inline-flex h-10 w-10 items-center justify-center rounded-lg border border-slate-200 bg-white text-slate-700 transition hover:border-slate-300 hover:bg-slate-50 hover:text-slate-950"
+                title="Estadísticas"
+                aria-label="Abrir estadísticas"
+              >
+                <ChartIcon />
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowFocus(true)}
+                disabled={Boolean(focusSession)}
+                className="inline-flex h-10 w-10 items-center justify-center rounded-lg border border-slate-200 bg-white text-slate-700 transition hover:border-slate-300 hover:bg-slate-50 hover:text-slate-950 disabled:cursor-not-allowed disabled:opacity-50"
+                title="Sesión de enfoque"
+                aria-label="Empezar una sesión de enfoque"
+              >
+                <FocusIcon />
+              </button>
+              <button
+                type="button"
+                onClick={() => setShowGroups(true)}
+                className="inline-flex h-10 w-10 items-center justify-center rounded-lg border border-slate-200 bg-white text-slate-700 transition hover:border-slate-300 hover:bg-slate-50 hover:text-slate-950"
+                title="Grupos"
+                aria-label="Gestionar grupos"
+              >
+                <GroupIcon />
+              </button>
               <button
                 type="button"
                 onClick={() => setShowSettings(true)}
@@ -415,6 +1180,67 @@ export default function CooldownApp() {
             </div>
           </div>
         </div>
+        {storageError ? (
+          <div className="border-t border-rose-200 bg-rose-50" role="alert">
+            <div className="mx-auto max-w-7xl px-4 py-3 text-sm text-rose-900 sm:px-6">
+              <p className="font-semibold">No se pudieron actualizar los datos guardados</p>
+              <p className="text-rose-800">
+                Se usan tal como estaban y se volverá a intentar la próxima vez que abras la aplicación.{" "}
+                {storageError.message}
+              </p>
+            </div>
+          </div>
+        ) : null}
+        {focusPhase ? (
+          <div className="border-t border-indigo-200 bg-indigo-50">
+            <div className="mx-auto flex max-w-7xl flex-wrap items-center justify-between gap-3 px-4 py-3 sm:px-6">
+              <div className="text-sm text-indigo-900">
+                <p className="font-semibold">
+                  {focusPhase.phase === "focus" ? "Sesión de enfoque" : "Descanso"}
+                  {focusPhase.cycles > 1 ? ` · bloque ${focusPhase.cycle} de ${focusPhase.cycles}` : ""}
+                  <span className="ml-2 font-mono tabular-nums">{formatClock(focusPhase.endsAt - now)}</span>
+                </p>
+                <p className="text-indigo-800">
+                  {focusPhase.phase === "focus"
+                    ? `${getFocusSiteIds(focusSession, items).size} sitios bloqueados hasta el final del bloque.`
+                    : "Los sitios de la sesión están accesibles hasta que empiece el siguiente bloque."}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={handleEndFocus}
+                className="inline-flex h-9 items-center rounded-lg bg-indigo-900 px-4 text-sm font-medium text-white transition hover:bg-indigo-800"
+              >
+                Terminar sesión
+              </button>
+            </div>
+          </div>
+        ) : null}
+        {paused ? (
+          <div className="border-t border-amber-200 bg-amber-50">
+            <div className="mx-auto flex max-w-7xl flex-wrap items-center justify-between gap-3 px-4 py-3 sm:px-6">
+              <div className="text-sm text-amber-900">
+                <p className="font-semibold">
+                  {settings.pauseUntil
+                    ? `Reglas en pausa hasta ${formatScheduleBoundary(settings.pauseUntil, now)}`
+                    : "Reglas en pausa"}
+                </p>
+                <p className="text-amber-800">
+                  {settings.pauseMode === "freeze"
+                    ? "Los temporizadores están congelados y conservan el tiempo restante."
+                    : "Nada se bloquea, pero los temporizadores siguen corriendo."}
+                </p>
+              </div>
+              <button
+                type="button"
+                onClick={handleResume}
+                className="inline-flex h-9 items-center rounded-lg bg-amber-900 px-4 text-sm font-medium text-white transition hover:bg-amber-800"
+              >
+                Reanudar
+              </button>
+            </div>
+          </div>
+        ) : null}
       </header>
 
       <main className="mx-auto max-w-7xl px-4 py-6 sm:px-6">
@@ -445,32 +1271,84 @@ export default function CooldownApp() {
         {visibleItems.length === 0 ? (
           <EmptyState onAdd={() => setShowForm(true)} />
         ) : (
-          <ul className="grid gap-3 md:grid-cols-2 xl:grid-cols-3" aria-live="polite">
-            {visibleItems.map((item) => (
-              <li key={item.id}>
-                <SiteCard
-                  item={item}
-                  now={now}
-                  extensionMode={extensionMode}
-                  onOpen={(event) => handleOpenSite(item, event)}
-                  onStart={() =>
-                    runCooldownAction(
-                      startCooldown,
-                      item.id,
-                      extensionMode ? "Bloqueo activado." : "Cooldown iniciado.",
-                    )
-                  }
-                  onReset={() => runCooldownAction(resetCooldown, item.id, "Cooldown reiniciado.")}
-                  onClear={() => runCooldownAction(clearCooldown, item.id, "Cooldown limpiado.")}
-                  onEdit={() => {
-                    setEditing(item);
-                    setShowForm(true);
-                  }}
-                  onDelete={() => setDeleteTarget(item)}
-                />
-              </li>
+          <div className="space-y-6" aria-live="polite">
+            {sections.map((section) => (
+              <section key={section.group?.id ?? "ungrouped"}>
+                {groupedView ? (
+                  <div className="mb-3 flex flex-wrap items-center gap-3">
+                    <h2 className="text-sm font-semibold text-slate-900">{section.group?.name ?? "Sin grupo"}</h2>
+                    {section.group?.linked ? (
+                      <span className="rounded-md bg-slate-100 px-2 py-0.5 text-xs font-medium text-slate-700">
+                        Compartido
+                      </span>
+                    ) : null}
+                    {section.group ? (
+                      <div className="ml-auto flex gap-2">
+                        <button
+                          type="button"
+                          onClick={() => handleStartGroup(section.group)}
+                          className="rounded-md px-2 py-1 text-sm font-medium text-slate-700 transition hover:bg-slate-100"
+                        >
+                          Iniciar grupo
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleClearGroup(section.group)}
+                          className="rounded-md px-2 py-1 text-sm font-medium text-slate-700 transition hover:bg-slate-100"
+                        >
+                          Limpiar grupo
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setEditingGroup(section.group)}
+                          className="rounded-md px-2 py-1 text-sm font-medium text-slate-700 transition hover:bg-slate-100"
+                        >
+                          Editar
+                        </button>
+                      </div>
+                    ) : null}
+                  </div>
+                ) : null}
+                <ul className="grid gap-3 md:grid-cols-2 xl:grid-cols-3">
+                  {section.items.map((item) => (
+                    <li key={item.id}>
+                      <SiteCard
+                        item={item}
+                        now={timerNow}
+                        dayResetTime={settings.dayResetTime}
+                        usage={usage}
+                        extensionMode={extensionMode}
+                        onOpen={(event) => handleOpenSite(item, event)}
+                        onStart={() => handleMarkVisited(item)}
+                        onReset={() =>
+                          runCooldownAction(
+                            resetCooldown,
+                            item.id,
+                            "Cooldown reiniciado.",
+                            `reiniciar "${item.label || hostnameFromUrl(item.url)}"`,
+                          )
+                        }
+                        onClear={() =>
+                          runCooldownAction(
+                            clearCooldown,
+                            item.id,
+                            "Cooldown limpiado.",
+                            `limpiar "${item.label || hostnameFromUrl(item.url)}"`,
+                          )
+                        }
+                        onEdit={() => {
+                          setEditing(item);
+                          setShowForm(true);
+                        }}
+                        onDelete={() => setDeleteTarget(item)}
+                        onStats={() => setStatsTarget(item.id)}
+                      />
+                    </li>
+                  ))}
+                </ul>
+              </section>
             ))}
-          </ul>
+          </div>
         )}
       </main>
 
@@ -480,24 +1358,162 @@ export default function CooldownApp() {
           : "Las notificaciones con la pestaña totalmente cerrada requieren Web Push o un backend."}
       </footer>
 
-      <ToastViewport toasts={toasts} />
+      <ToastViewport toasts={toasts} onDismiss={dismiss} />
 
       {showSettings ? (
         <SettingsPanel
           settings={settings}
           setSettings={setSettings}
           onClose={() => setShowSettings(false)}
+          trashCount={trash.length}
+          backups={backups}
+          onRestoreBackup={handleRestoreBackup}
+          extensionMode={extensionMode}
+          bridgeOrigins={bridge.origins}
+          onRevokeBridgeOrigin={handleRevokeBridgeOrigin}
+          bridgeConfig={bridgeConfig}
+          bridgeConnected={usesBridgeStorage()}
+          bridgePairingCode={bridgePairingCode}
+          onConnectBridge={handleConnectBridge}
+          onDisconnectBridge={handleDisconnectBridge}
+          sync={sync}
+          syncStatus={syncStatus}
+          onChangeSync={setSync}
+          serverSync={serverSync}
+          serverSyncStatus={serverSyncStatus}
+          onChangeServerSync={setServerSync}
+          onSyncServerNow={extensionMode ? null : runServerSync}
+          hasEvents={hasCsvEvents(history, overrides)}
           onExport={handleExport}
           onImport={handleImport}
+          onOpenTrash={() => {
+            setShowSettings(false);
+            setShowTrash(true);
+          }}
+          onPause={handlePause}
+          onResume={handleResume}
           onToggleNotifications={toggleNotifications}
           notifSupported={supported}
           permission={permission}
         />
       ) : null}
 
+      {statsTarget !== null ? (
+        <StatsPanel
+          items={items}
+          history={history}
+          overrides={overrides}
+          now={now}
+          initialSiteId={statsTarget}
+          onClose={() => setStatsTarget(null)}
+        />
+      ) : null}
+
+      {encryptedImport ? (
+        <PassphraseDialog
+          fileName={encryptedImport.fileName}
+          onClose={() => setEncryptedImport(null)}
+          onSubmit={handleDecryptImport}
+        />
+      ) : null}
+
+      {importDraft ? (
+        <ImportWizard
+          fileName={importDraft.fileName}
+          parsed={importDraft.parsed}
+          current={{ items, groups, trash, settings, history }}
+          onClose={() => setImportDraft(null)}
+          onConfirm={handleConfirmImport}
+        />
+      ) : null}
+
+      {showTrash ? (
+        <TrashPanel
+          trash={trash}
+          now={now}
+          onClose={() => setShowTrash(false)}
+          onRestore={handleRestoreFromTrash}
+          onPurge={handlePurgeFromTrash}
+          onEmpty={handleEmptyTrash}
+        />
+      ) : null}
+
+      {showFocus ? (
+        <FocusModal items={items} groups={groups} onClose={() => setShowFocus(false)} onStart={handleStartFocus} />
+      ) : null}
+
+      {showGroups ? (
+        <GroupsPanel
+          groups={groups}
+          items={items}
+          now={timerNow}
+          onClose={() => setShowGroups(false)}
+          onCreate={() => setEditingGroup({})}
+          onEdit={(group) => setEditingGroup(group)}
+          onDelete={(group) => setDeleteGroupTarget(group)}
+          onStart={handleStartGroup}
+          onClear={handleClearGroup}
+        />
+      ) : null}
+
+      {editingGroup ? (
+        <GroupModal
+          initial={editingGroup.id ? editingGroup : null}
+          items={items}
+          groups={groups}
+          defaultDurationMs={settings.defaultDurationMs}
+          onClose={closeGroupForm}
+          onSave={handleSaveGroup}
+        />
+      ) : null}
+
+      {pendingBridgePairing ? (
+        <ActionDialog
+          title="Vincular la aplicación web"
+          description={
+            `${pendingBridgePairing.origin} quiere leer y modificar tus sitios, ajustes e historial. ` +
+            `Permítelo solo si esa página muestra el código ${pendingBridgePairing.code}.`
+          }
+          onClose={() => handleBridgeDecision(false)}
+          actions={[
+            {
+              label: "Rechazar",
+              tone: "secondary",
+              onSelect: () => handleBridgeDecision(false),
+            },
+            {
+              label: "Permitir",
+              tone: "primary",
+              onSelect: () => handleBridgeDecision(true),
+            },
+          ]}
+        />
+      ) : null}
+
+      {deleteGroupTarget ? (
+        <ActionDialog
+          title="Eliminar grupo"
+          description={`Se eliminará el grupo "${deleteGroupTarget.name}". Sus sitios se conservan sin grupo.`}
+          onClose={() => setDeleteGroupTarget(null)}
+          actions={[
+            {
+              label: "Cancelar",
+              tone: "secondary",
+              onSelect: () => setDeleteGroupTarget(null),
+            },
+            {
+              label: "Eliminar",
+              tone: "danger",
+              onSelect: handleDeleteGroupConfirmed,
+            },
+          ]}
+        />
+      ) : null}
+
       {showForm ? (
         <AddEditModal
           initial={editing}
+          groups={groups}
           defaultDurationMs={settings.defaultDurationMs}
           onClose={closeForm}
           onSave={handleSaveItem}
@@ -507,7 +1523,7 @@ export default function CooldownApp() {
       {deleteTarget ? (
         <ActionDialog
           title="Eliminar sitio"
-          description={`Se eliminará "${deleteTarget.label || hostnameFromUrl(deleteTarget.url)}" y su estado de cooldown.`}
+          description={`"${deleteTarget.label || hostnameFromUrl(deleteTarget.url)}" se moverá a la papelera. Podrás restaurarlo con su configuración durante 30 días.`}
           onClose={() => setDeleteTarget(null)}
           actions={[
             {
@@ -516,7 +1532,7 @@ export default function CooldownApp() {
               onSelect: () => setDeleteTarget(null),
             },
             {
-              label: "Eliminar",
+              label: "Mover a la papelera",
               tone: "danger",
               onSelect: handleDeleteConfirmed,
             },
@@ -583,6 +1599,34 @@ function SearchIcon() {
   );
 }
 
+function ChartIcon() {
+  return (
+    <svg className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+      <path d="M2 11a1 1 0 011-1h2a1 1 0 011 1v5a1 1 0 01-1 1H3a1 1 0 01-1-1v-5zM8 7a1 1 0 011-1h2a1 1 0 011 1v9a1 1 0 01-1 1H9a1 1 0 01-1-1V7zM14 4a1 1 0 011-1h2a1 1 0 011 1v12a1 1 0 01-1 1h-2a1 1 0 01-1-1V4z" />
+    </svg>
+  );
+}
+
+function FocusIcon() {
+  return (
+    <svg className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+      <path
+        fillRule="evenodd"
+        d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-12a1 1 0 10-2 0v4a1 1 0 00.293.707l2.828 2.829a1 1 0 101.415-1.415L11 9.586V6z"
+        clipRule="evenodd"
+      />
+    </svg>
+  );
+}
+
+function GroupIcon() {
+  return (
+    <svg className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+      <path d="M2 6a2 2 0 012-2h5l2 2h5a2 2 0 012 2v6a2 2 0 01-2 2H4a2 2 0 01-2-2V6z" />
+    </svg>
+  );
+}
+
 function SettingsIcon() {
   return (
     <svg className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
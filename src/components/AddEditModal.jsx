@@ -2,9 +2,27 @@ import React, { useEffect, useMemo, useRef, useState } from "react";
 import DialogShell from "./DialogShell.jsx";
 import DurationInput from "./DurationInput.jsx";
 import FaviconBadge from "./FaviconBadge.jsx";
+import ScheduleEditor from "./ScheduleEditor.jsx";
+import {
+  DEFAULT_BUDGET_MS,
+  DEFAULT_ESCALATION,
+  DEFAULT_QUOTA_LIMIT,
+  ESCALATION_FACTORS,
+  MAX_QUOTA_LIMIT,
+} from "../lib/constants.js";
+import {
+  PATTERN_PLACEHOLDERS,
+  isPatternScope,
+  matchesException,
+  matchesPattern,
+  normalizeExceptions,
+  validateExceptions,
+  validatePattern,
+} from "../lib/patterns.js";
+import { validateSchedule } from "../lib/schedule.js";
 import { buildFaviconUrl, clampMinutes, hostnameFromUrl, isExtensionContext, normalizeUrl } from "../lib/utils.js";
 
-export default function AddEditModal({ initial, defaultDurationMs, onClose, onSave }) {
+export default function AddEditModal({ initial, groups = [], defaultDurationMs, onClose, onSave }) {
   const inputRef = useRef(null);
   const closeButtonRef = useRef(null);
   const [url, setUrl] = useState(initial?.url || "");
@@ -17,9 +35,23 @@ export default function AddEditModal({ initial, defaultDurationMs, onClose, onSa
     return initial.label !== hostnameFromUrl(initial.url);
   });
   const [scope, setScope] = useState(initial?.scope || "domain");
+  const [pattern, setPattern] = useState(initial?.pattern || "");
+  const [testUrl, setTestUrl] = useState("");
+  const [exceptionsText, setExceptionsText] = useState(() => (initial?.exceptions || []).join("\n"));
+  const [groupId, setGroupId] = useState(initial?.groupId || "");
   const [minutes, setMinutes] = useState(
     initial ? Math.round(initial.durationMs / 60_000) : Math.max(1, Math.round(defaultDurationMs / 60_000)),
   );
+  const [rule, setRule] = useState(initial?.rule || "cooldown");
+  const [budgetMinutes, setBudgetMinutes] = useState(Math.round((initial?.budgetMs ?? DEFAULT_BUDGET_MS) / 60_000));
+  const [quotaLimit, setQuotaLimit] = useState(String(initial?.quotaLimit ?? DEFAULT_QUOTA_LIMIT));
+  const initialEscalation = initial?.escalation || DEFAULT_ESCALATION;
+  const [escalationOn, setEscalationOn] = useState(Boolean(initial?.escalation));
+  const [escalationFactor, setEscalationFactor] = useState(initialEscalation.factor);
+  const [maxMultiplier, setMaxMultiplier] = useState(String(initialEscalation.maxMultiplier));
+  const [windowMinutes, setWindowMinutes] = useState(String(Math.round(initialEscalation.windowMs / 60_000)));
+  const [decayHours, setDecayHours] = useState(String(Math.round(initialEscalation.decayMs / 3_600_000)));
+  const [schedule, setSchedule] = useState(() => initial?.schedule || []);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [formError, setFormError] = useState("");
 
@@ -32,7 +64,19 @@ export default function AddEditModal({ initial, defaultDurationMs, onClose, onSa
   const normalizedUrl = useMemo(() => normalizeUrl(url), [url]);
   const host = normalizedUrl ? hostnameFromUrl(normalizedUrl) : "";
   const favicon = normalizedUrl ? buildFaviconUrl(normalizedUrl) : null;
-  const isValid = Boolean(normalizedUrl) && minutes > 0;
+  const safeQuotaLimit = Math.min(MAX_QUOTA_LIMIT, clampMinutes(quotaLimit, 0));
+  const patternError = validatePattern(scope, pattern);
+  const previewUrl = normalizeUrl(testUrl) || normalizedUrl;
+  const previewMatches = previewUrl && !patternError ? matchesPattern(scope, pattern, previewUrl) : false;
+  const exceptionsError = scope === "exact" ? "" : validateExceptions(exceptionsText);
+  const previewExempt =
+    previewMatches && !exceptionsError && matchesException(normalizeExceptions(exceptionsText), previewUrl);
+  const isValid =
+    Boolean(normalizedUrl) &&
+    minutes > 0 &&
+    (rule !== "quota" || safeQuotaLimit > 0) &&
+    !patternError &&
+    !exceptionsError;
 
   useEffect(() => {
     if (!host) {
@@ -58,6 +102,22 @@ export default function AddEditModal({ initial, defaultDurationMs, onClose, onSa
       return;
     }
 
+    if (patternError) {
+      setFormError(patternError);
+      return;
+    }
+
+    if (exceptionsError) {
+      setFormError(exceptionsError);
+      return;
+    }
+
+    const scheduleError = validateSchedule(schedule);
+    if (scheduleError) {
+      setFormError(scheduleError);
+      return;
+    }
+
     setIsSubmitting(true);
     setFormError("");
 
@@ -71,7 +131,25 @@ export default function AddEditModal({ initial, defaultDurationMs, onClose, onSa
         url: safeUrl,
         label: (label || hostName).trim(),
         scope,
+        pattern: isPatternScope(scope) ? pattern.trim() : null,
+        exceptions: scope === "exact" ? [] : normalizeExceptions(exceptionsText),
+        groupId: groupId || null,
+        rule,
         durationMs,
+        escalation: escalationOn
+          ? {
+              factor: escalationFactor,
+              maxMultiplier: clampMinutes(maxMultiplier, DEFAULT_ESCALATION.maxMultiplier),
+              windowMs: clampMinutes(windowMinutes, DEFAULT_ESCALATION.windowMs / 60_000) * 60_000,
+              decayMs: clampMinutes(decayHours, DEFAULT_ESCALATION.decayMs / 3_600_000) * 3_600_000,
+            }
+          : null,
+        multiplier: initial?.multiplier ?? 1,
+        budgetMs: Math.max(60_000, budgetMinutes * 60_000),
+        quotaLimit: safeQuotaLimit || DEFAULT_QUOTA_LIMIT,
+        quotaUsed: initial?.quotaUsed ?? 0,
+        quotaPeriodStart: initial?.quotaPeriodStart ?? null,
+        schedule,
         endAt: initial?.endAt ?? null,
         lastVisitedAt: initial?.lastVisitedAt ?? null,
         favicon: buildFaviconUrl(safeUrl),
@@ -186,13 +264,154 @@ export default function AddEditModal({ initial, defaultDurationMs, onClose, onSa
           />
         </div>
 
-        <div className="space-y-2">
-          <label htmlFor="site-duration" className="block text-sm font-medium text-slate-700">
-            Tiempo de cooldown
-          </label>
-          <DurationInput inputId="site-duration" minutes={minutes} onChangeMinutes={setMinutes} />
+        {groups.length ? (
+          <div className="space-y-2">
+            <label htmlFor="site-group" className="block text-sm font-medium text-slate-700">
+              Grupo
+            </label>
+            <select
+              id="site-group"
+              value={groupId}
+              onChange={(event) => setGroupId(event.target.value)}
+              className="block w-full rounded-lg border border-slate-300 px-3 py-2.5 text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+            >
+              <option value="">Sin grupo</option>
+              {groups.map((group) => (
+                <option key={group.id} value={group.id}>
+                  {group.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        ) : null}
+
+        <div className="space-y-3">
+          <span className="block text-sm font-medium text-slate-700">Tipo de regla</span>
+          <div className="grid grid-cols-1 gap-3 sm:grid-cols-3">
+            <ScopeButton
+              selected={rule === "cooldown"}
+              title="Cooldown"
+              description="Cada visita inicia una espera fija antes de la siguiente."
+              onClick={() => setRule("cooldown")}
+            />
+            <ScopeButton
+              selected={rule === "quota"}
+              title="Cupo diario"
+              description="Permite un número de visitas por día y bloquea hasta que el cupo se renueva."
+              onClick={() => setRule("quota")}
+            />
+            <ScopeButton
+              selected={rule === "budget"}
+              title="Tiempo diario"
+              description="Permite un tiempo diario con la pestaña activa. Solo lo mide la extensión."
+              onClick={() => setRule("budget")}
+            />
+          </div>
         </div>
 
+        {rule === "budget" ? (
+          <div className="space-y-2">
+            <label htmlFor="site-budget" className="block text-sm font-medium text-slate-700">
+              Tiempo diario permitido
+            </label>
+            <DurationInput inputId="site-budget" minutes={budgetMinutes} onChangeMinutes={setBudgetMinutes} />
+            <p className="text-xs text-slate-500">La hora de renovación se configura en los ajustes.</p>
+          </div>
+        ) : rule === "quota" ? (
+          <div className="space-y-2">
+            <label htmlFor="site-quota" className="block text-sm font-medium text-slate-700">
+              Visitas por día
+            </label>
+            <div className="flex items-center gap-3">
+              <input
+                id="site-quota"
+                type="number"
+                min={1}
+                max={MAX_QUOTA_LIMIT}
+                value={quotaLimit}
+                onChange={(event) => setQuotaLimit(event.target.value)}
+                className="w-28 rounded-lg border border-slate-300 px-3 py-2.5 text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+              />
+              <span className="text-sm text-slate-600">visitas</span>
+            </div>
+            <p className="text-xs text-slate-500">La hora de renovación se configura en los ajustes.</p>
+          </div>
+        ) : (
+          <div className="space-y-2">
+            <label htmlFor="site-duration" className="block text-sm font-medium text-slate-700">
+              Tiempo de cooldown
+            </label>
+            <DurationInput inputId="site-duration" minutes={minutes} onChangeMinutes={setMinutes} />
+            <div className="space-y-3 rounded-lg border border-slate-200 p-4">
+              <label className="flex items-start gap-3">
+                <input
+                  type="checkbox"
+                  checked={escalationOn}
+                  onChange={(event) => setEscalationOn(event.target.checked)}
+                  className="mt-0.5 h-4 w-4 rounded border-slate-300 text-slate-950 focus:ring-slate-300"
+                />
+                <span>
+                  <span className="block text-sm font-medium text-slate-700">Cooldown progresivo</span>
+                  <span className="block text-xs text-slate-500">
+                    Volver poco después de que termine el cooldown multiplica el siguiente. Tras un periodo sin
+                    visitas, el multiplicador vuelve a bajar.
+                  </span>
+                </span>
+              </label>
+
+              {escalationOn ? (
+                <div className="grid grid-cols-2 gap-3">
+                  <EscalationField label="Multiplicar por" htmlFor="escalation-factor">
+                    <select
+                      id="escalation-factor"
+                      value={escalationFactor}
+                      onChange={(event) => setEscalationFactor(Number(event.target.value))}
+                      className={ESCALATION_INPUT_CLASS_NAME}
+                    >
+                      {ESCALATION_FACTORS.map((factor) => (
+                        <option key={factor} value={factor}>
+                          x{factor}
+                        </option>
+                      ))}
+                    </select>
+                  </EscalationField>
+                  <EscalationField label="Multiplicador máximo" htmlFor="escalation-max">
+                    <input
+                      id="escalation-max"
+                      type="number"
+                      min={2}
+                      max={64}
+                      value={maxMultiplier}
+                      onChange={(event) => setMaxMultiplier(event.target.value)}
+                      className={ESCALATION_INPUT_CLASS_NAME}
+                    />
+                  </EscalationField>
+                  <EscalationField label="Vuelta rápida (minutos)" htmlFor="escalation-window">
+                    <input
+                      id="escalation-window"
+                      type="number"
+                      min={1}
+                      value={windowMinutes}
+                      onChange={(event) => setWindowMinutes(event.target.value)}
+                      className={ESCALATION_INPUT_CLASS_NAME}
+                    />
+                  </EscalationField>
+                  <EscalationField label="Periodo de calma (horas)" htmlFor="escalation-decay">
+                    <input
+                      id="escalation-decay"
+                      type="number"
+                      min={1}
+                      value={decayHours}
+                      onChange={(event) => setDecayHours(event.target.value)}
+                      className={ESCALATION_INPUT_CLASS_NAME}
+                    />
+                  </EscalationField>
+                </div>
+              ) : null}
+            </div>
+          </div>
+        )}
+
         <div className="space-y-3 pt-2">
           <span className="block text-sm font-medium text-slate-700">
             {extensionMode ? "Ámbito de bloqueo" : "Ámbito para la extensión"}
@@ -218,7 +437,108 @@ export default function AddEditModal({ initial, defaultDurationMs, onClose, onSa
               }
               onClick={() => setScope("exact")}
             />
+            <ScopeButton
+              selected={scope === "prefix"}
+              title="Prefijo de ruta"
+              description="Bloquea las direcciones que empiezan por el prefijo, como youtube.com/shorts/."
+              onClick={() => setScope("prefix")}
+            />
+            <ScopeButton
+              selected={scope === "wildcard"}
+              title="Comodín"
+              description="Usa * para cualquier texto, como *.reddit.com/r/all*."
+              onClick={() => setScope("wildcard")}
+            />
+            <ScopeButton
+              selected={scope === "regex"}
+              title="Expresión regular"
+              description="Para casos avanzados; se compara con la URL completa."
+              onClick={() => setScope("regex")}
+            />
           </div>
+
+          {isPatternScope(scope) ? (
+            <div className="space-y-3 rounded-lg border border-slate-200 p-3">
+              <div className="space-y-1">
+                <label htmlFor="site-pattern" className="block text-xs font-medium text-slate-600">
+                  Patrón
+                </label>
+                <input
+                  id="site-pattern"
+                  type="text"
+                  spellCheck={false}
+                  placeholder={PATTERN_PLACEHOLDERS[scope]}
+                  value={pattern}
+                  onChange={(event) => {
+                    setPattern(event.target.value);
+                    setFormError("");
+                  }}
+                  className={`${ESCALATION_INPUT_CLASS_NAME} font-mono`}
+                />
+                {patternError ? <p className="text-xs text-rose-600">{patternError}</p> : null}
+              </div>
+              <div className="space-y-1">
+                <label htmlFor="site-pattern-test" className="block text-xs font-medium text-slate-600">
+                  Probar con una URL
+                </label>
+                <input
+                  id="site-pattern-test"
+                  type="text"
+                  placeholder={normalizedUrl || "https://ejemplo.com/ruta"}
+                  value={testUrl}
+                  onChange={(event) => setTestUrl(event.target.value)}
+                  className={ESCALATION_INPUT_CLASS_NAME}
+                />
+                {!patternError && previewUrl ? (
+                  <p className={`text-xs ${previewMatches && !previewExempt ? "text-emerald-700" : "text-slate-500"}`}>
+                    {previewExempt
+                      ? "Coincide, pero una excepción la deja accesible."
+                      : previewMatches
+                        ? "Coincide: esta dirección se bloquearía."
+                        : "No coincide con el patrón."}
+                  </p>
+                ) : null}
+              </div>
+            </div>
+          ) : null}
+
+          {scope !== "exact" ? (
+            <div className="space-y-1">
+              <label htmlFor="site-exceptions" className="block text-xs font-medium text-slate-600">
+                Excepciones (una por línea)
+              </label>
+              <textarea
+                id="site-exceptions"
+                rows={3}
+                spellCheck={false}
+                placeholder={"docs.google.com\nyoutube.com/feed/subscriptions*"}
+                value={exceptionsText}
+                onChange={(event) => {
+                  setExceptionsText(event.target.value);
+                  setFormError("");
+                }}
+                className={`${ESCALATION_INPUT_CLASS_NAME} font-mono`}
+              />
+              {exceptionsError ? (
+                <p className="text-xs text-rose-600">{exceptionsError}</p>
+              ) : (
+                <p className="text-xs text-slate-500">
+                  Subdominios o rutas que siguen accesibles durante el bloqueo. Admiten el comodín *.
+                </p>
+              )}
+            </div>
+          ) : null}
+        </div>
+
+        <div className="space-y-3">
+          <span className="block text-sm font-medium text-slate-700">Horario del cooldown</span>
+          <ScheduleEditor
+            schedule={schedule}
+            onChange={(nextSchedule) => {
+              setSchedule(nextSchedule);
+              setFormError("");
+            }}
+          />
         </div>
 
         {formError ? <p className="rounded-lg bg-rose-50 px-3 py-2 text-sm text-rose-700">{formError}</p> : null}
@@ -248,6 +568,20 @@ export default function AddEditModal({ initial, defaultDurationMs, onClose, onSa
   );
 }
 
+const ESCALATION_INPUT_CLASS_NAME =
+  "block w-full rounded-lg border border-slate-300 px-3 py-2 text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200";
+
+function EscalationField({ label, htmlFor, children }) {
+  return (
+    <div className="space-y-1">
+      <label htmlFor={htmlFor} className="block text-xs font-medium text-slate-600">
+        {label}
+      </label>
+      {children}
+    </div>
+  );
+}
+
 function ScopeButton({ selected, title, description, onClick }) {
   return (
     <button
@@ -0,0 +1,184 @@
+import React, { useRef, useState } from "react";
+import DialogShell from "./DialogShell.jsx";
+import DurationInput from "./DurationInput.jsx";
+import { DEFAULT_FOCUS } from "../lib/constants.js";
+import { clampMinutes, hostnameFromUrl } from "../lib/utils.js";
+
+export default function FocusModal({ items, groups, onClose, onStart }) {
+  const closeButtonRef = useRef(null);
+  const [siteIds, setSiteIds] = useState([]);
+  const [groupIds, setGroupIds] = useState([]);
+  const [focusMinutes, setFocusMinutes] = useState(DEFAULT_FOCUS.focusMinutes);
+  const [pomodoro, setPomodoro] = useState(false);
+  const [breakMinutes, setBreakMinutes] = useState(String(DEFAULT_FOCUS.breakMinutes));
+  const [cycles, setCycles] = useState(String(DEFAULT_FOCUS.cycles));
+  const isValid = siteIds.length > 0 || groupIds.length > 0;
+
+  const toggle = (setter, id) => {
+    setter((currentIds) => (currentIds.includes(id) ? currentIds.filter((value) => value !== id) : [...currentIds, id]));
+  };
+
+  const start = () => {
+    if (!isValid) {
+      return;
+    }
+
+    onStart({
+      siteIds,
+      groupIds,
+      focusMinutes,
+      breakMinutes: pomodoro ? clampMinutes(breakMinutes, DEFAULT_FOCUS.breakMinutes) : 0,
+      cycles: pomodoro ? clampMinutes(cycles, DEFAULT_FOCUS.cycles) : 1,
+    });
+  };
+
+  return (
+    <DialogShell
+      titleId="focus-modal-title"
+      descriptionId="focus-modal-description"
+      onClose={onClose}
+      initialFocusRef={closeButtonRef}
+      panelClassName="overflow-hidden"
+    >
+      <div className="border-b border-slate-100 px-6 py-5">
+        <h2 id="focus-modal-title" className="text-xl font-semibold text-slate-900">
+          Sesión de enfoque
+        </h2>
+        <p id="focus-modal-description" className="mt-1 text-sm text-slate-500">
+          Bloquea los sitios elegidos durante la sesión, aunque su cooldown haya terminado.
+        </p>
+      </div>
+
+      <div className="max-h-[70vh] space-y-6 overflow-y-auto px-6 py-6">
+        {groups.length ? (
+          <div className="space-y-2">
+            <span className="block text-sm font-medium text-slate-700">Grupos</span>
+            <ChecklistBox>
+              {groups.map((group) => (
+                <ChecklistRow
+                  key={group.id}
+                  label={group.name}
+                  checked={groupIds.includes(group.id)}
+                  onChange={() => toggle(setGroupIds, group.id)}
+                />
+              ))}
+            </ChecklistBox>
+          </div>
+        ) : null}
+
+        <div className="space-y-2">
+          <span className="block text-sm font-medium text-slate-700">Sitios</span>
+          {items.length ? (
+            <ChecklistBox>
+              {items.map((item) => (
+                <ChecklistRow
+                  key={item.id}
+                  label={item.label || hostnameFromUrl(item.url)}
+                  checked={siteIds.includes(item.id)}
+                  onChange={() => toggle(setSiteIds, item.id)}
+                />
+              ))}
+            </ChecklistBox>
+          ) : (
+            <p className="text-sm text-slate-500">Todavía no hay sitios guardados.</p>
+          )}
+        </div>
+
+        <div className="space-y-3">
+          <label htmlFor="focus-duration" className="block text-sm font-medium text-slate-700">
+            Duración del bloque de enfoque
+          </label>
+          <DurationInput inputId="focus-duration" minutes={focusMinutes} onChangeMinutes={setFocusMinutes} />
+        </div>
+
+        <div className="space-y-3">
+          <label className="flex items-start gap-3">
+            <input
+              type="checkbox"
+              checked={pomodoro}
+              onChange={(event) => setPomodoro(event.target.checked)}
+              className="mt-0.5 h-4 w-4 rounded border-slate-300"
+            />
+            <span>
+              <span className="block text-sm font-medium text-slate-700">Alternar con descansos</span>
+              <span className="block text-xs text-slate-500">Durante los descansos los sitios vuelven a estar accesibles.</span>
+            </span>
+          </label>
+
+          {pomodoro ? (
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-1">
+                <label htmlFor="focus-break" className="block text-xs font-medium text-slate-600">
+                  Descanso (minutos)
+                </label>
+                <input
+                  id="focus-break"
+                  type="number"
+                  min={1}
+                  value={breakMinutes}
+                  onChange={(event) => setBreakMinutes(event.target.value)}
+                  className={FOCUS_INPUT_CLASS_NAME}
+                />
+              </div>
+              <div className="space-y-1">
+                <label htmlFor="focus-cycles" className="block text-xs font-medium text-slate-600">
+                  Bloques de enfoque
+                </label>
+                <input
+                  id="focus-cycles"
+                  type="number"
+                  min={1}
+                  max={12}
+                  value={cycles}
+                  onChange={(event) => setCycles(event.target.value)}
+                  className={FOCUS_INPUT_CLASS_NAME}
+                />
+              </div>
+            </div>
+          ) : null}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap justify-end gap-3 border-t border-slate-100 px-6 py-4">
+        <button
+          ref={closeButtonRef}
+          type="button"
+          onClick={onClose}
+          className="rounded-lg border border-slate-200 px-4 py-2.5 text-sm font-medium text-slate-700 transition hover:bg-slate-50"
+        >
+          Cancelar
+        </button>
+        <button
+          type="button"
+          onClick={start}
+          disabled={!isValid}
+          className={`rounded-lg px-4 py-2.5 text-sm font-medium text-white transition ${
+            isValid ? "bg-slate-950 hover:bg-slate-800" : "cursor-not-allowed bg-slate-300"
+          }`}
+        >
+          Empezar sesión
+        </button>
+      </div>
+    </DialogShell>
+  );
+}
+
+const FOCUS_INPUT_CLASS_NAME =
+  "block w-full rounded-lg border border-slate-300 px-3 py-2 text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200";
+
+function ChecklistBox({ children }) {
+  return (
+    <ul className="max-h-48 divide-y divide-slate-100 overflow-y-auto rounded-lg border border-slate-200">{children}</ul>
+  );
+}
+
+function ChecklistRow({ label, checked, onChange }) {
+  return (
+    <li>
+      <label className="flex cursor-pointer items-center gap-3 px-3 py-2 text-sm text-slate-700 hover:bg-slate-50">
+        <input type="checkbox" checked={checked} onChange={onChange} className="h-4 w-4 rounded border-slate-300" />
+        <span className="min-w-0 flex-1 truncate">{label}</span>
+      </label>
+    </li>
+  );
+}
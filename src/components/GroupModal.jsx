@@ -0,0 +1,159 @@
+import React, { useRef, useState } from "react";
+import DialogShell from "./DialogShell.jsx";
+import DurationInput from "./DurationInput.jsx";
+import { hostnameFromUrl } from "../lib/utils.js";
+
+export default function GroupModal({ initial, items, groups, defaultDurationMs, onClose, onSave }) {
+  const inputRef = useRef(null);
+  const [name, setName] = useState(initial?.name || "");
+  const [linked, setLinked] = useState(initial?.linked ?? true);
+  const [memberIds, setMemberIds] = useState(() =>
+    initial ? items.filter((item) => item.groupId === initial.id).map((item) => item.id) : [],
+  );
+  const [applyDuration, setApplyDuration] = useState(false);
+  const [minutes, setMinutes] = useState(Math.max(1, Math.round(defaultDurationMs / 60_000)));
+  const isValid = Boolean(name.trim());
+
+  const toggleMember = (id) => {
+    setMemberIds((currentIds) =>
+      currentIds.includes(id) ? currentIds.filter((memberId) => memberId !== id) : [...currentIds, id],
+    );
+  };
+
+  const save = () => {
+    if (!isValid) {
+      return;
+    }
+
+    onSave({
+      id: initial?.id,
+      createdAt: initial?.createdAt,
+      name: name.trim(),
+      linked,
+      memberIds,
+      durationMs: applyDuration ? Math.max(60_000, minutes * 60_000) : null,
+    });
+  };
+
+  return (
+    <DialogShell
+      titleId="group-modal-title"
+      descriptionId="group-modal-description"
+      onClose={onClose}
+      initialFocusRef={inputRef}
+      panelClassName="overflow-hidden"
+    >
+      <div className="border-b border-slate-100 px-6 py-5">
+        <h2 id="group-modal-title" className="text-xl font-semibold text-slate-900">
+          {initial ? "Editar grupo" : "Nuevo grupo"}
+        </h2>
+        <p id="group-modal-description" className="mt-1 text-sm text-slate-500">
+          Agrupa sitios que forman parte del mismo hábito para gestionarlos juntos.
+        </p>
+      </div>
+
+      <div className="max-h-[70vh] space-y-6 overflow-y-auto px-6 py-6">
+        <div className="space-y-2">
+          <label htmlFor="group-name" className="block text-sm font-medium text-slate-700">
+            Nombre del grupo
+          </label>
+          <input
+            id="group-name"
+            ref={inputRef}
+            type="text"
+            maxLength={30}
+            placeholder="Redes sociales"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            onKeyDown={(event) => {
+              if (event.key === "Enter") {
+                save();
+              }
+            }}
+            className="block w-full rounded-lg border border-slate-300 px-3 py-2.5 text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+          />
+        </div>
+
+        <label className="flex items-start gap-3">
+          <input
+            type="checkbox"
+            checked={linked}
+            onChange={(event) => setLinked(event.target.checked)}
+            className="mt-0.5 h-4 w-4 rounded border-slate-300"
+          />
+          <span>
+            <span className="block text-sm font-medium text-slate-700">Cooldown compartido</span>
+            <span className="block text-xs text-slate-500">
+              Visitar cualquier sitio del grupo inicia el cooldown de todos los demás.
+            </span>
+          </span>
+        </label>
+
+        <div className="space-y-2">
+          <span className="block text-sm font-medium text-slate-700">Sitios</span>
+          {items.length ? (
+            <ul className="max-h-56 divide-y divide-slate-100 overflow-y-auto rounded-lg border border-slate-200">
+              {items.map((item) => {
+                const otherGroup =
+                  item.groupId && item.groupId !== initial?.id
+                    ? groups.find((group) => group.id === item.groupId)
+                    : null;
+                return (
+                  <li key={item.id}>
+                    <label className="flex cursor-pointer items-center gap-3 px-3 py-2 text-sm text-slate-700 hover:bg-slate-50">
+                      <input
+                        type="checkbox"
+                        checked={memberIds.includes(item.id)}
+                        onChange={() => toggleMember(item.id)}
+                        className="h-4 w-4 rounded border-slate-300"
+                      />
+                      <span className="min-w-0 flex-1 truncate">{item.label || hostnameFromUrl(item.url)}</span>
+                      {otherGroup ? <span className="text-xs text-slate-400">{otherGroup.name}</span> : null}
+                    </label>
+                  </li>
+                );
+              })}
+            </ul>
+          ) : (
+            <p className="text-sm text-slate-500">Todavía no hay sitios guardados.</p>
+          )}
+        </div>
+
+        <div className="space-y-3">
+          <label className="flex items-center gap-3">
+            <input
+              type="checkbox"
+              checked={applyDuration}
+              onChange={(event) => setApplyDuration(event.target.checked)}
+              className="h-4 w-4 rounded border-slate-300"
+            />
+            <span className="text-sm font-medium text-slate-700">Aplicar la misma duración a todo el grupo</span>
+          </label>
+          {applyDuration ? (
+            <DurationInput inputId="group-duration" minutes={minutes} onChangeMinutes={setMinutes} />
+          ) : null}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap justify-end gap-3 border-t border-slate-100 px-6 py-4">
+        <button
+          type="button"
+          onClick={onClose}
+          className="rounded-lg border border-slate-200 px-4 py-2.5 text-sm font-medium text-slate-700 transition hover:bg-slate-50"
+        >
+          Cancelar
+        </button>
+        <button
+          type="button"
+          onClick={save}
+          disabled={!isValid}
+          className={`rounded-lg px-4 py-2.5 text-sm font-medium text-white transition ${
+            isValid ? "bg-slate-950 hover:bg-slate-800" : "cursor-not-allowed bg-slate-300"
+          }`}
+        >
+          {initial ? "Guardar grupo" : "Crear grupo"}
+        </button>
+      </div>
+    </DialogShell>
+  );
+}
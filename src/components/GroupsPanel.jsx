@@ -0,0 +1,120 @@
+import React, { useRef } from "react";
+import DialogShell from "./DialogShell.jsx";
+import { getGroupMembers } from "../lib/groups.js";
+
+export default function GroupsPanel({ groups, items, now, onClose, onCreate, onEdit, onDelete, onStart, onClear }) {
+  const closeButtonRef = useRef(null);
+
+  return (
+    <DialogShell
+      variant="side"
+      titleId="groups-title"
+      descriptionId="groups-description"
+      onClose={onClose}
+      initialFocusRef={closeButtonRef}
+      panelClassName="max-w-lg"
+    >
+      <div className="flex items-center justify-between border-b border-slate-100 px-6 py-5">
+        <div>
+          <h2 id="groups-title" className="text-xl font-semibold text-slate-900">
+            Grupos
+          </h2>
+          <p id="groups-description" className="mt-1 text-sm text-slate-500">
+            Inicia, limpia o edita varios sitios a la vez.
+          </p>
+        </div>
+        <button
+          ref={closeButtonRef}
+          type="button"
+          onClick={onClose}
+          className="rounded-xl p-2 text-slate-400 transition hover:bg-slate-100 hover:text-slate-600"
+          aria-label="Cerrar grupos"
+        >
+          <CloseIcon />
+        </button>
+      </div>
+
+      <div className="flex-1 divide-y divide-slate-100 overflow-y-auto">
+        {groups.length ? (
+          groups.map((group) => {
+            const members = getGroupMembers(items, group.id);
+            const activeCount = members.filter((item) => item.endAt && item.endAt > now).length;
+            return (
+              <section key={group.id} className="space-y-3 px-6 py-5">
+                <div className="flex items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <h3 className="truncate text-sm font-semibold text-slate-900">{group.name}</h3>
+                    <p className="mt-1 text-xs text-slate-500">
+                      {members.length === 1 ? "1 sitio" : `${members.length} sitios`}
+                      {activeCount ? ` · ${activeCount} en cooldown` : ""}
+                    </p>
+                  </div>
+                  {group.linked ? (
+                    <span className="shrink-0 rounded-md bg-slate-100 px-2 py-1 text-xs font-medium text-slate-700">
+                      Compartido
+                    </span>
+                  ) : null}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <GroupAction onClick={() => onStart(group)} disabled={!members.length}>
+                    Iniciar grupo
+                  </GroupAction>
+                  <GroupAction onClick={() => onClear(group)} disabled={!activeCount}>
+                    Limpiar grupo
+                  </GroupAction>
+                  <GroupAction onClick={() => onEdit(group)}>Editar</GroupAction>
+                  <button
+                    type="button"
+                    onClick={() => onDelete(group)}
+                    className="inline-flex h-8 items-center rounded-md px-3 text-sm font-medium text-rose-600 transition hover:bg-rose-50"
+                  >
+                    Eliminar
+                  </button>
+                </div>
+              </section>
+            );
+          })
+        ) : (
+          <p className="px-6 py-5 text-sm text-slate-500">
+            Todavía no hay grupos. Crea uno para compartir el cooldown entre sitios relacionados.
+          </p>
+        )}
+      </div>
+
+      <div className="border-t border-slate-100 px-6 py-4">
+        <button
+          type="button"
+          onClick={onCreate}
+          className="w-full rounded-lg bg-slate-950 px-4 py-2.5 text-sm font-medium text-white transition hover:bg-slate-800"
+        >
+          Nuevo grupo
+        </button>
+      </div>
+    </DialogShell>
+  );
+}
+
+function GroupAction({ children, onClick, disabled = false }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      disabled={disabled}
+      className="inline-flex h-8 items-center rounded-md border border-slate-200 px-3 text-sm font-medium text-slate-700 transition hover:border-slate-300 hover:bg-slate-50 disabled:cursor-not-allowed disabled:opacity-50"
+    >
+      {children}
+    </button>
+  );
+}
+
+function CloseIcon() {
+  return (
+    <svg className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+      <path
+        fillRule="evenodd"
+        d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z"
+        clipRule="evenodd"
+      />
+    </svg>
+  );
+}
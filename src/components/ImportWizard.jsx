@@ -0,0 +1,147 @@
+import React, { useRef, useState } from "react";
+import DialogShell from "./DialogShell.jsx";
+import { IMPORT_MODES } from "../lib/constants.js";
+import { IMPORT_FORMAT_LABELS } from "../lib/importers.js";
+import { buildImportPlan } from "../lib/merge.js";
+import { formatDateTime, hostnameFromUrl } from "../lib/utils.js";
+
+export default function ImportWizard({ fileName, parsed, current, onClose, onConfirm }) {
+  const closeButtonRef = useRef(null);
+  const [mode, setMode] = useState(IMPORT_MODES[0].value);
+  const [includeSettings, setIncludeSettings] = useState(true);
+  const plan = buildImportPlan(current, parsed, { mode, includeSettings });
+  const selectedMode = IMPORT_MODES.find((option) => option.value === mode);
+  const sections = [
+    { key: "added", title: "Nuevos", tone: "text-emerald-700" },
+    { key: "updated", title: "Actualizados", tone: "text-sky-700" },
+    { key: "kept", title: "Se conserva la versión local", tone: "text-slate-700" },
+    { key: "removed", title: "Irán a la papelera", tone: "text-rose-700" },
+    { key: "unchanged", title: "Sin cambios", tone: "text-slate-500" },
+  ].filter((section) => plan.diff[section.key].length);
+
+  return (
+    <DialogShell
+      titleId="import-wizard-title"
+      descriptionId="import-wizard-description"
+      onClose={onClose}
+      initialFocusRef={closeButtonRef}
+      panelClassName="overflow-hidden"
+    >
+      <div className="border-b border-slate-100 px-6 py-5">
+        <h2 id="import-wizard-title" className="text-xl font-semibold text-slate-900">
+          Importar datos
+        </h2>
+        <p id="import-wizard-description" className="mt-1 truncate text-sm text-slate-500">
+          {fileName} · {IMPORT_FORMAT_LABELS[parsed.format]}
+          {parsed.exportedAt ? ` · exportado el ${formatDateTime(parsed.exportedAt)}` : ""}
+        </p>
+      </div>
+
+      <div className="max-h-[70vh] space-y-6 overflow-y-auto px-6 py-6">
+        {parsed.hasItems ? (
+          <div className="space-y-2">
+            <div className="grid grid-cols-2 gap-2 rounded-lg bg-slate-100 p-1">
+              {IMPORT_MODES.map((option) => (
+                <button
+                  key={option.value}
+                  type="button"
+                  onClick={() => setMode(option.value)}
+                  aria-pressed={mode === option.value}
+                  className={`rounded-md px-3 py-1.5 text-sm font-medium transition ${
+                    mode === option.value ? "bg-white text-slate-900 shadow-sm" : "text-slate-600 hover:text-slate-900"
+                  }`}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-slate-500">{selectedMode.description}</p>
+          </div>
+        ) : null}
+
+        {parsed.settings ? (
+          <label className="flex items-center gap-3 text-sm text-slate-700">
+            <input
+              type="checkbox"
+              checked={includeSettings}
+              onChange={(event) => setIncludeSettings(event.target.checked)}
+              className="h-4 w-4 rounded border-slate-300"
+            />
+            Aplicar también los ajustes del archivo
+          </label>
+        ) : null}
+
+        {sections.map((section) => (
+          <div key={section.key} className="space-y-2">
+            <h3 className={`text-sm font-semibold ${section.tone}`}>
+              {section.title} ({plan.diff[section.key].length})
+            </h3>
+            <ul className="max-h-40 divide-y divide-slate-100 overflow-y-auto rounded-lg border border-slate-200">
+              {plan.diff[section.key].map((item) => (
+                <li key={item.id} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                  <span className="min-w-0 truncate text-slate-800">{item.label || hostnameFromUrl(item.url)}</span>
+                  <span className="shrink-0 truncate text-xs text-slate-500">{hostnameFromUrl(item.url)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+
+        {plan.diff.settings.length ? (
+          <div className="space-y-2">
+            <h3 className="text-sm font-semibold text-slate-900">Ajustes que cambian</h3>
+            <ul className="divide-y divide-slate-100 rounded-lg border border-slate-200">
+              {plan.diff.settings.map((change) => (
+                <li key={change.key} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                  <span className="text-slate-700">{change.label}</span>
+                  <span className="text-right text-slate-500">
+                    {change.before} → <span className="font-medium text-slate-900">{change.after}</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : null}
+
+        {parsed.skipped.length ? (
+          <div className="space-y-2">
+            <h3 className="text-sm font-semibold text-amber-700">Líneas omitidas ({parsed.skipped.length})</h3>
+            <ul className="max-h-40 divide-y divide-slate-100 overflow-y-auto rounded-lg border border-slate-200">
+              {parsed.skipped.map((entry, index) => (
+                <li key={`${entry.line}:${index}`} className="px-3 py-2 text-sm">
+                  <p className="truncate font-mono text-xs text-slate-700">
+                    {entry.line ? `${entry.line}: ` : ""}
+                    {entry.text}
+                  </p>
+                  <p className="text-xs text-slate-500">{entry.reason}</p>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ) : null}
+
+        {!sections.length && !plan.diff.settings.length ? (
+          <p className="text-sm text-slate-500">El archivo no contiene cambios respecto a tus datos actuales.</p>
+        ) : null}
+      </div>
+
+      <div className="flex flex-wrap justify-end gap-3 border-t border-slate-100 px-6 py-4">
+        <button
+          ref={closeButtonRef}
+          type="button"
+          onClick={onClose}
+          className="rounded-lg border border-slate-200 px-4 py-2.5 text-sm font-medium text-slate-700 transition hover:bg-slate-50"
+        >
+          Cancelar
+        </button>
+        <button
+          type="button"
+          onClick={() => onConfirm(plan)}
+          className="rounded-lg bg-slate-950 px-4 py-2.5 text-sm font-medium text-white transition hover:bg-slate-800"
+        >
+          Importar
+        </button>
+      </div>
+    </DialogShell>
+  );
+}
@@ -0,0 +1,84 @@
+import React, { useRef, useState } from "react";
+import DialogShell from "./DialogShell.jsx";
+
+export default function PassphraseDialog({ fileName, onClose, onSubmit }) {
+  const inputRef = useRef(null);
+  const [passphrase, setPassphrase] = useState("");
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const submit = async () => {
+    if (!passphrase || busy) {
+      return;
+    }
+
+    setBusy(true);
+    setError(null);
+    try {
+      await onSubmit(passphrase);
+    } catch (submitError) {
+      setError(submitError.message || "No se pudo descifrar el archivo.");
+      setBusy(false);
+      inputRef.current?.select();
+    }
+  };
+
+  return (
+    <DialogShell
+      titleId="passphrase-dialog-title"
+      descriptionId="passphrase-dialog-description"
+      onClose={onClose}
+      initialFocusRef={inputRef}
+      panelClassName="overflow-hidden"
+    >
+      <div className="border-b border-slate-100 px-6 py-5">
+        <h2 id="passphrase-dialog-title" className="text-xl font-semibold text-slate-900">
+          Archivo cifrado
+        </h2>
+        <p id="passphrase-dialog-description" className="mt-1 text-sm text-slate-500">
+          <span className="block truncate">{fileName}</span>
+          Escribe la contraseña que usaste al exportarlo.
+        </p>
+      </div>
+
+      <div className="space-y-3 px-6 py-6">
+        <label htmlFor="import-passphrase" className="block text-sm font-medium text-slate-700">
+          Contraseña
+        </label>
+        <input
+          id="import-passphrase"
+          ref={inputRef}
+          type="password"
+          autoComplete="off"
+          value={passphrase}
+          onChange={(event) => setPassphrase(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key === "Enter") {
+              submit();
+            }
+          }}
+          className="block w-full rounded-lg border border-slate-300 px-3 py-2.5 text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+        />
+        {error ? <p className="rounded-xl bg-rose-50 px-3 py-2 text-sm text-rose-700">{error}</p> : null}
+      </div>
+
+      <div className="flex flex-wrap justify-end gap-3 border-t border-slate-100 px-6 py-4">
+        <button
+          type="button"
+          onClick={onClose}
+          className="rounded-lg border border-slate-200 px-4 py-2.5 text-sm font-medium text-slate-700 transition hover:bg-slate-50"
+        >
+          Cancelar
+        </button>
+        <button
+          type="button"
+          disabled={!passphrase || busy}
+          onClick={submit}
+          className="rounded-lg bg-slate-950 px-4 py-2.5 text-sm font-medium text-white transition hover:bg-slate-800 disabled:cursor-not-allowed disabled:opacity-50"
+        >
+          {busy ? "Descifrando…" : "Descifrar"}
+        </button>
+      </div>
+    </DialogShell>
+  );
+}
@@ -0,0 +1,114 @@
+import React from "react";
+import { DEFAULT_SCHEDULE_WINDOW, WEEKDAYS } from "../lib/schedule.js";
+
+export default function ScheduleEditor({ schedule, onChange }) {
+  const alwaysOn = schedule.length === 0;
+
+  const updateWindow = (index, patch) => {
+    onChange(schedule.map((slot, slotIndex) => (slotIndex === index ? { ...slot, ...patch } : slot)));
+  };
+
+  const toggleDay = (index, day) => {
+    const slot = schedule[index];
+    const days = slot.days.includes(day) ? slot.days.filter((value) => value !== day) : [...slot.days, day];
+    updateWindow(index, { days: days.sort((left, right) => left - right) });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="grid grid-cols-2 gap-2 rounded-lg bg-slate-100 p-1">
+        <button
+          type="button"
+          onClick={() => onChange([])}
+          className={`rounded-md px-3 py-1.5 text-sm font-medium transition ${
+            alwaysOn ? "bg-white text-slate-900 shadow-sm" : "text-slate-600 hover:text-slate-900"
+          }`}
+        >
+          Siempre
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            if (alwaysOn) {
+              onChange([{ ...DEFAULT_SCHEDULE_WINDOW, days: [...DEFAULT_SCHEDULE_WINDOW.days] }]);
+            }
+          }}
+          className={`rounded-md px-3 py-1.5 text-sm font-medium transition ${
+            !alwaysOn ? "bg-white text-slate-900 shadow-sm" : "text-slate-600 hover:text-slate-900"
+          }`}
+        >
+          Solo en horario
+        </button>
+      </div>
+
+      {alwaysOn ? (
+        <p className="text-xs text-slate-500">El cooldown se aplica a cualquier hora del día.</p>
+      ) : (
+        <>
+          <p className="text-xs text-slate-500">
+            Fuera de estas franjas el sitio siempre está accesible. Las horas siguen el reloj local del equipo.
+          </p>
+          <ul className="space-y-3">
+            {schedule.map((slot, index) => (
+              <li key={index} className="space-y-3 rounded-lg border border-slate-200 p-3">
+                <div className="flex flex-wrap gap-1.5">
+                  {WEEKDAYS.map((day) => {
+                    const selected = slot.days.includes(day.value);
+                    return (
+                      <button
+                        key={day.value}
+                        type="button"
+                        onClick={() => toggleDay(index, day.value)}
+                        aria-pressed={selected}
+                        title={day.label}
+                        className={`h-8 w-8 rounded-md text-sm font-medium transition ${
+                          selected ? "bg-slate-950 text-white" : "bg-slate-100 text-slate-700 hover:bg-slate-200"
+                        }`}
+                      >
+                        {day.short}
+                      </button>
+                    );
+                  })}
+                </div>
+                <div className="flex flex-wrap items-center gap-2 text-sm text-slate-600">
+                  <input
+                    type="time"
+                    value={slot.start}
+                    onChange={(event) => updateWindow(index, { start: event.target.value })}
+                    aria-label="Hora de inicio"
+                    className="rounded-lg border border-slate-300 px-3 py-2 text-sm shadow-sm focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+                  />
+                  <span>a</span>
+                  <input
+                    type="time"
+                    value={slot.end}
+                    onChange={(event) => updateWindow(index, { end: event.target.value })}
+                    aria-label="Hora de fin"
+                    className="rounded-lg border border-slate-300 px-3 py-2 text-sm shadow-sm focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => onChange(schedule.filter((_, slotIndex) => slotIndex !== index))}
+                    className="ml-auto rounded-md px-2 py-1 text-sm font-medium text-rose-600 transition hover:bg-rose-50"
+                  >
+                    Quitar
+                  </button>
+                </div>
+                {slot.end <= slot.start ? (
+                  <p className="text-xs text-slate-500">La franja termina al día siguiente.</p>
+                ) : null}
+              </li>
+            ))}
+          </ul>
+          <button
+            type="button"
+            onClick={() => onChange([...schedule, { ...DEFAULT_SCHEDULE_WINDOW, days: [...DEFAULT_SCHEDULE_WINDOW.days] }])}
+            className="rounded-lg border border-slate-200 px-3 py-2 text-sm font-medium text-slate-700 transition hover:bg-slate-50"
+          >
+            Añadir franja
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,22 +1,108 @@
 import React, { useRef, useState } from "react";
 import DialogShell from "./DialogShell.jsx";
 import DurationInput from "./DurationInput.jsx";
+import { BACKUP_REASON_LABELS, EXPORT_FORMATS, PAUSE_OPTIONS } from "../lib/constants.js";
+import { isValidExtensionId } from "../lib/bridge.js";
+import { MIN_PASSPHRASE_LENGTH } from "../lib/crypto.js";
+import { formatScheduleBoundary, getNextDayReset, isValidTime } from "../lib/schedule.js";
+import { isServerSyncReady } from "../lib/sync.js";
+import { formatDateTime } from "../lib/utils.js";
 
 export default function SettingsPanel({
   settings,
   setSettings,
+  trashCount,
+  backups,
+  onRestoreBackup,
+  extensionMode,
+  sync,
+  syncStatus,
+  onChangeSync,
+  serverSync,
+  serverSyncStatus,
+  onChangeServerSync,
+  onSyncServerNow,
+  bridgeOrigins,
+  onRevokeBridgeOrigin,
+  bridgeConfig,
+  bridgeConnected,
+  bridgePairingCode,
+  onConnectBridge,
+  onDisconnectBridge,
+  hasEvents,
   onClose,
   onExport,
   onImport,
+  onOpenTrash,
+  onPause,
+  onResume,
   onToggleNotifications,
   notifSupported,
   permission,
 }) {
   const closeButtonRef = useRef(null);
   const [importMessage, setImportMessage] = useState(null);
+  const [pauseOption, setPauseOption] = useState(PAUSE_OPTIONS[0].value);
+  const [includeTrash, setIncludeTrash] = useState(false);
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS[0].value);
+  const [encrypt, setEncrypt] = useState(false);
+  const [passphrase, setPassphrase] = useState("");
+  const [passphraseConfirm, setPassphraseConfirm] = useState("");
+  const [exporting, setExporting] = useState(false);
+  const [extensionId, setExtensionId] = useState(bridgeConfig.extensionId);
+  const [bridgeMessage, setBridgeMessage] = useState(null);
+  const paused = settings.pausedAt !== null;
+  const encrypted = exportFormat === "json" && encrypt;
+  const passphraseError = !encrypted
+    ? null
+    : passphrase.length < MIN_PASSPHRASE_LENGTH
+      ? `La contraseña debe tener al menos ${MIN_PASSPHRASE_LENGTH} caracteres.`
+      : passphrase !== passphraseConfirm
+        ? "Las contraseñas no coinciden."
+        : null;
+
+  const startPause = () => {
+    const now = Date.now();
+    const option = PAUSE_OPTIONS.find((candidate) => candidate.value === pauseOption);
+    const until =
+      option?.value === "reset"
+        ? getNextDayReset(settings.dayResetTime, now)
+        : option?.durationMs
+          ? now + option.durationMs
+          : null;
+    onPause(until);
+  };
 
   const defaultMinutes = Math.max(1, Math.round(settings.defaultDurationMs / 60000));
 
+  const handleExportClick = async () => {
+    setExporting(true);
+    try {
+      setImportMessage(null);
+      await onExport({
+        format: exportFormat,
+        includeTrash: includeTrash && trashCount > 0,
+        passphrase: encrypted ? passphrase : "",
+      });
+    } catch (error) {
+      setImportMessage({
+        tone: "error",
+        text: error.message || "No se pudo exportar el archivo.",
+      });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleConnectBridge = async () => {
+    setBridgeMessage(null);
+    try {
+      await onConnectBridge(extensionId.trim());
+    } catch (error) {
+      setBridgeMessage(error.message || "No se pudo vincular con la extensión.");
+    }
+  };
+
   const handleImportChange = async (event) => {
     const [file] = event.target.files || [];
     if (!file) {
@@ -33,11 +119,8 @@ export default function SettingsPanel({
     }
 
     try {
+      setImportMessage(null);
       await onImport(file);
-      setImportMessage({
-        tone: "success",
-        text: "Datos importados correctamente.",
-      });
     } catch (error) {
       setImportMessage({
         tone: "error",
@@ -97,6 +180,113 @@ export default function SettingsPanel({
           />
         </section>
 
+        <section className="space-y-4 px-6 py-5">
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <label htmlFor="day-reset-time" className="text-sm font-semibold text-slate-900">
+                Renovación diaria
+              </label>
+              <p className="mt-1 text-sm text-slate-500">
+                Hora local a la que se renuevan los cupos de visitas y el tiempo diario.
+              </p>
+            </div>
+            <input
+              id="day-reset-time"
+              type="time"
+              value={settings.dayResetTime}
+              onChange={(event) => {
+                const { value } = event.target;
+                if (isValidTime(value)) {
+                  setSettings((currentSettings) => ({
+                    ...currentSettings,
+                    dayResetTime: value,
+                  }));
+                }
+              }}
+              className="rounded-lg border border-slate-300 px-3 py-2 text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+            />
+          </div>
+        </section>
+
+        <section className="space-y-4 px-6 py-5">
+          <div>
+            <h3 className="text-sm font-semibold text-slate-900">Pausa global</h3>
+            <p className="mt-1 text-sm text-slate-500">
+              Suspende todas las reglas sin perder la configuración, por ejemplo durante unas vacaciones.
+            </p>
+          </div>
+
+          <div className="grid grid-cols-2 gap-2 rounded-lg bg-slate-100 p-1">
+            {[
+              { value: "run", label: "El tiempo sigue" },
+              { value: "freeze", label: "Congelar tiempo" },
+            ].map((mode) => (
+              <button
+                key={mode.value}
+                type="button"
+                disabled={paused}
+                onClick={() =>
+                  setSettings((currentSettings) => ({
+                    ...currentSettings,
+                    pauseMode: mode.value,
+                  }))
+                }
+                className={`rounded-md px-3 py-1.5 text-sm font-medium transition disabled:cursor-not-allowed ${
+                  settings.pauseMode === mode.value
+                    ? "bg-white text-slate-900 shadow-sm"
+                    : "text-slate-600 hover:text-slate-900"
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-slate-500">
+            {settings.pauseMode === "freeze"
+              ? "Los cooldowns activos conservan el tiempo restante y continúan al reanudar."
+              : "Los cooldowns activos terminan a su hora aunque la pausa siga activa."}
+          </p>
+
+          {paused ? (
+            <div className="flex items-center justify-between gap-3 rounded-lg bg-amber-50 px-3 py-2.5 text-sm text-amber-900">
+              <span>
+                {settings.pauseUntil
+                  ? `En pausa hasta ${formatScheduleBoundary(settings.pauseUntil)}`
+                  : "En pausa hasta que la reanudes"}
+              </span>
+              <button
+                type="button"
+                onClick={onResume}
+                className="rounded-md bg-amber-900 px-3 py-1.5 text-sm font-medium text-white transition hover:bg-amber-800"
+              >
+                Reanudar
+              </button>
+            </div>
+          ) : (
+            <div className="flex gap-2">
+              <select
+                value={pauseOption}
+                onChange={(event) => setPauseOption(event.target.value)}
+                aria-label="Duración de la pausa"
+                className="min-w-0 flex-1 rounded-lg border border-slate-300 px-3 py-2 text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+              >
+                {PAUSE_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={startPause}
+                className="rounded-lg bg-slate-950 px-4 py-2 text-sm font-medium text-white transition hover:bg-slate-800"
+              >
+                Pausar
+              </button>
+            </div>
+          )}
+        </section>
+
         <section className="space-y-4 px-6 py-5">
           <div className="flex items-center justify-between gap-4">
             <div>
@@ -150,6 +340,179 @@ export default function SettingsPanel({
           </div>
         </section>
 
+        {extensionMode ? (
+          <section className="space-y-4 px-6 py-5">
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <h3 className="text-sm font-semibold text-slate-900">Sincronización</h3>
+                <p className="mt-1 text-sm text-slate-500">
+                  Comparte los sitios, los grupos y los ajustes con los navegadores en los que uses tu cuenta.
+                </p>
+              </div>
+              <Toggle
+                checked={sync.enabled}
+                onClick={() => onChangeSync({ ...sync, enabled: !sync.enabled })}
+                srLabel="Activar sincronización"
+              />
+            </div>
+            {sync.enabled ? (
+              <label className="flex items-center gap-3 text-sm text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={sync.syncTimers}
+                  onChange={(event) => onChangeSync({ ...sync, syncTimers: event.target.checked })}
+                  className="h-4 w-4 rounded border-slate-300"
+                />
+                Sincronizar también los cooldowns en curso y la pausa
+              </label>
+            ) : null}
+            {sync.enabled && syncStatus?.error ? (
+              <p className="rounded-xl bg-rose-50 px-3 py-2 text-sm text-rose-700">{syncStatus.error}</p>
+            ) : sync.enabled ? (
+              <p className="text-xs text-slate-500">
+                {syncStatus?.lastSyncedAt
+                  ? `Última sincronización: ${formatDateTime(syncStatus.lastSyncedAt)}.`
+                  : "Pendiente de la primera sincronización."}
+              </p>
+            ) : null}
+          </section>
+        ) : null}
+
+        {!bridgeConnected ? (
+          <section className="space-y-4 px-6 py-5">
+            <div className="flex items-center justify-between gap-4">
+              <div>
+                <h3 className="text-sm font-semibold text-slate-900">Servidor de sincronización</h3>
+                <p className="mt-1 text-sm text-slate-500">
+                  Sincroniza los sitios, los grupos y los ajustes con un servidor propio, por ejemplo en tu red local.
+                </p>
+              </div>
+              <Toggle
+                checked={serverSync.enabled}
+                onClick={() => onChangeServerSync({ ...serverSync, enabled: !serverSync.enabled })}
+                srLabel="Activar el servidor de sincronización"
+              />
+            </div>
+            <div className="grid gap-3 sm:grid-cols-2">
+              <input
+                type="url"
+                value={serverSync.url}
+                onChange={(event) => onChangeServerSync({ ...serverSync, url: event.target.value })}
+                placeholder="http://127.0.0.1:8787"
+                aria-label="Dirección del servidor"
+                spellCheck={false}
+                className="block w-full rounded-lg border border-slate-300 px-3 py-2 text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+              />
+              <input
+                type="password"
+                value={serverSync.token}
+                onChange={(event) => onChangeServerSync({ ...serverSync, token: event.target.value })}
+                placeholder="Token"
+                aria-label="Token del servidor"
+                autoComplete="off"
+                className="block w-full rounded-lg border border-slate-300 px-3 py-2 font-mono text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+              />
+            </div>
+            {serverSync.enabled && serverSyncStatus?.error ? (
+              <p className="rounded-xl bg-rose-50 px-3 py-2 text-sm text-rose-700">{serverSyncStatus.error}</p>
+            ) : serverSync.enabled ? (
+              <p className="text-xs text-slate-500">
+                {serverSyncStatus?.lastSyncedAt
+                  ? `Última sincronización: ${formatDateTime(serverSyncStatus.lastSyncedAt)}.`
+                  : "Pendiente de la primera sincronización."}
+              </p>
+            ) : null}
+            {serverSync.enabled && onSyncServerNow ? (
+              <button
+                type="button"
+                disabled={!isServerSyncReady(serverSync)}
+                onClick={onSyncServerNow}
+                className="flex w-full items-center justify-center rounded-lg border border-slate-200 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 transition hover:bg-slate-50 disabled:cursor-not-allowed disabled:opacity-50"
+              >
+                Sincronizar ahora
+              </button>
+            ) : null}
+          </section>
+        ) : null}
+
+        {extensionMode && bridgeOrigins.length ? (
+          <section className="space-y-4 px-6 py-5">
+            <div>
+              <h3 className="text-sm font-semibold text-slate-900">Aplicaciones web vinculadas</h3>
+              <p className="mt-1 text-sm text-slate-500">Pueden leer y modificar los datos de la extensión.</p>
+            </div>
+            <ul className="divide-y divide-slate-100 rounded-lg border border-slate-200">
+              {bridgeOrigins.map((entry) => (
+                <li key={entry.origin} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                  <span className="min-w-0">
+                    <span className="block truncate text-slate-800">{entry.origin}</span>
+                    <span className="block text-xs text-slate-500">Desde el {formatDateTime(entry.pairedAt)}</span>
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => onRevokeBridgeOrigin(entry.origin)}
+                    className="shrink-0 rounded-lg border border-slate-200 px-3 py-1.5 text-xs font-medium text-slate-700 transition hover:bg-slate-50"
+                  >
+                    Revocar
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </section>
+        ) : null}
+
+        {!extensionMode ? (
+          <section className="space-y-4 px-6 py-5">
+            <div>
+              <h3 className="text-sm font-semibold text-slate-900">Extensión de Chrome</h3>
+              <p className="mt-1 text-sm text-slate-500">
+                {bridgeConnected
+                  ? "Esta página muestra y modifica los datos de la extensión en lugar de los suyos."
+                  : "Vincula esta página con la extensión para gestionar sus datos desde aquí."}
+              </p>
+            </div>
+
+            {bridgeConnected ? (
+              <button
+                type="button"
+                onClick={onDisconnectBridge}
+                className="flex w-full items-center justify-center rounded-lg border border-slate-200 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 transition hover:bg-slate-50"
+              >
+                Desvincular y usar los datos de esta página
+              </button>
+            ) : (
+              <div className="space-y-3">
+                <input
+                  type="text"
+                  value={extensionId}
+                  onChange={(event) => setExtensionId(event.target.value)}
+                  placeholder="Identificador de la extensión"
+                  aria-label="Identificador de la extensión"
+                  spellCheck={false}
+                  className="block w-full rounded-lg border border-slate-300 px-3 py-2 font-mono text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+                />
+                <button
+                  type="button"
+                  disabled={!isValidExtensionId(extensionId.trim()) || Boolean(bridgePairingCode)}
+                  onClick={handleConnectBridge}
+                  className="flex w-full items-center justify-center rounded-lg border border-slate-200 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 transition hover:bg-slate-50 disabled:cursor-not-allowed disabled:opacity-50"
+                >
+                  Vincular con la extensión
+                </button>
+                {bridgePairingCode ? (
+                  <p className="rounded-xl bg-slate-100 px-3 py-2 text-sm text-slate-700">
+                    Confirma en la extensión que aparece el código{" "}
+                    <span className="font-mono font-semibold">{bridgePairingCode}</span>.
+                  </p>
+                ) : null}
+                {bridgeMessage ? (
+                  <p className="rounded-xl bg-rose-50 px-3 py-2 text-sm text-rose-700">{bridgeMessage}</p>
+                ) : null}
+              </div>
+            )}
+          </section>
+        ) : null}
+
         <section className="space-y-4 px-6 py-5">
           <div>
             <h3 className="text-sm font-semibold text-slate-900">Datos</h3>
@@ -159,10 +522,75 @@ export default function SettingsPanel({
           </div>
 
           <div className="space-y-3">
+            <select
+              value={exportFormat}
+              onChange={(event) => setExportFormat(event.target.value)}
+              aria-label="Formato de exportación"
+              className="block w-full rounded-lg border border-slate-300 px-3 py-2 text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+            >
+              {EXPORT_FORMATS.map((format) => (
+                <option key={format.value} value={format.value} disabled={format.value === "events-csv" && !hasEvents}>
+                  {format.label}
+                </option>
+              ))}
+            </select>
+
+            {exportFormat === "json" ? (
+              <label className="flex items-center gap-3 text-sm text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={includeTrash}
+                  disabled={!trashCount}
+                  onChange={(event) => setIncludeTrash(event.target.checked)}
+                  className="h-4 w-4 rounded border-slate-300"
+                />
+                Incluir los sitios de la papelera en la exportación
+              </label>
+            ) : null}
+
+            {exportFormat === "json" ? (
+              <label className="flex items-center gap-3 text-sm text-slate-700">
+                <input
+                  type="checkbox"
+                  checked={encrypt}
+                  onChange={(event) => setEncrypt(event.target.checked)}
+                  className="h-4 w-4 rounded border-slate-300"
+                />
+                Cifrar con una contraseña
+              </label>
+            ) : null}
+
+            {encrypted ? (
+              <div className="space-y-2">
+                <input
+                  type="password"
+                  autoComplete="new-password"
+                  placeholder="Contraseña"
+                  aria-label="Contraseña de la exportación"
+                  value={passphrase}
+                  onChange={(event) => setPassphrase(event.target.value)}
+                  className="block w-full rounded-lg border border-slate-300 px-3 py-2 text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+                />
+                <input
+                  type="password"
+                  autoComplete="new-password"
+                  placeholder="Repite la contraseña"
+                  aria-label="Confirmar la contraseña"
+                  value={passphraseConfirm}
+                  onChange={(event) => setPassphraseConfirm(event.target.value)}
+                  className="block w-full rounded-lg border border-slate-300 px-3 py-2 text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+                />
+                <p className="text-xs text-slate-500">
+                  {passphraseError ?? "Sin la contraseña no hay forma de recuperar los datos del archivo."}
+                </p>
+              </div>
+            ) : null}
+
             <button
               type="button"
-              onClick={onExport}
-              className="flex w-full items-center justify-center gap-2 rounded-lg border border-slate-200 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 transition hover:bg-slate-50"
+              disabled={(exportFormat === "events-csv" && !hasEvents) || Boolean(passphraseError) || exporting}
+              onClick={handleExportClick}
+              className="flex w-full items-center justify-center gap-2 rounded-lg border border-slate-200 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 transition hover:bg-slate-50 disabled:cursor-not-allowed disabled:opacity-50"
             >
               <DownloadIcon />
               Exportar datos
@@ -171,9 +599,18 @@ export default function SettingsPanel({
             <label className="flex w-full cursor-pointer items-center justify-center gap-2 rounded-lg border border-slate-200 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 transition hover:bg-slate-50">
               <UploadIcon />
               Importar datos
-              <input type="file" className="hidden" accept=".json" onChange={handleImportChange} />
+              <input type="file" className="hidden" accept=".json,.txt,.csv" onChange={handleImportChange} />
             </label>
 
+            <button
+              type="button"
+              onClick={onOpenTrash}
+              className="flex w-full items-center justify-center gap-2 rounded-lg border border-slate-200 bg-white px-4 py-2.5 text-sm font-medium text-slate-700 transition hover:bg-slate-50"
+            >
+              <TrashIcon />
+              {trashCount ? `Papelera (${trashCount})` : "Papelera"}
+            </button>
+
             {importMessage ? (
               <p
                 className={`rounded-xl px-3 py-2 text-sm ${
@@ -187,6 +624,41 @@ export default function SettingsPanel({
             ) : null}
           </div>
         </section>
+
+        <section className="space-y-4 px-6 py-5">
+          <div>
+            <h3 className="text-sm font-semibold text-slate-900">Copias de seguridad</h3>
+            <p className="mt-1 text-sm text-slate-500">
+              Se guardan antes de importar o hacer cambios masivos y, en la extensión, cada 6 horas. Se conservan las
+              últimas 10.
+            </p>
+          </div>
+
+          {backups.length ? (
+            <ul className="divide-y divide-slate-100 rounded-lg border border-slate-200">
+              {backups.map((backup) => (
+                <li key={backup.id} className="flex items-center justify-between gap-3 px-3 py-2 text-sm">
+                  <span className="min-w-0">
+                    <span className="block truncate text-slate-800">{formatDateTime(backup.at)}</span>
+                    <span className="block text-xs text-slate-500">
+                      {BACKUP_REASON_LABELS[backup.reason]} · {backup.items.length}{" "}
+                      {backup.items.length === 1 ? "sitio" : "sitios"}
+                    </span>
+                  </span>
+                  <button
+                    type="button"
+                    onClick={() => onRestoreBackup(backup)}
+                    className="shrink-0 rounded-lg border border-slate-200 px-3 py-1.5 text-xs font-medium text-slate-700 transition hover:bg-slate-50"
+                  >
+                    Restaurar
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-slate-500">Todavía no hay copias de seguridad.</p>
+          )}
+        </section>
       </div>
     </DialogShell>
   );
@@ -237,6 +709,19 @@ function DownloadIcon() {
   );
 }
 
+function TrashIcon() {
+  return (
+    <svg className="h-5 w-5" viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
+      <path
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        strokeWidth="2"
+        d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16"
+      />
+    </svg>
+  );
+}
+
 function UploadIcon() {
   return (
     <svg className="h-5 w-5" viewBox="0 0 24 24" fill="none" stroke="currentColor" aria-hidden="true">
@@ -1,11 +1,14 @@
 import React from "react";
 import FaviconBadge from "./FaviconBadge.jsx";
-import { formatClock } from "../lib/utils.js";
+import { formatClock, formatDurationLabel } from "../lib/utils.js";
+import { formatScheduleBoundary } from "../lib/schedule.js";
 import { getSiteView } from "../lib/sites.js";
 
 export default function SiteCard({
   item,
   now,
+  dayResetTime,
+  usage = null,
   extensionMode = false,
   onOpen,
   onStart,
@@ -13,13 +16,14 @@ export default function SiteCard({
   onClear,
   onEdit,
   onDelete,
+  onStats,
 }) {
-  const view = getSiteView(item, now);
-  const statusText = view.ready ? "Listo" : formatClock(view.remaining);
+  const view = getSiteView(item, now, { dayResetTime, usage });
+  const status = getStatus(item, view, now);
 
   return (
     <article className="group relative overflow-hidden rounded-lg border border-slate-200 bg-white shadow-sm transition hover:-translate-y-0.5 hover:border-slate-300 hover:shadow-md">
-      <div className={`h-1 w-full ${view.ready ? "bg-emerald-500" : "bg-amber-500"}`} />
+      <div className={`h-1 w-full ${status.available ? "bg-emerald-500" : "bg-amber-500"}`} />
 
       <div className="p-4">
         <div className="flex items-start gap-4">
@@ -29,22 +33,67 @@ export default function SiteCard({
             <div className="flex items-start gap-3">
               <div className="min-w-0 flex-1">
                 <h3 className="truncate text-base font-semibold text-slate-950">{item.label || view.host}</h3>
-                <p className="mt-1 truncate text-sm text-slate-500">
-                  {item.scope === "domain" ? view.host : item.url}
-                </p>
+                {item.pattern ? (
+                  <p className="mt-1 truncate font-mono text-xs text-slate-500" title={item.pattern}>
+                    {item.pattern}
+                  </p>
+                ) : (
+                  <p className="mt-1 truncate text-sm text-slate-500">
+                    {item.scope === "domain" ? view.host : item.url}
+                  </p>
+                )}
+                {item.exceptions.length ? (
+                  <p className="mt-1 truncate text-xs text-slate-500" title={item.exceptions.join("\n")}>
+                    Excepto {item.exceptions.join(", ")}
+                  </p>
+                ) : null}
+                {item.schedule.length ? (
+                  <p className="mt-1 truncate text-xs text-slate-500">
+                    {view.withinSchedule ? "En horario" : "Fuera de horario"}
+                    {view.nextScheduleChange
+                      ? ` hasta ${formatScheduleBoundary(view.nextScheduleChange.at, now)}`
+                      : ""}
+                  </p>
+                ) : null}
               </div>
               <div className="shrink-0 text-right">
                 <span
                   className={`inline-flex rounded-md px-2 py-1 text-xs font-medium ${
-                    view.ready ? "bg-emerald-50 text-emerald-700" : "bg-amber-50 text-amber-700"
+                    status.available ? "bg-emerald-50 text-emerald-700" : "bg-amber-50 text-amber-700"
                   }`}
                 >
-                  {view.ready ? "Listo" : "En cooldown"}
+                  {status.badge}
                 </span>
-                <div className="mt-2 font-mono text-sm tabular-nums text-slate-600">{statusText}</div>
+                <div className="mt-2 font-mono text-sm tabular-nums text-slate-600">{status.text}</div>
               </div>
             </div>
 
+            {view.escalation ? (
+              <p className="mt-3 text-xs text-slate-500">
+                Multiplicador{" "}
+                <span className="font-medium text-slate-700">x{Number(view.escalation.current.toFixed(2))}</span>
+                {" · "}próximo cooldown{" "}
+                <span className="font-medium text-slate-700">
+                  {formatDurationLabel(view.escalation.nextDurationMs)}
+                </span>
+              </p>
+            ) : null}
+
+            {view.budget ? (
+              <p className="mt-4 text-xs text-slate-500">
+                Quedan {formatDurationLabel(view.budget.remainingMs)} de {formatDurationLabel(view.budget.limitMs)}{" "}
+                hoy. El tiempo se renueva {formatScheduleBoundary(view.budget.resetAt, now)}.
+                {extensionMode ? "" : " Solo la extensión mide el tiempo en pestañas activas."}
+              </p>
+            ) : null}
+
+            {view.quota && view.ready ? (
+              <p className="mt-4 text-xs text-slate-500">
+                {view.quota.remaining === 1 ? "Queda 1 visita" : `Quedan ${view.quota.remaining} visitas`} de{" "}
+                {view.quota.limit} hoy. El cupo se renueva {formatScheduleBoundary(view.quota.resetAt, now)}.
+              </p>
+            ) : null}
+
             {!view.ready ? (
               <div className="mt-4 space-y-1.5">
                 <div className="flex items-center justify-between text-xs text-slate-500">
@@ -79,19 +128,21 @@ export default function SiteCard({
             className="inline-flex h-8 items-center gap-1.5 rounded-md border border-slate-200 px-3 text-sm font-medium text-slate-700 transition hover:border-slate-300 hover:bg-slate-50"
           >
             <ClockIcon />
-            {extensionMode && view.ready ? "Bloquear ahora" : "Marcar visitado"}
+            {extensionMode && view.ready && item.rule === "cooldown" ? "Bloquear ahora" : "Marcar visitado"}
           </button>
 
           {!view.ready ? (
             <>
-              <button
-                type="button"
-                onClick={onReset}
-                className="inline-flex h-8 items-center gap-1.5 rounded-md border border-slate-200 px-3 text-sm font-medium text-slate-700 transition hover:border-slate-300 hover:bg-slate-50"
-              >
-                <RefreshIcon />
-                Reiniciar
-              </button>
+              {!view.quota ? (
+                <button
+                  type="button"
+                  onClick={onReset}
+                  className="inline-flex h-8 items-center gap-1.5 rounded-md border border-slate-200 px-3 text-sm font-medium text-slate-700 transition hover:border-slate-300 hover:bg-slate-50"
+                >
+                  <RefreshIcon />
+                  Reiniciar
+                </button>
+              ) : null}
               <button
                 type="button"
                 onClick={onClear}
@@ -103,6 +154,15 @@ export default function SiteCard({
           ) : null}
 
           <div className="ml-auto flex items-center gap-1">
+            <button
+              type="button"
+              onClick={onStats}
+              className="rounded-md p-2 text-slate-500 transition hover:bg-slate-100 hover:text-slate-700"
+              title="Estadísticas"
+              aria-label="Ver estadísticas del sitio"
+            >
+              <ChartIcon />
+            </button>
             <button
               type="button"
               onClick={onEdit}
@@ -128,6 +188,24 @@ export default function SiteCard({
   );
 }
 
+function getStatus(item, view, now) {
+  if (view.budget && view.ready) {
+    return view.budget.exhausted
+      ? { available: false, badge: "Tiempo agotado", text: `Hasta ${formatScheduleBoundary(view.budget.resetAt, now)}` }
+      : { available: true, badge: "Listo", text: `${Math.ceil(view.budget.remainingMs / 60_000)} min` };
+  }
+
+  if (view.quota) {
+    return view.ready
+      ? { available: true, badge: "Listo", text: `${view.quota.remaining}/${view.quota.limit} visitas` }
+      : { available: false, badge: "Cupo agotado", text: `Hasta ${formatScheduleBoundary(item.endAt, now)}` };
+  }
+
+  return view.ready
+    ? { available: true, badge: "Listo", text: "Listo" }
+    : { available: false, badge: "En cooldown", text: formatClock(view.remaining) };
+}
+
 function PlayIcon() {
   return (
     <svg className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
@@ -164,6 +242,14 @@ function RefreshIcon() {
   );
 }
 
+function ChartIcon() {
+  return (
+    <svg className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+      <path d="M2 11a1 1 0 011-1h2a1 1 0 011 1v5a1 1 0 01-1 1H3a1 1 0 01-1-1v-5zM8 7a1 1 0 011-1h2a1 1 0 011 1v9a1 1 0 01-1 1H9a1 1 0 01-1-1V7zM14 4a1 1 0 011-1h2a1 1 0 011 1v12a1 1 0 01-1 1h-2a1 1 0 01-1-1V4z" />
+    </svg>
+  );
+}
+
 function EditIcon() {
   return (
     <svg className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
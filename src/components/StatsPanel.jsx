@@ -0,0 +1,192 @@
+import React, { useMemo, useRef, useState } from "react";
+import DialogShell from "./DialogShell.jsx";
+import { STATS_RANGE_DAYS, VISIT_SOURCE_LABELS } from "../lib/constants.js";
+import { getVisitStats } from "../lib/history.js";
+import { formatDateTime, formatDurationLabel, hostnameFromUrl } from "../lib/utils.js";
+
+export default function StatsPanel({ items, history, overrides = [], now, initialSiteId, onClose }) {
+  const closeButtonRef = useRef(null);
+  const [siteId, setSiteId] = useState(() => initialSiteId || items[0]?.id || "");
+  const site = items.find((item) => item.id === siteId) || null;
+  const visits = useMemo(() => (site ? history[site.id] || [] : []), [history, site]);
+  const stats = useMemo(() => getVisitStats(visits, now), [visits, now]);
+  const maxDayCount = Math.max(1, ...stats.perDay.map((day) => day.visits + day.blocked));
+  const recentVisits = visits.slice(-10).reverse();
+  const siteOverrides = useMemo(
+    () => (site ? overrides.filter((entry) => entry.siteId === site.id).reverse() : []),
+    [overrides, site],
+  );
+
+  return (
+    <DialogShell
+      variant="side"
+      titleId="stats-title"
+      descriptionId="stats-description"
+      onClose={onClose}
+      initialFocusRef={closeButtonRef}
+      panelClassName="max-w-lg"
+    >
+      <div className="flex items-center justify-between border-b border-slate-100 px-6 py-5">
+        <div>
+          <h2 id="stats-title" className="text-xl font-semibold text-slate-900">
+            Estadísticas
+          </h2>
+          <p id="stats-description" className="mt-1 text-sm text-slate-500">
+            Historial de visitas registrado para cada sitio.
+          </p>
+        </div>
+        <button
+          ref={closeButtonRef}
+          type="button"
+          onClick={onClose}
+          className="rounded-xl p-2 text-slate-400 transition hover:bg-slate-100 hover:text-slate-600"
+          aria-label="Cerrar estadísticas"
+        >
+          <CloseIcon />
+        </button>
+      </div>
+
+      <div className="flex-1 divide-y divide-slate-100 overflow-y-auto">
+        <section className="space-y-2 px-6 py-5">
+          <label htmlFor="stats-site" className="block text-sm font-semibold text-slate-900">
+            Sitio
+          </label>
+          <select
+            id="stats-site"
+            value={siteId}
+            onChange={(event) => setSiteId(event.target.value)}
+            className="block w-full rounded-lg border border-slate-300 px-3 py-2.5 text-sm shadow-sm transition focus:border-slate-400 focus:outline-none focus:ring-2 focus:ring-slate-200"
+          >
+            {items.map((item) => (
+              <option key={item.id} value={item.id}>
+                {item.label || hostnameFromUrl(item.url)}
+              </option>
+            ))}
+          </select>
+        </section>
+
+        {!site ? (
+          <p className="px-6 py-5 text-sm text-slate-500">Añade un sitio para empezar a registrar visitas.</p>
+        ) : (
+          <>
+            <section className="grid grid-cols-2 gap-3 px-6 py-5">
+              <StatTile label="Visitas" value={stats.totalVisits} />
+              <StatTile label="Intentos bloqueados" value={stats.blockedAttempts} />
+              <StatTile
+                label="Media entre visitas"
+                value={stats.averageGapMs === null ? "—" : formatDurationLabel(stats.averageGapMs)}
+              />
+              <StatTile
+                label="Racha sin visitas"
+                value={`${stats.longestQuietDays} ${stats.longestQuietDays === 1 ? "día" : "días"}`}
+              />
+            </section>
+
+            <section className="space-y-3 px-6 py-5">
+              <h3 className="text-sm font-semibold text-slate-900">Visitas por día</h3>
+              <div className="flex h-32 items-end gap-1" aria-label={`Visitas de los últimos ${STATS_RANGE_DAYS} días`}>
+                {stats.perDay.map((day) => {
+                  const total = day.visits + day.blocked;
+                  return (
+                    <div
+                      key={day.dayStart}
+                      className="flex h-full flex-1 flex-col justify-end"
+                      title={`${new Date(day.dayStart).toLocaleDateString("es-ES", {
+                        weekday: "short",
+                        day: "numeric",
+                        month: "short",
+                      })}: ${day.visits} visitas, ${day.blocked} bloqueadas`}
+                    >
+                      {day.blocked ? (
+                        <div
+                          className="w-full rounded-t bg-rose-300"
+                          style={{ height: `${(day.blocked / maxDayCount) * 100}%` }}
+                        />
+                      ) : null}
+                      {total ? (
+                        <div
+                          className={`w-full bg-slate-900 ${day.blocked ? "" : "rounded-t"}`}
+                          style={{ height: `${(day.visits / maxDayCount) * 100}%` }}
+                        />
+                      ) : (
+                        <div className="h-px w-full bg-slate-200" />
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+              <div className="flex justify-between text-xs text-slate-500">
+                <span>Hace {STATS_RANGE_DAYS - 1} días</span>
+                <span>Hoy</span>
+              </div>
+            </section>
+
+            <section className="space-y-3 px-6 py-5">
+              <h3 className="text-sm font-semibold text-slate-900">Últimas visitas</h3>
+              {recentVisits.length ? (
+                <ul className="space-y-2">
+                  {recentVisits.map((visit) => (
+                    <li
+                      key={`${visit.at}:${visit.source}`}
+                      className="flex items-center justify-between gap-3 text-sm text-slate-700"
+                    >
+                      <span className="tabular-nums">{formatDateTime(visit.at)}</span>
+                      <span className="flex items-center gap-2">
+                        <span className="text-slate-500">{VISIT_SOURCE_LABELS[visit.source]}</span>
+                        {visit.blocked ? (
+                          <span className="rounded-md bg-rose-50 px-2 py-0.5 text-xs font-medium text-rose-700">
+                            En cooldown
+                          </span>
+                        ) : null}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="text-sm text-slate-500">Todavía no hay visitas registradas.</p>
+              )}
+            </section>
+
+            {siteOverrides.length ? (
+              <section className="space-y-3 px-6 py-5">
+                <h3 className="text-sm font-semibold text-slate-900">Accesos de emergencia</h3>
+                <ul className="space-y-3">
+                  {siteOverrides.map((entry) => (
+                    <li key={entry.at} className="space-y-1 text-sm text-slate-700">
+                      <div className="flex items-center justify-between gap-3">
+                        <span className="tabular-nums">{formatDateTime(entry.at)}</span>
+                        <span className="text-slate-500">{entry.minutes} min</span>
+                      </div>
+                      <p className="text-slate-500">{entry.reason}</p>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            ) : null}
+          </>
+        )}
+      </div>
+    </DialogShell>
+  );
+}
+
+function StatTile({ label, value }) {
+  return (
+    <div className="rounded-lg border border-slate-200 bg-white p-3">
+      <p className="text-xs font-medium uppercase tracking-wide text-slate-500">{label}</p>
+      <p className="mt-2 text-lg font-semibold text-slate-950">{value}</p>
+    </div>
+  );
+}
+
+function CloseIcon() {
+  return (
+    <svg className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+      <path
+        fillRule="evenodd"
+        d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z"
+        clipRule="evenodd"
+      />
+    </svg>
+  );
+}
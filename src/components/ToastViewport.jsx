@@ -11,15 +11,27 @@ function toneClassName(tone) {
   }
 }
 
-export default function ToastViewport({ toasts }) {
+export default function ToastViewport({ toasts, onDismiss }) {
   return (
     <div className="pointer-events-none fixed bottom-4 left-1/2 z-[60] flex w-full max-w-md -translate-x-1/2 flex-col gap-2 px-4" aria-live="polite">
       {toasts.map((toast) => (
         <div
           key={toast.id}
-          className={`pointer-events-auto rounded-lg border px-4 py-3 text-sm shadow-lg ${toneClassName(toast.tone)}`}
+          className={`pointer-events-auto flex items-center justify-between gap-3 rounded-lg border px-4 py-3 text-sm shadow-lg ${toneClassName(toast.tone)}`}
         >
-          {toast.message}
+          <span>{toast.message}</span>
+          {toast.action ? (
+            <button
+              type="button"
+              onClick={() => {
+                toast.action.onSelect();
+                onDismiss(toast.id);
+              }}
+              className="shrink-0 rounded-md px-2 py-1 font-semibold underline-offset-2 transition hover:underline"
+            >
+              {toast.action.label}
+            </button>
+          ) : null}
         </div>
       ))}
     </div>
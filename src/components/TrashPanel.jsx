@@ -0,0 +1,103 @@
+import React, { useRef } from "react";
+import DialogShell from "./DialogShell.jsx";
+import { getTrashExpiry } from "../lib/sites.js";
+import { formatDateTime, hostnameFromUrl } from "../lib/utils.js";
+
+export default function TrashPanel({ trash, now, onClose, onRestore, onPurge, onEmpty }) {
+  const closeButtonRef = useRef(null);
+
+  return (
+    <DialogShell
+      variant="side"
+      titleId="trash-title"
+      descriptionId="trash-description"
+      onClose={onClose}
+      initialFocusRef={closeButtonRef}
+      panelClassName="max-w-lg"
+    >
+      <div className="flex items-center justify-between border-b border-slate-100 px-6 py-5">
+        <div>
+          <h2 id="trash-title" className="text-xl font-semibold text-slate-900">
+            Papelera
+          </h2>
+          <p id="trash-description" className="mt-1 text-sm text-slate-500">
+            Los sitios eliminados se conservan 30 días con su configuración e historial.
+          </p>
+        </div>
+        <button
+          ref={closeButtonRef}
+          type="button"
+          onClick={onClose}
+          className="rounded-xl p-2 text-slate-400 transition hover:bg-slate-100 hover:text-slate-600"
+          aria-label="Cerrar papelera"
+        >
+          <CloseIcon />
+        </button>
+      </div>
+
+      <div className="flex-1 divide-y divide-slate-100 overflow-y-auto">
+        {trash.length ? (
+          trash.map((entry) => {
+            const daysLeft = Math.max(1, Math.ceil((getTrashExpiry(entry) - now) / (24 * 60 * 60 * 1000)));
+            return (
+              <section key={entry.id} className="space-y-3 px-6 py-5">
+                <div className="min-w-0">
+                  <h3 className="truncate text-sm font-semibold text-slate-900">
+                    {entry.item.label || hostnameFromUrl(entry.item.url)}
+                  </h3>
+                  <p className="mt-1 truncate text-xs text-slate-500">{entry.item.pattern || entry.item.url}</p>
+                  <p className="mt-1 text-xs text-slate-500">
+                    Eliminado el {formatDateTime(entry.deletedAt)} ·{" "}
+                    {daysLeft === 1 ? "se borrará en 1 día" : `se borrará en ${daysLeft} días`}
+                  </p>
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  <button
+                    type="button"
+                    onClick={() => onRestore(entry)}
+                    className="inline-flex h-8 items-center rounded-md border border-slate-200 px-3 text-sm font-medium text-slate-700 transition hover:border-slate-300 hover:bg-slate-50"
+                  >
+                    Restaurar
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => onPurge(entry)}
+                    className="inline-flex h-8 items-center rounded-md px-3 text-sm font-medium text-rose-600 transition hover:bg-rose-50"
+                  >
+                    Eliminar definitivamente
+                  </button>
+                </div>
+              </section>
+            );
+          })
+        ) : (
+          <p className="px-6 py-5 text-sm text-slate-500">La papelera está vacía.</p>
+        )}
+      </div>
+
+      {trash.length ? (
+        <div className="border-t border-slate-100 px-6 py-4">
+          <button
+            type="button"
+            onClick={onEmpty}
+            className="w-full rounded-lg border border-rose-200 px-4 py-2.5 text-sm font-medium text-rose-600 transition hover:bg-rose-50"
+          >
+            Vaciar papelera
+          </button>
+        </div>
+      ) : null}
+    </DialogShell>
+  );
+}
+
+function CloseIcon() {
+  return (
+    <svg className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+      <path
+        fillRule="evenodd"
+        d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z"
+        clipRule="evenodd"
+      />
+    </svg>
+  );
+}
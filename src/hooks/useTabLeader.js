@@ -0,0 +1,36 @@
+import { useEffect, useState } from "react";
+
+// Only one open tab holds the Web Lock at a time and keeps it until it closes; the next waiting tab then takes over.
+// Without Web Locks every tab counts as the leader.
+export function useTabLeader(lockName) {
+  const [leader, setLeader] = useState(() => !globalThis.navigator?.locks);
+
+  useEffect(() => {
+    const locks = globalThis.navigator?.locks;
+    if (!locks) {
+      return undefined;
+    }
+
+    const controller = new AbortController();
+    let release;
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    locks
+      .request(lockName, { signal: controller.signal }, () => {
+        setLeader(true);
+        return held;
+      })
+      .catch(() => {
+        // Aborted while still waiting for the lock.
+      });
+
+    return () => {
+      controller.abort();
+      release();
+      setLeader(false);
+    };
+  }, [lockName]);
+
+  return leader;
+}
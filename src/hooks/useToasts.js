@@ -4,13 +4,18 @@ import { uid } from "../lib/utils.js";
 export function useToasts() {
   const [toasts, setToasts] = useState([]);
 
-  const push = useCallback((message, tone = "info") => {
-    const id = uid();
-    setToasts((currentToasts) => [...currentToasts, { id, message, tone }]);
-    window.setTimeout(() => {
-      setToasts((currentToasts) => currentToasts.filter((toast) => toast.id !== id));
-    }, 4000);
+  const dismiss = useCallback((id) => {
+    setToasts((currentToasts) => currentToasts.filter((toast) => toast.id !== id));
   }, []);
 
-  return { toasts, push };
+  const push = useCallback(
+    (message, tone = "info", action = null) => {
+      const id = uid();
+      setToasts((currentToasts) => [...currentToasts, { id, message, tone, action }]);
+      window.setTimeout(() => dismiss(id), action ? 8000 : 4000);
+    },
+    [dismiss],
+  );
+
+  return { toasts, push, dismiss };
 }
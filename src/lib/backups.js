@@ -0,0 +1,68 @@
+import { BACKUP_REASON_LABELS, MAX_BACKUPS } from "./constants.js";
+import { normalizeGroups, reconcileGroupIds } from "./groups.js";
+import { getTimerNow, moveSiteToTrash, normalizeSettings, normalizeSites } from "./sites.js";
+import { asTimestamp, uid } from "./utils.js";
+
+// Snapshots keep items, settings and groups as they were stored; they are only normalized when restored.
+export function createBackup({ items, settings, groups }, reason, now = Date.now()) {
+  return { id: uid(), at: now, reason, items, settings, groups };
+}
+
+export function normalizeBackups(input) {
+  if (!Array.isArray(input)) {
+    return [];
+  }
+
+  return input
+    .filter((entry) => entry && typeof entry === "object" && Array.isArray(entry.items))
+    .map((entry) => ({
+      id: typeof entry.id === "string" && entry.id ? entry.id : uid(),
+      at: asTimestamp(entry.at, 0),
+      reason: Object.hasOwn(BACKUP_REASON_LABELS, entry.reason) ? entry.reason : "auto",
+      items: entry.items,
+      settings: entry.settings && typeof entry.settings === "object" ? entry.settings : null,
+      groups: Array.isArray(entry.groups) ? entry.groups : [],
+    }))
+    .sort((left, right) => right.at - left.at)
+    .slice(0, MAX_BACKUPS);
+}
+
+function sameContent(left, right) {
+  return (
+    JSON.stringify([left.items, left.settings, left.groups]) ===
+    JSON.stringify([right.items, right.settings, right.groups])
+  );
+}
+
+// A snapshot identical to the newest one adds nothing, so it is dropped instead of pushing out an older copy.
+export function addBackup(backups, backup) {
+  if (backups[0] && sameContent(backups[0], backup)) {
+    return backups;
+  }
+
+  return [backup, ...backups].slice(0, MAX_BACKUPS);
+}
+
+// Like a replace import: sites missing from the snapshot go to the trash, and a snapshot without settings keeps the
+// current ones.
+export function restoreBackup(current, backup, now = Date.now()) {
+  const settings = backup.settings ? normalizeSettings(backup.settings) : current.settings;
+  const groups = normalizeGroups(backup.groups, now);
+  const items = reconcileGroupIds(normalizeSites(backup.items, { now: getTimerNow(settings, now) }), groups);
+  const restoredIds = new Set(items.map((item) => item.id));
+  const retired = current.items
+    .filter((item) => !restoredIds.has(item.id))
+    .reduce((state, item) => moveSiteToTrash(state, item.id, now), {
+      items: current.items,
+      trash: current.trash,
+      history: current.history,
+    });
+
+  return {
+    items,
+    groups,
+    settings,
+    history: retired.history,
+    trash: retired.trash.filter((entry) => !restoredIds.has(entry.id)),
+  };
+}
@@ -0,0 +1,141 @@
+import { BRIDGE_PAIRING_TTL_MS } from "./constants.js";
+import { asTimestamp } from "./utils.js";
+
+const BRIDGE_PORT_NAME = "cooldown-bridge";
+const BRIDGE_POLL_MS = 2000;
+const BRIDGE_RECONNECT_MS = 5000;
+
+// Chrome extension ids are 32 letters between a and p.
+export function isValidExtensionId(value) {
+  return typeof value === "string" && /^[a-p]{32}$/.test(value);
+}
+
+// The web app's side of the bridge: which extension to talk to. Kept in localStorage, outside the bridged data.
+export function normalizeBridgeConfig(input) {
+  const source = input && typeof input === "object" ? input : {};
+  const extensionId = isValidExtensionId(source.extensionId) ? source.extensionId : "";
+  return { extensionId, enabled: Boolean(extensionId) && source.enabled === true };
+}
+
+// The extension's side: the origins the user has paired and the pairing request waiting for confirmation, if any.
+export function normalizeBridgeState(input, now = Date.now()) {
+  const source = input && typeof input === "object" ? input : {};
+  const origins = Array.isArray(source.origins)
+    ? source.origins
+        .filter((entry) => typeof entry?.origin === "string" && entry.origin)
+        .map((entry) => ({ origin: entry.origin, pairedAt: asTimestamp(entry.pairedAt, 0) }))
+    : [];
+  const requestedAt = asTimestamp(source.pending?.requestedAt, null);
+  const pending =
+    requestedAt !== null &&
+    requestedAt + BRIDGE_PAIRING_TTL_MS > now &&
+    typeof source.pending.origin === "string" &&
+    typeof source.pending.code === "string"
+      ? { origin: source.pending.origin, code: source.pending.code, requestedAt }
+      : null;
+
+  return { origins, pending };
+}
+
+export function approveBridgePairing(state, now = Date.now()) {
+  if (!state.pending) {
+    return state;
+  }
+
+  return {
+    origins: [
+      ...state.origins.filter((entry) => entry.origin !== state.pending.origin),
+      { origin: state.pending.origin, pairedAt: now },
+    ],
+    pending: null,
+  };
+}
+
+export function revokeBridgeOrigin(state, origin) {
+  return { ...state, origins: state.origins.filter((entry) => entry.origin !== origin) };
+}
+
+// Only available on pages listed in the extension's externally_connectable.
+function getRuntime() {
+  const runtime = globalThis.chrome?.runtime;
+  return runtime?.sendMessage ? runtime : null;
+}
+
+export function isBridgeAvailable() {
+  return Boolean(getRuntime());
+}
+
+export function sendBridgeMessage(extensionId, message) {
+  const runtime = getRuntime();
+  if (!runtime) {
+    return Promise.reject(new Error("Este navegador no permite conectar con la extensión."));
+  }
+
+  return new Promise((resolve, reject) => {
+    runtime.sendMessage(extensionId, message, (response) => {
+      if (runtime.lastError || !response) {
+        reject(new Error("No se encontró la extensión. Comprueba el identificador y que esté instalada."));
+        return;
+      }
+
+      if (!response.ok) {
+        reject(new Error(response.error || "La extensión rechazó la petición."));
+        return;
+      }
+
+      resolve(response);
+    });
+  });
+}
+
+export function requestBridgePairing(extensionId) {
+  return sendBridgeMessage(extensionId, { type: "bridge-pair" });
+}
+
+export async function waitForBridgePairing(extensionId, { timeoutMs = BRIDGE_PAIRING_TTL_MS } = {}) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const { paired } = await sendBridgeMessage(extensionId, { type: "bridge-status" });
+    if (paired) {
+      return true;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, BRIDGE_POLL_MS));
+  }
+
+  throw new Error("La vinculación no se confirmó a tiempo en la extensión.");
+}
+
+// The extension notifies every change through a long-lived port; it reconnects after the service worker restarts.
+export function subscribeToBridge(extensionId, onChange) {
+  const runtime = getRuntime();
+  if (!runtime?.connect) {
+    return () => {};
+  }
+
+  let port = null;
+  let retryId = null;
+  let stopped = false;
+  const connect = () => {
+    port = runtime.connect(extensionId, { name: BRIDGE_PORT_NAME });
+    port.onMessage.addListener((message) => {
+      if (message?.type === "bridge-changed") {
+        onChange();
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      // Reading lastError keeps Chrome from logging the disconnect as an unchecked error.
+      void runtime.lastError;
+      if (!stopped) {
+        retryId = setTimeout(connect, BRIDGE_RECONNECT_MS);
+      }
+    });
+  };
+
+  connect();
+  return () => {
+    stopped = true;
+    clearTimeout(retryId);
+    port?.disconnect();
+  };
+}
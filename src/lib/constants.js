@@ -1,11 +1,41 @@
-export const LS_KEY = "cooldown_site_timers_v1";
-export const LS_SETTINGS_KEY = "cooldown_settings_v1";
-export const EXPORT_SCHEMA_VERSION = 2;
+// The _v1 suffix is part of every key name and never changes; the shape of the values behind the keys is versioned by
+// STORAGE_SCHEMA_VERSION and upgraded by the migrators in migrations.js.
+const storageKey = (name) => `cooldown_${name}_v1`;
+
+export const LS_KEY = storageKey("site_timers");
+export const LS_ITEMS_REVISION_KEY = "cooldown_site_timers_revision";
+export const LS_SETTINGS_KEY = storageKey("settings");
+export const LS_HISTORY_KEY = storageKey("visit_history");
+export const LS_USAGE_KEY = storageKey("time_usage");
+export const LS_GROUPS_KEY = storageKey("groups");
+export const LS_OVERRIDES_KEY = storageKey("overrides");
+export const LS_FOCUS_KEY = storageKey("focus_session");
+export const LS_TRASH_KEY = storageKey("trash");
+export const LS_BACKUPS_KEY = storageKey("backups");
+export const LS_SYNC_KEY = storageKey("sync");
+export const LS_SYNC_STATE_KEY = storageKey("sync_state");
+export const LS_SERVER_SYNC_KEY = storageKey("server_sync");
+export const LS_SERVER_SYNC_STATE_KEY = storageKey("server_sync_state");
+export const LS_BRIDGE_KEY = storageKey("bridge");
+export const LS_BRIDGE_CONFIG_KEY = "cooldown_bridge_config";
+export const LS_SCHEMA_VERSION_KEY = "cooldown_schema_version";
+export const LS_MIGRATION_BACKUP_KEY = "cooldown_migration_backup";
+export const EXPORT_SCHEMA_VERSION = 3;
+export const STORAGE_SCHEMA_VERSION = 1;
 
 export const DEFAULT_SETTINGS = Object.freeze({
   defaultDurationMs: 30 * 60 * 1000,
   notificationsOn: false,
   soundOn: true,
+  dayResetTime: "00:00",
+  pausedAt: null,
+  pauseUntil: null,
+  pauseMode: "run",
+});
+
+export const DEFAULT_SYNC = Object.freeze({
+  enabled: false,
+  syncTimers: false,
 });
 
 export const FILTER_OPTIONS = [
@@ -14,4 +44,74 @@ export const FILTER_OPTIONS = [
   { value: "ready", label: "Listos" },
 ];
 
+export const GROUP_FILTER_ALL = "all";
+export const GROUP_FILTER_NONE = "none";
+
 export const DURATION_PRESETS = [5, 10, 15, 30, 60];
+
+export const DEFAULT_FOCUS = Object.freeze({
+  focusMinutes: 50,
+  breakMinutes: 10,
+  cycles: 3,
+});
+
+export const PAUSE_OPTIONS = [
+  { value: "manual", label: "Hasta que la reanude" },
+  { value: "1h", label: "1 hora", durationMs: 60 * 60 * 1000 },
+  { value: "4h", label: "4 horas", durationMs: 4 * 60 * 60 * 1000 },
+  { value: "reset", label: "Hasta la próxima renovación diaria" },
+  { value: "week", label: "1 semana", durationMs: 7 * 24 * 60 * 60 * 1000 },
+];
+
+export const EXPORT_FORMATS = [
+  { value: "json", label: "JSON (copia completa)" },
+  { value: "sites-csv", label: "CSV de sitios" },
+  { value: "events-csv", label: "CSV de visitas y accesos" },
+];
+
+export const IMPORT_MODES = [
+  { value: "merge", label: "Combinar", description: "Conserva tus sitios y añade o actualiza los del archivo." },
+  { value: "replace", label: "Reemplazar", description: "Deja solo los sitios del archivo. Los demás van a la papelera." },
+];
+
+export const DEFAULT_QUOTA_LIMIT = 3;
+export const MAX_QUOTA_LIMIT = 99;
+export const DEFAULT_BUDGET_MS = 30 * 60 * 1000;
+export const BUDGET_TRACKING_MAX_GAP_MS = 2 * 60 * 1000;
+
+export const DEFAULT_ESCALATION = Object.freeze({
+  factor: 2,
+  maxMultiplier: 8,
+  windowMs: 60 * 60 * 1000,
+  decayMs: 24 * 60 * 60 * 1000,
+});
+
+export const ESCALATION_FACTORS = [1.5, 2, 3];
+
+export const MAX_VISITS_PER_SITE = 500;
+export const MAX_OVERRIDE_ENTRIES = 200;
+export const MAX_UNDO_ENTRIES = 50;
+export const TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+export const MAX_BACKUPS = 10;
+export const BRIDGE_PAIRING_TTL_MS = 2 * 60 * 1000;
+export const SITES_LOCK_NAME = "cooldown-sites";
+export const HISTORY_LOCK_NAME = "cooldown-history";
+export const MAX_SITE_WRITE_ATTEMPTS = 5;
+export const WEB_CHANNEL_NAME = "cooldown-tracker";
+export const TAB_LEADER_LOCK_NAME = "cooldown-tab-leader";
+export const SERVER_SYNC_DELAY_MS = 2000;
+export const SERVER_SYNC_INTERVAL_MS = 60 * 1000;
+export const STATS_RANGE_DAYS = 14;
+
+export const BACKUP_REASON_LABELS = Object.freeze({
+  auto: "Automática",
+  import: "Antes de importar",
+  "delete-group": "Antes de eliminar un grupo",
+  restore: "Antes de restaurar una copia",
+});
+
+export const VISIT_SOURCE_LABELS = Object.freeze({
+  app: "Abrir",
+  manual: "Marcar visitado",
+  navigation: "Navegación directa",
+});
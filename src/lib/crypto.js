@@ -0,0 +1,99 @@
+const ENVELOPE_FORMAT = "cooldown-encrypted";
+const ENVELOPE_VERSION = 1;
+const PBKDF2_ITERATIONS = 600_000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+function getSubtle() {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    throw new Error("Este navegador no permite cifrar ni descifrar datos.");
+  }
+
+  return subtle;
+}
+
+function toBase64(bytes) {
+  let binary = "";
+  for (let index = 0; index < bytes.length; index += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(index, index + 0x8000));
+  }
+
+  return btoa(binary);
+}
+
+function fromBase64(value) {
+  const binary = atob(value);
+  return Uint8Array.from(binary, (character) => character.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const subtle = getSubtle();
+  const baseKey = await subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, [
+    "deriveKey",
+  ]);
+  return subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"],
+  );
+}
+
+export function isEncryptedEnvelope(value) {
+  return Boolean(value) && typeof value === "object" && value.format === ENVELOPE_FORMAT;
+}
+
+// The envelope keeps everything needed to derive the key again, so the iteration count can grow in later versions
+// without breaking older files.
+export async function encryptExport(text, passphrase) {
+  const salt = globalThis.crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(IV_BYTES));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const data = await getSubtle().encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(text));
+
+  return JSON.stringify(
+    {
+      format: ENVELOPE_FORMAT,
+      version: ENVELOPE_VERSION,
+      kdf: { name: "PBKDF2", hash: "SHA-256", iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+      cipher: { name: "AES-GCM", iv: toBase64(iv) },
+      data: toBase64(new Uint8Array(data)),
+    },
+    null,
+    2,
+  );
+}
+
+export async function decryptExport(envelope, passphrase) {
+  if (Number(envelope.version) > ENVELOPE_VERSION) {
+    throw new Error("El archivo se creó con una versión más reciente de la aplicación.");
+  }
+
+  let salt;
+  let iv;
+  let data;
+  try {
+    salt = fromBase64(envelope.kdf.salt);
+    iv = fromBase64(envelope.cipher.iv);
+    data = fromBase64(envelope.data);
+  } catch {
+    throw new Error("El archivo cifrado está dañado.");
+  }
+
+  const iterations = Number(envelope.kdf.iterations);
+  if (!Number.isInteger(iterations) || iterations < 1) {
+    throw new Error("El archivo cifrado está dañado.");
+  }
+
+  const key = await deriveKey(passphrase, salt, iterations);
+  try {
+    const plain = await getSubtle().decrypt({ name: "AES-GCM", iv }, key, data);
+    return new TextDecoder().decode(plain);
+  } catch {
+    // AES-GCM cannot tell a wrong key from altered data; a wrong passphrase is by far the likelier cause.
+    throw new Error("La contraseña no es correcta o el archivo está dañado.");
+  }
+}
@@ -0,0 +1,119 @@
+import { VISIT_SOURCE_LABELS } from "./constants.js";
+import { getSiteView } from "./sites.js";
+import { hostnameFromUrl } from "./utils.js";
+
+function pad(value, length = 2) {
+  return String(Math.abs(value)).padStart(length, "0");
+}
+
+// ISO 8601 with the local offset, e.g. 2024-05-03T18:30:00+02:00, so spreadsheets show the user's own clock.
+export function toLocalIsoString(timestamp) {
+  if (!timestamp) {
+    return "";
+  }
+
+  const date = new Date(timestamp);
+  const offset = -date.getTimezoneOffset();
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+    `${offset >= 0 ? "+" : "-"}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`
+  );
+}
+
+// Text starting with = + - @ would run as a formula when the file is opened in a spreadsheet.
+function escapeCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  if (typeof value !== "string") {
+    return String(value);
+  }
+
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+  return /[",\r\n]/.test(text) || text.trim() !== text ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(escapeCell).join(",")).join("\r\n");
+}
+
+function getCsvStatus(item, view) {
+  if (view.budget?.exhausted) {
+    return { status: "Tiempo agotado", nextReadyAt: view.budget.resetAt };
+  }
+
+  if (view.ready) {
+    return { status: "Listo", nextReadyAt: null };
+  }
+
+  return { status: view.quota ? "Cupo agotado" : "En cooldown", nextReadyAt: item.endAt };
+}
+
+// The url, label and minutes columns use the names the CSV importer expects, so the file can be imported back.
+export function buildSitesCsv(items, options = {}) {
+  const now = options.now ?? Date.now();
+  const rows = items.map((item) => {
+    const view = getSiteView(item, now, { dayResetTime: options.dayResetTime, usage: options.usage });
+    const { status, nextReadyAt } = getCsvStatus(item, view);
+    return [
+      item.label || hostnameFromUrl(item.url),
+      item.url,
+      item.scope,
+      item.pattern ?? "",
+      item.rule,
+      Math.round(item.durationMs / 60_000),
+      status,
+      toLocalIsoString(item.lastVisitedAt),
+      toLocalIsoString(nextReadyAt),
+    ];
+  });
+
+  return toCsv(
+    ["label", "url", "scope", "pattern", "rule", "minutes", "status", "last_visit", "next_ready"],
+    rows,
+  );
+}
+
+export function hasCsvEvents(history, overrides = []) {
+  return overrides.length > 0 || Object.values(history).some((visits) => visits.length > 0);
+}
+
+export function buildEventsCsv(items, history, overrides = []) {
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  const visits = Object.entries(history).flatMap(([siteId, siteVisits]) => {
+    const item = itemsById.get(siteId);
+    return siteVisits.map((visit) => ({
+      at: visit.at,
+      row: [
+        "visita",
+        toLocalIsoString(visit.at),
+        item ? item.label || hostnameFromUrl(item.url) : "",
+        item?.url ?? "",
+        VISIT_SOURCE_LABELS[visit.source],
+        visit.blocked ? "sí" : "no",
+        "",
+        "",
+      ],
+    }));
+  });
+  const overrideRows = overrides.map((entry) => ({
+    at: entry.at,
+    row: [
+      "acceso de emergencia",
+      toLocalIsoString(entry.at),
+      entry.label,
+      entry.url,
+      "",
+      "sí",
+      entry.minutes,
+      entry.reason,
+    ],
+  }));
+
+  return toCsv(
+    ["type", "at", "label", "url", "source", "blocked", "minutes", "reason"],
+    [...visits, ...overrideRows].sort((left, right) => left.at - right.at).map((event) => event.row),
+  );
+}
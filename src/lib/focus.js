@@ -0,0 +1,86 @@
+import { asTimestamp, uid } from "./utils.js";
+
+function normalizeMinutes(value, fallback, max) {
+  const parsed = Math.round(Number(value));
+  return Number.isFinite(parsed) && parsed > 0 ? Math.min(max, parsed) : fallback;
+}
+
+function normalizeIds(value) {
+  return Array.isArray(value) ? [...new Set(value.filter((id) => typeof id === "string" && id))] : [];
+}
+
+function getCycleMs(session) {
+  return session.focusMs + session.breakMs;
+}
+
+export function getFocusSessionEnd(session) {
+  return session.startedAt + session.cycles * session.focusMs + (session.cycles - 1) * session.breakMs;
+}
+
+export function normalizeFocusSession(input, now = Date.now()) {
+  if (!input || typeof input !== "object") {
+    return null;
+  }
+
+  const startedAt = asTimestamp(input.startedAt, null);
+  const siteIds = normalizeIds(input.siteIds);
+  const groupIds = normalizeIds(input.groupIds);
+  if (startedAt === null || (!siteIds.length && !groupIds.length)) {
+    return null;
+  }
+
+  const breakMs = normalizeMinutes(input.breakMs / 60_000, 0, 120) * 60_000;
+  const session = {
+    id: typeof input.id === "string" && input.id ? input.id : uid(),
+    siteIds,
+    groupIds,
+    startedAt,
+    focusMs: normalizeMinutes(input.focusMs / 60_000, 50, 24 * 60) * 60_000,
+    breakMs,
+    cycles: breakMs ? normalizeMinutes(input.cycles, 1, 12) : 1,
+  };
+
+  return getFocusSessionEnd(session) > now ? session : null;
+}
+
+export function createFocusSession(draft, now = Date.now()) {
+  return normalizeFocusSession(
+    {
+      siteIds: draft.siteIds,
+      groupIds: draft.groupIds,
+      startedAt: now,
+      focusMs: draft.focusMinutes * 60_000,
+      breakMs: draft.breakMinutes * 60_000,
+      cycles: draft.cycles,
+    },
+    now,
+  );
+}
+
+// Pomodoro phases are derived from the start time, so no state has to be written when a phase changes.
+export function getFocusPhase(session, now = Date.now()) {
+  if (!session || now < session.startedAt || now >= getFocusSessionEnd(session)) {
+    return null;
+  }
+
+  const cycleMs = getCycleMs(session);
+  const cycle = Math.floor((now - session.startedAt) / cycleMs);
+  const cycleStart = session.startedAt + cycle * cycleMs;
+  const focusEndsAt = cycleStart + session.focusMs;
+
+  return now < focusEndsAt
+    ? { phase: "focus", endsAt: focusEndsAt, cycle: cycle + 1, cycles: session.cycles }
+    : { phase: "break", endsAt: cycleStart + cycleMs, cycle: cycle + 1, cycles: session.cycles };
+}
+
+export function getFocusSiteIds(session, items) {
+  if (!session) {
+    return new Set();
+  }
+
+  return new Set(
+    items
+      .filter((item) => session.siteIds.includes(item.id) || (item.groupId && session.groupIds.includes(item.groupId)))
+      .map((item) => item.id),
+  );
+}
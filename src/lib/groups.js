@@ -0,0 +1,97 @@
+import { asTimestamp, uid } from "./utils.js";
+
+function sanitizeGroupName(value) {
+  const name = typeof value === "string" ? value.trim() : "";
+  return name.slice(0, 30);
+}
+
+export function normalizeGroup(input, now = Date.now()) {
+  if (!input || typeof input !== "object") {
+    return null;
+  }
+
+  const name = sanitizeGroupName(input.name);
+  if (!name) {
+    return null;
+  }
+
+  const createdAt = asTimestamp(input.createdAt, now);
+  return {
+    id: typeof input.id === "string" && input.id.trim() ? input.id : uid(),
+    name,
+    linked: input.linked === true,
+    createdAt,
+    updatedAt: Math.max(createdAt, asTimestamp(input.updatedAt, createdAt)),
+  };
+}
+
+export function normalizeGroups(groups, now = Date.now()) {
+  if (!Array.isArray(groups)) {
+    return [];
+  }
+
+  const seenIds = new Set();
+  return groups
+    .map((group) => normalizeGroup(group, now))
+    .filter((group) => {
+      if (!group || seenIds.has(group.id)) {
+        return false;
+      }
+
+      seenIds.add(group.id);
+      return true;
+    });
+}
+
+export function reconcileGroupIds(items, groups) {
+  const groupIds = new Set(groups.map((group) => group.id));
+  return items.map((item) => (item.groupId && !groupIds.has(item.groupId) ? { ...item, groupId: null } : item));
+}
+
+export function upsertGroup(groups, draft, now = Date.now()) {
+  const group = normalizeGroup({ ...draft, createdAt: draft.createdAt ?? now, updatedAt: now }, now);
+  if (!group) {
+    return groups;
+  }
+
+  return groups.some((candidate) => candidate.id === group.id)
+    ? groups.map((candidate) => (candidate.id === group.id ? group : candidate))
+    : [...groups, group];
+}
+
+export function removeGroup(groups, id) {
+  return groups.filter((group) => group.id !== id);
+}
+
+export function assignGroupMembers(items, groupId, memberIds, now = Date.now()) {
+  const members = new Set(memberIds);
+  return items.map((item) => {
+    const shouldBelong = members.has(item.id);
+    if (shouldBelong === (item.groupId === groupId)) {
+      return item;
+    }
+
+    return {
+      ...item,
+      groupId: shouldBelong ? groupId : null,
+      updatedAt: now,
+    };
+  });
+}
+
+export function applyGroupDuration(items, groupId, durationMs, now = Date.now()) {
+  return items.map((item) => (item.groupId === groupId ? { ...item, durationMs, updatedAt: now } : item));
+}
+
+export function getGroupMembers(items, groupId) {
+  return items.filter((item) => item.groupId === groupId);
+}
+
+export function groupSites(items, groups) {
+  const sections = groups
+    .map((group) => ({ group, items: items.filter((item) => item.groupId === group.id) }))
+    .filter((section) => section.items.length);
+  const ungrouped = items.filter((item) => !item.groupId || !groups.some((group) => group.id === item.groupId));
+
+  return ungrouped.length ? [...sections, { group: null, items: ungrouped }] : sections;
+}
@@ -0,0 +1,204 @@
+import { MAX_OVERRIDE_ENTRIES, MAX_VISITS_PER_SITE, STATS_RANGE_DAYS, VISIT_SOURCE_LABELS } from "./constants.js";
+import { asTimestamp } from "./utils.js";
+
+function normalizeVisit(input) {
+  if (!input || typeof input !== "object") {
+    return null;
+  }
+
+  const at = asTimestamp(input.at, null);
+  if (at === null) {
+    return null;
+  }
+
+  return {
+    at,
+    source: Object.hasOwn(VISIT_SOURCE_LABELS, input.source) ? input.source : "navigation",
+    blocked: input.blocked === true,
+  };
+}
+
+function startOfLocalDay(timestamp) {
+  const date = new Date(timestamp);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+}
+
+function nextLocalDay(dayStart) {
+  const date = new Date(dayStart);
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1).getTime();
+}
+
+export function normalizeHistory(input, siteIds = null) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return {};
+  }
+
+  const allowedIds = siteIds ? new Set(siteIds) : null;
+  return Object.entries(input).reduce((history, [siteId, visits]) => {
+    if (allowedIds && !allowedIds.has(siteId)) {
+      return history;
+    }
+
+    const normalizedVisits = Array.isArray(visits)
+      ? visits
+          .map(normalizeVisit)
+          .filter(Boolean)
+          .sort((left, right) => left.at - right.at)
+          .slice(-MAX_VISITS_PER_SITE)
+      : [];
+
+    if (normalizedVisits.length) {
+      history[siteId] = normalizedVisits;
+    }
+
+    return history;
+  }, {});
+}
+
+export function appendVisit(history, siteId, visit) {
+  const normalizedVisit = normalizeVisit(visit);
+  if (!normalizedVisit) {
+    return history;
+  }
+
+  const visits = [...(history[siteId] || []), normalizedVisit].slice(-MAX_VISITS_PER_SITE);
+  return {
+    ...history,
+    [siteId]: visits,
+  };
+}
+
+function getVisitKey(visit) {
+  return `${visit.at}:${visit.source}:${visit.blocked}`;
+}
+
+// The visits each site gained and lost between two histories. Like the site patches, they are replayed on top of
+// the stored history, so visits the service worker appended in the meantime are kept.
+export function diffHistory(previous, next) {
+  const siteIds = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  return [...siteIds].flatMap((siteId) => {
+    const before = previous[siteId] || [];
+    const after = next[siteId] || [];
+    const beforeKeys = new Set(before.map(getVisitKey));
+    const afterKeys = new Set(after.map(getVisitKey));
+    const added = after.filter((visit) => !beforeKeys.has(getVisitKey(visit)));
+    const removed = before.map(getVisitKey).filter((key) => !afterKeys.has(key));
+    return added.length || removed.length ? [{ siteId, added, removed }] : [];
+  });
+}
+
+// Patches may come from a paired web page, so malformed ones are skipped and the visits normalized.
+export function applyHistoryPatches(history, patches) {
+  const nextHistory = { ...history };
+  patches.forEach((patch) => {
+    if (typeof patch?.siteId !== "string" || !Array.isArray(patch.added) || !Array.isArray(patch.removed)) {
+      return;
+    }
+
+    const removedKeys = new Set(patch.removed);
+    const kept = (nextHistory[patch.siteId] || []).filter((visit) => !removedKeys.has(getVisitKey(visit)));
+    const keptKeys = new Set(kept.map(getVisitKey));
+    nextHistory[patch.siteId] = [
+      ...kept,
+      ...(normalizeHistory({ [patch.siteId]: patch.added })[patch.siteId] || []).filter(
+        (visit) => !keptKeys.has(getVisitKey(visit)),
+      ),
+    ];
+  });
+  return normalizeHistory(nextHistory);
+}
+
+export function removeSiteHistory(history, siteId) {
+  if (!history[siteId]) {
+    return history;
+  }
+
+  const nextHistory = { ...history };
+  delete nextHistory[siteId];
+  return nextHistory;
+}
+
+export function getVisitStats(visits = [], now = Date.now(), rangeDays = STATS_RANGE_DAYS) {
+  const allowedVisits = visits.filter((visit) => !visit.blocked);
+  const today = startOfLocalDay(now);
+  const perDay = [];
+
+  let dayStart = today;
+  for (let index = 0; index < rangeDays; index += 1) {
+    perDay.unshift({ dayStart, visits: 0, blocked: 0 });
+    const date = new Date(dayStart);
+    dayStart = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1).getTime();
+  }
+
+  const rangeStart = perDay[0].dayStart;
+  visits.forEach((visit) => {
+    if (visit.at < rangeStart || visit.at > now) {
+      return;
+    }
+
+    const bucket = perDay.find((day) => day.dayStart === startOfLocalDay(visit.at));
+    if (bucket) {
+      bucket[visit.blocked ? "blocked" : "visits"] += 1;
+    }
+  });
+
+  let averageGapMs = null;
+  if (allowedVisits.length > 1) {
+    const span = allowedVisits[allowedVisits.length - 1].at - allowedVisits[0].at;
+    averageGapMs = Math.round(span / (allowedVisits.length - 1));
+  }
+
+  // Counts whole local days without an allowed visit, from the first visit up to today.
+  let longestQuietDays = 0;
+  if (allowedVisits.length) {
+    const visitedDays = new Set(allowedVisits.map((visit) => startOfLocalDay(visit.at)));
+    let currentQuietDays = 0;
+    for (let day = startOfLocalDay(allowedVisits[0].at); day <= today; day = nextLocalDay(day)) {
+      currentQuietDays = visitedDays.has(day) ? 0 : currentQuietDays + 1;
+      longestQuietDays = Math.max(longestQuietDays, currentQuietDays);
+    }
+  }
+
+  return {
+    totalVisits: allowedVisits.length,
+    blockedAttempts: visits.length - allowedVisits.length,
+    lastVisitAt: allowedVisits.length ? allowedVisits[allowedVisits.length - 1].at : null,
+    averageGapMs,
+    longestQuietDays,
+    perDay,
+  };
+}
+
+function normalizeOverride(input) {
+  if (!input || typeof input !== "object" || typeof input.siteId !== "string") {
+    return null;
+  }
+
+  const at = asTimestamp(input.at, null);
+  const minutes = Number(input.minutes);
+  if (at === null || !Number.isFinite(minutes) || minutes <= 0) {
+    return null;
+  }
+
+  return {
+    at,
+    siteId: input.siteId,
+    label: typeof input.label === "string" ? input.label : "",
+    url: typeof input.url === "string" ? input.url : "",
+    reason: typeof input.reason === "string" ? input.reason.slice(0, 300) : "",
+    minutes,
+  };
+}
+
+// Emergency overrides granted from the blocked page, oldest first.
+export function normalizeOverrideLog(input) {
+  if (!Array.isArray(input)) {
+    return [];
+  }
+
+  return input
+    .map(normalizeOverride)
+    .filter(Boolean)
+    .sort((left, right) => left.at - right.at)
+    .slice(-MAX_OVERRIDE_ENTRIES);
+}
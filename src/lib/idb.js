@@ -0,0 +1,220 @@
+import { LS_HISTORY_KEY, LS_KEY, LS_SETTINGS_KEY } from "./constants.js";
+import { uid } from "./utils.js";
+
+const DB_NAME = "cooldown-tracker";
+const DB_VERSION = 1;
+const SITES_STORE = "sites";
+const HISTORY_STORE = "history";
+const SETTINGS_STORE = "settings";
+const SETTINGS_RECORD_KEY = "settings";
+// Kept next to the settings record, outside the cache of that store, and written in the same transaction as the sites.
+const SITES_REVISION_KEY = "sites-revision";
+
+// The storage keys kept in IndexedDB; everything else stays in localStorage.
+export const WEB_STORE_KEYS = [LS_KEY, LS_HISTORY_KEY, LS_SETTINGS_KEY];
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error ?? new Error("La escritura en IndexedDB se canceló."));
+  });
+}
+
+function toSiteRecords(items) {
+  return Array.isArray(items)
+    ? items.filter((item) => item && typeof item === "object" && typeof item.id === "string" && item.id)
+    : [];
+}
+
+function toHistoryRecords(history) {
+  return history && typeof history === "object"
+    ? Object.entries(history).map(([siteId, visits]) => ({ siteId, visits }))
+    : [];
+}
+
+// Runs inside the upgrade transaction, so the stores and the copied data appear together or not at all. The values
+// are copied as they are; the stored-state migrations run afterwards on top of IndexedDB.
+function copyLegacyValues(transaction, legacy) {
+  const sites = transaction.objectStore(SITES_STORE);
+  (Array.isArray(legacy[LS_KEY]) ? legacy[LS_KEY] : []).forEach((item) => {
+    if (item && typeof item === "object") {
+      sites.put(typeof item.id === "string" && item.id ? item : { ...item, id: uid() });
+    }
+  });
+  const history = transaction.objectStore(HISTORY_STORE);
+  toHistoryRecords(legacy[LS_HISTORY_KEY]).forEach((record) => history.put(record));
+  if (legacy[LS_SETTINGS_KEY] !== undefined) {
+    transaction.objectStore(SETTINGS_STORE).put(legacy[LS_SETTINGS_KEY], SETTINGS_RECORD_KEY);
+  }
+}
+
+function openDatabase(readLegacyValues) {
+  return new Promise((resolve, reject) => {
+    const request = globalThis.indexedDB.open(DB_NAME, DB_VERSION);
+    let migrated = false;
+    request.onupgradeneeded = (event) => {
+      const database = request.result;
+      if (event.oldVersion < 1) {
+        database.createObjectStore(SITES_STORE, { keyPath: "id" });
+        database.createObjectStore(HISTORY_STORE, { keyPath: "siteId" });
+        database.createObjectStore(SETTINGS_STORE);
+        copyLegacyValues(request.transaction, readLegacyValues());
+        migrated = true;
+      }
+    };
+    request.onsuccess = () => resolve({ database: request.result, migrated });
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error("Otra pestaña está usando una versión anterior de los datos."));
+  });
+}
+
+async function readAllRecords(database) {
+  const transaction = database.transaction([SITES_STORE, HISTORY_STORE, SETTINGS_STORE], "readonly");
+  const [sites, history, settings, sitesRevision] = await Promise.all([
+    requestToPromise(transaction.objectStore(SITES_STORE).getAll()),
+    requestToPromise(transaction.objectStore(HISTORY_STORE).getAll()),
+    requestToPromise(transaction.objectStore(SETTINGS_STORE).get(SETTINGS_RECORD_KEY)),
+    requestToPromise(transaction.objectStore(SETTINGS_STORE).get(SITES_REVISION_KEY)),
+  ]);
+  return { sites, history, settings, sitesRevision: Number(sitesRevision) || 0 };
+}
+
+// Returns null when the browser has no IndexedDB, e.g. some private windows; the caller then keeps localStorage.
+// readLegacyValues is only called the first time, to move the localStorage values across. onWrite receives the storage
+// key of every write that changed something, so other tabs can be told.
+export async function openWebStore(readLegacyValues, onWrite = () => {}) {
+  if (!globalThis.indexedDB) {
+    return null;
+  }
+
+  const { database, migrated } = await openDatabase(readLegacyValues);
+  // A newer build in another tab needs the database closed before it can upgrade it.
+  database.onversionchange = () => database.close();
+  // The last written JSON of every record, so a save only touches the records that actually changed.
+  const cache = {};
+  let sitesRevision = 0;
+  const loadCache = async () => {
+    const records = await readAllRecords(database);
+    cache[SITES_STORE] = new Map(records.sites.map((site) => [site.id, JSON.stringify(site)]));
+    cache[HISTORY_STORE] = new Map(records.history.map((record) => [record.siteId, JSON.stringify(record)]));
+    cache[SETTINGS_STORE] = new Map(
+      records.settings === undefined ? [] : [[SETTINGS_RECORD_KEY, JSON.stringify(records.settings)]],
+    );
+    sitesRevision = records.sitesRevision;
+  };
+  await loadCache();
+
+  // A write to the sites also bumps their revision in the same transaction. Given expectedRevision, it only happens
+  // while the stored revision still matches, checked inside that transaction, and returns false otherwise.
+  const writeRecords = async (storeName, storageKey, records, getKey, expectedRevision = null) => {
+    const storeCache = cache[storeName];
+    const keys = new Set();
+    const puts = [];
+    records.forEach((record) => {
+      const key = getKey(record);
+      const json = JSON.stringify(record);
+      keys.add(key);
+      if (storeCache.get(key) !== json) {
+        puts.push({ key, record, json });
+      }
+    });
+    const deletes = [...storeCache.keys()].filter((key) => !keys.has(key));
+    if (!puts.length && !deletes.length) {
+      return true;
+    }
+
+    const deleted = new Map(deletes.map((key) => [key, storeCache.get(key)]));
+    puts.forEach(({ key, json }) => storeCache.set(key, json));
+    deletes.forEach((key) => storeCache.delete(key));
+    const withRevision = storeName === SITES_STORE;
+    let nextRevision = null;
+    let stale = false;
+    try {
+      const transaction = database.transaction(withRevision ? [storeName, SETTINGS_STORE] : storeName, "readwrite");
+      const store = transaction.objectStore(storeName);
+      if (withRevision) {
+        const meta = transaction.objectStore(SETTINGS_STORE);
+        const request = meta.get(SITES_REVISION_KEY);
+        request.onsuccess = () => {
+          const revision = Number(request.result) || 0;
+          if (expectedRevision !== null && revision !== expectedRevision) {
+            stale = true;
+            transaction.abort();
+            return;
+          }
+
+          nextRevision = revision + 1;
+          meta.put(nextRevision, SITES_REVISION_KEY);
+        };
+      }
+      puts.forEach(({ key, record }) => (storeName === SETTINGS_STORE ? store.put(record, key) : store.put(record)));
+      deletes.forEach((key) => store.delete(key));
+      await transactionDone(transaction);
+      if (withRevision) {
+        sitesRevision = nextRevision;
+      }
+      onWrite(storageKey);
+      return true;
+    } catch (error) {
+      // Forget what was not written, so the next save writes or deletes those records again.
+      puts.forEach(({ key }) => storeCache.delete(key));
+      deleted.forEach((json, key) => storeCache.set(key, json));
+      if (stale) {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  return {
+    migrated,
+    // Other tabs write to the same database; the cache is read again before a compare-and-swap and whenever another
+    // tab reports a change.
+    refresh: loadCache,
+    read(key, fallback) {
+      if (key === LS_KEY) {
+        // IndexedDB returns the sites by id; creation order is the closest to the order they were added in.
+        return [...cache[SITES_STORE].values()]
+          .map((json) => JSON.parse(json))
+          .sort((left, right) => (Number(left.createdAt) || 0) - (Number(right.createdAt) || 0));
+      }
+
+      if (key === LS_HISTORY_KEY) {
+        if (!cache[HISTORY_STORE].size) {
+          return fallback;
+        }
+
+        const records = [...cache[HISTORY_STORE].values()].map((json) => JSON.parse(json));
+        return Object.fromEntries(records.map((record) => [record.siteId, record.visits]));
+      }
+
+      const settings = cache[SETTINGS_STORE].get(SETTINGS_RECORD_KEY);
+      return settings === undefined ? fallback : JSON.parse(settings);
+    },
+    readSitesRevision() {
+      return sitesRevision;
+    },
+    swapSites(revision, items) {
+      return writeRecords(SITES_STORE, LS_KEY, toSiteRecords(items), (site) => site.id, revision);
+    },
+    write(key, value) {
+      if (key === LS_KEY) {
+        return writeRecords(SITES_STORE, key, toSiteRecords(value), (site) => site.id);
+      }
+
+      if (key === LS_HISTORY_KEY) {
+        return writeRecords(HISTORY_STORE, key, toHistoryRecords(value), (record) => record.siteId);
+      }
+
+      return writeRecords(SETTINGS_STORE, key, value === undefined ? [] : [value], () => SETTINGS_RECORD_KEY);
+    },
+  };
+}
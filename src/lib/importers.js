@@ -0,0 +1,319 @@
+import { isPatternScope, normalizePattern, validatePattern } from "./patterns.js";
+import { hostnameFromUrl, normalizeUrl, uid } from "./utils.js";
+
+export const IMPORT_FORMAT_LABELS = {
+  json: "Copia de Cooldown Tracker",
+  urls: "Lista de URLs",
+  csv: "CSV",
+  leechblock: "Opciones de LeechBlock",
+  ublock: "Filtros estilo uBlock",
+};
+
+function splitLines(text) {
+  return text.split(/\r?\n/).map((value, index) => ({ number: index + 1, value: value.trim() }));
+}
+
+function isCommentLine(value, markers) {
+  return !value || markers.some((marker) => value.startsWith(marker));
+}
+
+function toSiteUrl(value) {
+  const url = normalizeUrl(value);
+  return url && hostnameFromUrl(url).includes(".") ? url : null;
+}
+
+// A bare domain blocks the whole site; an address with a path only blocks what starts with it.
+function toSiteDraft(value) {
+  const url = toSiteUrl(value);
+  if (!url) {
+    return null;
+  }
+
+  const { pathname, search } = new URL(url);
+  return pathname === "/" && !search ? { url } : { url, scope: "prefix", pattern: value.replace(/^https?:\/\//i, "") };
+}
+
+export function detectImportFormat(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    return "json";
+  }
+
+  const lines = splitLines(trimmed).map((line) => line.value);
+  if (lines.some((line) => /^sites\d+=/.test(line))) {
+    return "leechblock";
+  }
+
+  if (lines.some((line) => line.startsWith("||") || line.startsWith("@@||"))) {
+    return "ublock";
+  }
+
+  if (/(^|[,;])\s*"?url"?\s*([,;]|$)/i.test(lines[0] ?? "")) {
+    return "csv";
+  }
+
+  return "urls";
+}
+
+// Importers return site drafts for normalizeSite with the line they came from, plus the lines they could not use
+// and why.
+function importUrlList(text) {
+  const items = [];
+  const skipped = [];
+
+  splitLines(text).forEach(({ number, value }) => {
+    if (isCommentLine(value, ["#", "//"])) {
+      return;
+    }
+
+    const site = toSiteDraft(value);
+    if (!site) {
+      skipped.push({ line: number, text: value, reason: "No es una URL ni un dominio válido." });
+      return;
+    }
+
+    items.push({ line: number, site });
+  });
+
+  return { items, skipped };
+}
+
+function splitCsvRow(row, delimiter) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let index = 0; index < row.length; index += 1) {
+    const character = row[index];
+    if (character === '"' && quoted && row[index + 1] === '"') {
+      cell += '"';
+      index += 1;
+    } else if (character === '"') {
+      quoted = !quoted;
+    } else if (character === delimiter && !quoted) {
+      cells.push(cell.trim());
+      cell = "";
+    } else {
+      cell += character;
+    }
+  }
+
+  cells.push(cell.trim());
+  return cells;
+}
+
+const CSV_COLUMNS = {
+  url: ["url", "sitio", "site"],
+  label: ["label", "nombre", "name", "etiqueta"],
+  minutes: ["minutes", "minutos", "duration", "duracion", "duración"],
+  scope: ["scope", "alcance"],
+  pattern: ["pattern", "patron", "patrón"],
+};
+
+// Files written by buildSitesCsv carry each site's scope and pattern; without a scope the URL decides, as in a list.
+function toCsvSiteDraft(urlCell, scopeCell, patternCell) {
+  if (!scopeCell) {
+    return { site: toSiteDraft(urlCell) };
+  }
+
+  const url = toSiteUrl(urlCell);
+  if (!url) {
+    return { site: null };
+  }
+
+  if (scopeCell === "domain" || scopeCell === "exact") {
+    return { site: { url, scope: scopeCell } };
+  }
+
+  if (!isPatternScope(scopeCell)) {
+    return { error: `"${scopeCell}" no es un alcance válido.` };
+  }
+
+  const error = validatePattern(scopeCell, patternCell);
+  return error ? { error } : { site: { url, scope: scopeCell, pattern: normalizePattern(patternCell) } };
+}
+
+function importCsv(text) {
+  const [header, ...rows] = splitLines(text).filter((line) => line.value);
+  const delimiter = header.value.includes(";") && !header.value.includes(",") ? ";" : ",";
+  const columns = splitCsvRow(header.value, delimiter).map((name) => name.toLowerCase());
+  const indexOf = (key) => columns.findIndex((name) => CSV_COLUMNS[key].includes(name));
+  const urlIndex = indexOf("url");
+  const labelIndex = indexOf("label");
+  const minutesIndex = indexOf("minutes");
+  const scopeIndex = indexOf("scope");
+  const patternIndex = indexOf("pattern");
+  const items = [];
+  const skipped = [];
+
+  rows.forEach(({ number, value }) => {
+    const cells = splitCsvRow(value, delimiter);
+    const { site, error } = toCsvSiteDraft(
+      cells[urlIndex] ?? "",
+      scopeIndex === -1 ? "" : (cells[scopeIndex] ?? "").toLowerCase(),
+      patternIndex === -1 ? "" : cells[patternIndex] ?? "",
+    );
+    if (error) {
+      skipped.push({ line: number, text: value, reason: error });
+      return;
+    }
+
+    if (!site) {
+      skipped.push({ line: number, text: value, reason: "La columna url no contiene una URL válida." });
+      return;
+    }
+
+    const minutesCell = minutesIndex === -1 ? "" : cells[minutesIndex] ?? "";
+    const minutes = Number(minutesCell.replace(",", "."));
+    if (minutesCell && !(Number.isFinite(minutes) && minutes > 0)) {
+      skipped.push({ line: number, text: value, reason: `"${minutesCell}" no es un número de minutos válido.` });
+      return;
+    }
+
+    items.push({
+      line: number,
+      site: {
+        ...site,
+        label: labelIndex === -1 ? "" : cells[labelIndex] ?? "",
+        ...(minutesCell ? { durationMs: Math.round(minutes * 60_000) } : {}),
+      },
+    });
+  });
+
+  return { items, skipped };
+}
+
+// LeechBlock exports one key=value per line with numbered sets: sitesN holds space separated entries, where a
+// leading + marks an allowed exception, and setNameN, limitMinsN describe the set.
+function importLeechBlock(text) {
+  const sets = new Map();
+  const skipped = [];
+
+  splitLines(text).forEach(({ number, value }) => {
+    const match = /^([a-zA-Z]+)(\d+)=(.*)$/.exec(value);
+    if (!match) {
+      return;
+    }
+
+    const [, key, setNumber, setValue] = match;
+    const set = sets.get(setNumber) ?? { name: "", sites: [], limitMins: null, line: number };
+    if (key === "setName") {
+      set.name = setValue.trim();
+    } else if (key === "sites") {
+      set.sites = setValue.split(/\s+/).filter(Boolean);
+      set.line = number;
+    } else if (key === "limitMins") {
+      set.limitMins = Number(setValue) > 0 ? Number(setValue) : null;
+    }
+    sets.set(setNumber, set);
+  });
+
+  const items = [];
+  const groups = [];
+  [...sets.entries()].forEach(([setNumber, set]) => {
+    const exceptions = set.sites.filter((site) => site.startsWith("+")).map((site) => site.slice(1));
+    const blocked = set.sites.filter((site) => !site.startsWith("+"));
+    if (!blocked.length) {
+      return;
+    }
+
+    const groupId = uid();
+    groups.push({ id: groupId, name: set.name || `Conjunto ${setNumber}` });
+    blocked.forEach((site) => {
+      const wildcard = site.includes("*");
+      const hasPath = !wildcard && site.includes("/");
+      const url = toSiteUrl(site.replace(/^\*\.?/, "").replace(/\*/g, ""));
+      if (!url) {
+        skipped.push({ line: set.line, text: site, reason: "No es un dominio válido." });
+        return;
+      }
+
+      items.push({
+        line: set.line,
+        site: {
+          url,
+          groupId,
+          exceptions,
+          ...(wildcard ? { scope: "wildcard", pattern: site } : {}),
+          ...(hasPath ? { scope: "prefix", pattern: site } : {}),
+          ...(set.limitMins ? { rule: "budget", budgetMs: set.limitMins * 60_000 } : {}),
+        },
+      });
+    });
+  });
+
+  return { items, groups, skipped };
+}
+
+function importUblock(text) {
+  const items = [];
+  const skipped = [];
+
+  splitLines(text).forEach(({ number, value }) => {
+    if (isCommentLine(value, ["!", "[", "#"])) {
+      return;
+    }
+
+    if (value.startsWith("@@")) {
+      skipped.push({ line: number, text: value, reason: "Las reglas de excepción (@@) no se importan." });
+      return;
+    }
+
+    if (value.includes("##") || value.includes("#@#") || value.includes("#?#")) {
+      skipped.push({ line: number, text: value, reason: "Los filtros cosméticos no bloquean sitios." });
+      return;
+    }
+
+    const match = /^\|\|([^$^|]+)\^?(\$.*)?$/.exec(value);
+    if (!match) {
+      skipped.push({ line: number, text: value, reason: "Solo se admiten filtros de dominio ||dominio^." });
+      return;
+    }
+
+    const [, target, options] = match;
+    if (options && !/^\$(document|doc|all|important|~third-party|1p|first-party)?(,|$)/.test(options)) {
+      skipped.push({ line: number, text: value, reason: "El filtro solo afecta a ciertos recursos, no al sitio." });
+      return;
+    }
+
+    const url = toSiteUrl(target);
+    if (!url) {
+      skipped.push({ line: number, text: value, reason: "No es un dominio válido." });
+      return;
+    }
+
+    const hasPath = target.includes("/");
+    items.push({ line: number, site: { url, ...(hasPath ? { scope: "prefix", pattern: target } : {}) } });
+  });
+
+  return { items, skipped };
+}
+
+const IMPORTERS = {
+  urls: importUrlList,
+  csv: importCsv,
+  leechblock: importLeechBlock,
+  ublock: importUblock,
+};
+
+export function importForeignFormat(format, text) {
+  const result = IMPORTERS[format](text);
+  const seenUrls = new Set();
+  const skipped = [...result.skipped];
+  const items = result.items.filter(({ line, site }) => {
+    const key = site.pattern ?? site.url;
+    if (seenUrls.has(key)) {
+      skipped.push({ line, text: key, reason: "Sitio repetido en el archivo." });
+      return false;
+    }
+
+    seenUrls.add(key);
+    return true;
+  });
+
+  return {
+    items: items.map(({ site }) => site),
+    groups: result.groups ?? [],
+    skipped: skipped.sort((left, right) => (left.line ?? 0) - (right.line ?? 0)),
+  };
+}
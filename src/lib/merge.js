@@ -0,0 +1,193 @@
+import { reconcileGroupIds } from "./groups.js";
+import { normalizeHistory } from "./history.js";
+import { moveSiteToTrash } from "./sites.js";
+import { formatDateTime, formatDurationLabel } from "./utils.js";
+
+const SETTING_LABELS = {
+  defaultDurationMs: "Duración por defecto",
+  notificationsOn: "Notificaciones",
+  soundOn: "Sonido",
+  dayResetTime: "Renovación diaria",
+  pausedAt: "Pausa global",
+  pauseUntil: "Fin de la pausa",
+  pauseMode: "Modo de pausa",
+};
+
+function formatSettingValue(key, value) {
+  if (value === null) {
+    return "—";
+  }
+
+  if (typeof value === "boolean") {
+    return value ? "Sí" : "No";
+  }
+
+  if (key === "defaultDurationMs") {
+    return formatDurationLabel(value);
+  }
+
+  if (key === "pausedAt" || key === "pauseUntil") {
+    return formatDateTime(value);
+  }
+
+  if (key === "pauseMode") {
+    return value === "freeze" ? "Congelar tiempo" : "El tiempo sigue";
+  }
+
+  return String(value);
+}
+
+// The favicon depends on where the data was saved and updatedAt only says when, so neither counts as a change.
+function siteContent(item) {
+  return JSON.stringify({ ...item, id: null, favicon: null, updatedAt: null });
+}
+
+function mergeVisits(left = [], right = []) {
+  const visits = [...left, ...right];
+  const seen = new Set();
+  return visits.filter((visit) => {
+    const key = `${visit.at}:${visit.source}`;
+    if (seen.has(key)) {
+      return false;
+    }
+
+    seen.add(key);
+    return true;
+  });
+}
+
+function diffSettings(current, incoming) {
+  if (!incoming) {
+    return [];
+  }
+
+  return Object.keys(SETTING_LABELS)
+    .filter((key) => current[key] !== incoming[key])
+    .map((key) => ({
+      key,
+      label: SETTING_LABELS[key],
+      before: formatSettingValue(key, current[key]),
+      after: formatSettingValue(key, incoming[key]),
+    }));
+}
+
+function mergeGroups(currentGroups, incomingGroups) {
+  const merged = [...currentGroups];
+  incomingGroups.forEach((group) => {
+    const index = merged.findIndex((candidate) => candidate.id === group.id);
+    if (index === -1) {
+      merged.push(group);
+    } else if (group.updatedAt > merged[index].updatedAt) {
+      merged[index] = group;
+    }
+  });
+
+  return merged;
+}
+
+// Sites are matched by id first and by URL second, so the same site saved separately in the web app and in the
+// extension is recognised. On a conflict the most recently edited copy wins; the local id is always kept.
+// Files from other tools only carry defaults, so with preferLocal an existing site is never overwritten.
+function mergeSites(currentItems, incomingItems, preferLocal = false) {
+  const items = [...currentItems];
+  const idMap = new Map();
+  const diff = { added: [], updated: [], unchanged: [], kept: [], removed: [] };
+
+  incomingItems.forEach((incoming) => {
+    const idIndex = items.findIndex((item) => item.id === incoming.id);
+    const index = idIndex !== -1 ? idIndex : items.findIndex((item) => item.url === incoming.url);
+
+    if (index === -1) {
+      items.push(incoming);
+      idMap.set(incoming.id, incoming.id);
+      diff.added.push(incoming);
+      return;
+    }
+
+    const local = items[index];
+    idMap.set(incoming.id, local.id);
+    if (siteContent(local) === siteContent(incoming)) {
+      diff.unchanged.push(local);
+    } else if (!preferLocal && incoming.updatedAt > local.updatedAt) {
+      items[index] = { ...incoming, id: local.id };
+      diff.updated.push(items[index]);
+    } else {
+      diff.kept.push(local);
+    }
+  });
+
+  return { items, idMap, diff };
+}
+
+export function buildImportPlan(current, parsed, options = {}) {
+  const mode = options.mode === "replace" ? "replace" : "merge";
+  const settings = options.includeSettings !== false && parsed.settings ? parsed.settings : null;
+  const settingsChanges = diffSettings(current.settings, settings);
+
+  if (!parsed.hasItems) {
+    return {
+      mode,
+      diff: { added: [], updated: [], unchanged: [], kept: [], removed: [], settings: settingsChanges },
+      changes: settings ? { settings } : {},
+    };
+  }
+
+  if (mode === "replace") {
+    const importedIds = new Set(parsed.items.map((item) => item.id));
+    const removed = current.items.filter((item) => !importedIds.has(item.id));
+    const incomingTrash = (parsed.trash ?? current.trash).filter((entry) => !importedIds.has(entry.id));
+    const retired = removed.reduce((state, item) => moveSiteToTrash(state, item.id), {
+      items: current.items,
+      trash: incomingTrash,
+      history: current.history,
+    });
+    const diff = { added: [], updated: [], unchanged: [], kept: [], removed, settings: settingsChanges };
+    parsed.items.forEach((incoming) => {
+      const local = current.items.find((item) => item.id === incoming.id);
+      if (!local) {
+        diff.added.push(incoming);
+      } else {
+        diff[siteContent(local) === siteContent(incoming) ? "unchanged" : "updated"].push(incoming);
+      }
+    });
+
+    return {
+      mode,
+      diff,
+      changes: {
+        items: parsed.items,
+        groups: parsed.groups,
+        history: parsed.history,
+        trash: retired.trash,
+        ...(settings ? { settings } : {}),
+      },
+    };
+  }
+
+  const { items, idMap, diff } = mergeSites(current.items, parsed.items, parsed.format !== "json");
+  const groups = mergeGroups(current.groups, parsed.groups);
+  const history = { ...current.history };
+  Object.entries(parsed.history).forEach(([siteId, visits]) => {
+    const localId = idMap.get(siteId) ?? siteId;
+    history[localId] = mergeVisits(history[localId], visits);
+  });
+  const itemIds = new Set(items.map((item) => item.id));
+  const trash = [
+    ...current.trash.filter((entry) => !itemIds.has(entry.id)),
+    ...(parsed.trash ?? []).filter(
+      (entry) => !itemIds.has(entry.id) && !current.trash.some((candidate) => candidate.id === entry.id),
+    ),
+  ];
+
+  return {
+    mode,
+    diff: { ...diff, settings: settingsChanges },
+    changes: {
+      items: reconcileGroupIds(items, groups),
+      groups,
+      history: normalizeHistory(history, [...itemIds]),
+      trash,
+      ...(settings ? { settings } : {}),
+    },
+  };
+}
@@ -0,0 +1,112 @@
+import {
+  EXPORT_SCHEMA_VERSION,
+  LS_KEY,
+  LS_MIGRATION_BACKUP_KEY,
+  LS_SCHEMA_VERSION_KEY,
+  LS_SETTINGS_KEY,
+  STORAGE_SCHEMA_VERSION,
+} from "./constants.js";
+
+// Early builds saved notifications/sound instead of notificationsOn/soundOn and called the exact scope "url".
+function migrateLegacySettings(settings) {
+  if (!settings || typeof settings !== "object") {
+    return settings;
+  }
+
+  const { notifications, sound, ...rest } = settings;
+  return {
+    ...rest,
+    notificationsOn: typeof rest.notificationsOn === "boolean" ? rest.notificationsOn : notifications,
+    soundOn: typeof rest.soundOn === "boolean" ? rest.soundOn : sound,
+  };
+}
+
+function migrateLegacySites(items) {
+  if (!Array.isArray(items)) {
+    return items;
+  }
+
+  return items.map((item) => (item && item.scope === "url" ? { ...item, scope: "exact" } : item));
+}
+
+// Each export migrator takes a payload of the previous version and returns one of the version it is keyed by.
+export const EXPORT_MIGRATIONS = {
+  2: (payload) => ({
+    ...payload,
+    version: 2,
+    items: migrateLegacySites(payload.items),
+    settings: migrateLegacySettings(payload.settings),
+  }),
+  3: (payload) => ({
+    ...payload,
+    version: 3,
+    groups: Array.isArray(payload.groups) ? payload.groups : [],
+    history: payload.history && typeof payload.history === "object" ? payload.history : {},
+  }),
+};
+
+export function migrateExportPayload(rawPayload) {
+  // Version 1 files were a bare array of sites.
+  const payload = Array.isArray(rawPayload) ? { version: 1, items: rawPayload } : rawPayload;
+  if (!payload || typeof payload !== "object") {
+    throw new Error("El archivo no tiene un formato importable.");
+  }
+
+  const version = Number(payload.version) || 1;
+  if (version > EXPORT_SCHEMA_VERSION) {
+    throw new Error("El archivo se creó con una versión más reciente de la aplicación.");
+  }
+
+  let migrated = { ...payload, version };
+  for (let target = version + 1; target <= EXPORT_SCHEMA_VERSION; target += 1) {
+    migrated = EXPORT_MIGRATIONS[target](migrated);
+  }
+
+  return { payload: migrated, sourceVersion: version };
+}
+
+// Stored state has its own version, kept under LS_SCHEMA_VERSION_KEY. Migrators receive and return the raw values
+// keyed by storage key.
+export const STORAGE_MIGRATIONS = {
+  1: (values) => ({
+    ...values,
+    ...(LS_KEY in values ? { [LS_KEY]: migrateLegacySites(values[LS_KEY]) } : {}),
+    ...(LS_SETTINGS_KEY in values ? { [LS_SETTINGS_KEY]: migrateLegacySettings(values[LS_SETTINGS_KEY]) } : {}),
+  }),
+};
+
+const MIGRATED_STORAGE_KEYS = [LS_KEY, LS_SETTINGS_KEY];
+export const MIGRATION_READ_KEYS = [...MIGRATED_STORAGE_KEYS, LS_SCHEMA_VERSION_KEY, LS_MIGRATION_BACKUP_KEY];
+
+export function migrateStoredValues(values, fromVersion) {
+  let migrated = values;
+  for (let target = fromVersion + 1; target <= STORAGE_SCHEMA_VERSION; target += 1) {
+    migrated = STORAGE_MIGRATIONS[target](migrated);
+  }
+
+  return migrated;
+}
+
+// Shared by the app and the extension worker, which write the result in this order: the backup, the migrated values
+// and then the version. Until the version is written the migration runs again on every start, and the backup of the
+// first attempt is kept rather than replaced by values an interrupted attempt may have half migrated.
+// Returns null when the stored values are current.
+export function planStorageMigration(values, now) {
+  const fromVersion = Number(values[LS_SCHEMA_VERSION_KEY]) || 0;
+  if (fromVersion >= STORAGE_SCHEMA_VERSION) {
+    return null;
+  }
+
+  const previous = Object.fromEntries(
+    MIGRATED_STORAGE_KEYS.filter((key) => key in values).map((key) => [key, values[key]]),
+  );
+  const hasBackup = values[LS_MIGRATION_BACKUP_KEY]?.fromVersion === fromVersion;
+  return {
+    backup:
+      Object.keys(previous).length && !hasBackup
+        ? { fromVersion, toVersion: STORAGE_SCHEMA_VERSION, at: now, values: previous }
+        : null,
+    values: migrateStoredValues(previous, fromVersion),
+    version: STORAGE_SCHEMA_VERSION,
+  };
+}
@@ -0,0 +1,87 @@
+// Sites are written as per-site patches instead of whole-array overwrites. An update patch lists only the fields
+// that changed, together with the value each had before, so two contexts that edit different fields of the same site
+// both keep their change, and an edit made on top of stale data is detected instead of silently undoing another.
+function sameValue(left, right) {
+  return JSON.stringify(left ?? null) === JSON.stringify(right ?? null);
+}
+
+export function diffSites(before, after) {
+  const beforeById = new Map(before.map((site) => [site.id, site]));
+  const afterIds = new Set();
+  const patches = [];
+  after.forEach((site) => {
+    afterIds.add(site.id);
+    const previous = beforeById.get(site.id);
+    if (!previous) {
+      patches.push({ type: "add", id: site.id, site });
+      return;
+    }
+
+    const fields = {};
+    const base = {};
+    new Set([...Object.keys(previous), ...Object.keys(site)]).forEach((field) => {
+      if (!sameValue(previous[field], site[field])) {
+        fields[field] = site[field] ?? null;
+        base[field] = previous[field] ?? null;
+      }
+    });
+    if (Object.keys(fields).length) {
+      patches.push({ type: "update", id: site.id, fields, base });
+    }
+  });
+  before.forEach((site) => {
+    if (!afterIds.has(site.id)) {
+      patches.push({ type: "delete", id: site.id });
+    }
+  });
+
+  return patches;
+}
+
+// Applying a patch twice changes nothing, so a context can replay its own pending patches on top of fresh data.
+// updatedAt never conflicts: both sides touch it on every edit, and the later one is kept.
+export function applySitePatches(items, patches) {
+  let nextItems = items;
+  const conflicts = [];
+  patches.forEach((patch) => {
+    const current = nextItems.find((site) => site.id === patch.id);
+    if (patch.type === "add") {
+      nextItems = current
+        ? nextItems.map((site) => (site.id === patch.id ? patch.site : site))
+        : [...nextItems, patch.site];
+      return;
+    }
+
+    if (patch.type === "delete") {
+      nextItems = current ? nextItems.filter((site) => site.id !== patch.id) : nextItems;
+      return;
+    }
+
+    if (!current) {
+      conflicts.push({ id: patch.id, label: patch.base.label ?? patch.fields.label ?? null, deleted: true });
+      return;
+    }
+
+    const changes = {};
+    let conflicted = false;
+    Object.entries(patch.fields).forEach(([field, value]) => {
+      if (field === "updatedAt") {
+        changes.updatedAt = Math.max(Number(current.updatedAt) || 0, Number(value) || 0);
+      } else if (sameValue(current[field], value)) {
+        return;
+      } else if (sameValue(current[field], patch.base[field])) {
+        changes[field] = value;
+      } else {
+        conflicted = true;
+      }
+    });
+    if (conflicted) {
+      conflicts.push({ id: patch.id, label: current.label, deleted: false });
+    }
+    if (Object.keys(changes).some((field) => !sameValue(current[field], changes[field]))) {
+      nextItems = nextItems.map((site) => (site.id === patch.id ? { ...site, ...changes } : site));
+    }
+  });
+
+  return { items: nextItems, conflicts };
+}
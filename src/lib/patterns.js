@@ -0,0 +1,141 @@
+import { normalizeUrl } from "./utils.js";
+
+const MAX_PATTERN_LENGTH = 300;
+const MAX_EXCEPTIONS = 20;
+
+export const PATTERN_SCOPES = ["prefix", "wildcard", "regex"];
+
+export const PATTERN_PLACEHOLDERS = {
+  prefix: "youtube.com/shorts/",
+  wildcard: "*.reddit.com/r/all*",
+  regex: "^https://(www\\.)?youtube\\.com/shorts/",
+};
+
+export function isPatternScope(scope) {
+  return PATTERN_SCOPES.includes(scope);
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function stripProtocol(value) {
+  return value.replace(/^[a-z][a-z\d+.-]*:\/\//i, "");
+}
+
+// Wildcard patterns are compared against host + path + query, so http and https behave the same.
+function urlKey(url) {
+  return `${url.hostname}${url.pathname}${url.search}`;
+}
+
+function compileWildcard(pattern) {
+  const source = stripProtocol(pattern);
+  const slashIndex = source.indexOf("/");
+  const host = (slashIndex === -1 ? source : source.slice(0, slashIndex)).toLowerCase();
+  const path = slashIndex === -1 ? "/*" : source.slice(slashIndex);
+  // A leading "*." also matches the bare domain, so *.reddit.com covers reddit.com too.
+  const hostSource = host.startsWith("*.")
+    ? `(?:[^/]*\\.)?${escapeRegExp(host.slice(2)).replace(/\*/g, "[^/]*")}`
+    : escapeRegExp(host).replace(/\*/g, "[^/]*");
+
+  return new RegExp(`^${hostSource}${escapeRegExp(path).replace(/\*/g, ".*")}$`);
+}
+
+export function normalizePattern(value) {
+  return typeof value === "string" ? value.trim().slice(0, MAX_PATTERN_LENGTH) : "";
+}
+
+export function validatePattern(scope, value) {
+  const pattern = normalizePattern(value);
+  if (!isPatternScope(scope)) {
+    return "";
+  }
+
+  if (!pattern) {
+    return "Escribe el patrón que debe bloquearse.";
+  }
+
+  if (scope === "prefix") {
+    return normalizeUrl(pattern) ? "" : "El prefijo debe ser una URL válida, por ejemplo youtube.com/shorts/.";
+  }
+
+  if (scope === "wildcard") {
+    if (/\s/.test(pattern)) {
+      return "El patrón no puede contener espacios.";
+    }
+
+    const host = stripProtocol(pattern).split("/")[0];
+    if (!host.replace(/[*.]/g, "")) {
+      return "El patrón necesita un dominio antes de la primera barra, por ejemplo *.reddit.com/r/*.";
+    }
+
+    if (host.includes("*") && !/^(\*\.)?[^*]+$/.test(host)) {
+      return "En el dominio, el comodín solo puede ir al principio como *.dominio.com.";
+    }
+
+    return "";
+  }
+
+  try {
+    new RegExp(pattern);
+    return "";
+  } catch (error) {
+    return `La expresión regular no es válida: ${error.message}`;
+  }
+}
+
+export function matchesPattern(scope, value, url) {
+  const pattern = normalizePattern(value);
+  if (!isPatternScope(scope) || validatePattern(scope, pattern)) {
+    return false;
+  }
+
+  try {
+    const target = url instanceof URL ? url : new URL(url);
+    // Like the domain scope, a prefix covers the subdomains of its host: youtube.com/shorts/ also matches
+    // www.youtube.com/shorts/, and an imported ||a.com/path^ filter keeps its uBlock meaning.
+    if (scope === "prefix") {
+      const prefix = new URL(normalizeUrl(pattern));
+      const hostMatches = target.hostname === prefix.hostname || target.hostname.endsWith(`.${prefix.hostname}`);
+      return hostMatches && `${target.pathname}${target.search}`.startsWith(`${prefix.pathname}${prefix.search}`);
+    }
+
+    if (scope === "wildcard") {
+      return compileWildcard(pattern).test(urlKey(target));
+    }
+
+    return new RegExp(pattern).test(target.href);
+  } catch {
+    return false;
+  }
+}
+
+function splitExceptions(input) {
+  const list = Array.isArray(input) ? input : String(input ?? "").split("\n");
+  return [...new Set(list.map(normalizePattern).filter(Boolean))];
+}
+
+export function normalizeExceptions(input) {
+  return splitExceptions(input).slice(0, MAX_EXCEPTIONS);
+}
+
+// Exceptions use the wildcard syntax: a bare host keeps that whole subdomain reachable, a path keeps only that path.
+export function validateExceptions(input) {
+  const exceptions = splitExceptions(input);
+  if (exceptions.length > MAX_EXCEPTIONS) {
+    return `Solo se admiten ${MAX_EXCEPTIONS} excepciones por sitio.`;
+  }
+
+  for (const exception of exceptions) {
+    const error = validatePattern("wildcard", exception);
+    if (error) {
+      return `Excepción "${exception}": ${error}`;
+    }
+  }
+
+  return "";
+}
+
+export function matchesException(exceptions, url) {
+  return Boolean(exceptions?.some((exception) => matchesPattern("wildcard", exception, url)));
+}
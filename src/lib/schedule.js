@@ -0,0 +1,167 @@
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const MAX_SCHEDULE_WINDOWS = 8;
+
+export const WEEKDAYS = [
+  { value: 1, short: "L", label: "Lunes" },
+  { value: 2, short: "M", label: "Martes" },
+  { value: 3, short: "X", label: "Miércoles" },
+  { value: 4, short: "J", label: "Jueves" },
+  { value: 5, short: "V", label: "Viernes" },
+  { value: 6, short: "S", label: "Sábado" },
+  { value: 0, short: "D", label: "Domingo" },
+];
+
+export const DEFAULT_SCHEDULE_WINDOW = Object.freeze({
+  days: [1, 2, 3, 4, 5],
+  start: "09:00",
+  end: "18:00",
+});
+
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(String(value ?? ""));
+  return match ? { hours: Number(match[1]), minutes: Number(match[2]) } : null;
+}
+
+function normalizeWindow(input) {
+  if (!input || typeof input !== "object" || !parseTime(input.start) || !parseTime(input.end)) {
+    return null;
+  }
+
+  const validDays = Array.isArray(input.days)
+    ? input.days.map(Number).filter((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+    : [];
+  const days = [...new Set(validDays)].sort((left, right) => left - right);
+
+  if (!days.length) {
+    return null;
+  }
+
+  return {
+    days,
+    start: input.start,
+    end: input.end,
+  };
+}
+
+// Windows are resolved against the local wall clock each time, so DST and time zone changes apply immediately.
+function resolveWindow(slot, dayDate) {
+  const start = parseTime(slot.start);
+  const end = parseTime(slot.end);
+  const startMinutes = start.hours * 60 + start.minutes;
+  const endMinutes = end.hours * 60 + end.minutes;
+  const year = dayDate.getFullYear();
+  const month = dayDate.getMonth();
+  const date = dayDate.getDate();
+
+  return {
+    startAt: new Date(year, month, date, start.hours, start.minutes).getTime(),
+    endAt: new Date(year, month, date + (endMinutes <= startMinutes ? 1 : 0), end.hours, end.minutes).getTime(),
+  };
+}
+
+function collectRanges(schedule, now, daysBefore, daysAfter) {
+  const today = new Date(now);
+  const ranges = [];
+
+  for (let offset = -daysBefore; offset <= daysAfter; offset += 1) {
+    const dayDate = new Date(today.getFullYear(), today.getMonth(), today.getDate() + offset);
+    schedule.forEach((slot) => {
+      if (slot.days.includes(dayDate.getDay())) {
+        ranges.push(resolveWindow(slot, dayDate));
+      }
+    });
+  }
+
+  return ranges;
+}
+
+export function normalizeSchedule(input) {
+  if (!Array.isArray(input)) {
+    return [];
+  }
+
+  return input.map(normalizeWindow).filter(Boolean).slice(0, MAX_SCHEDULE_WINDOWS);
+}
+
+export function validateSchedule(schedule) {
+  if (schedule.some((slot) => !slot.days.length)) {
+    return "Cada franja del horario necesita al menos un día.";
+  }
+
+  if (schedule.some((slot) => !parseTime(slot.start) || !parseTime(slot.end))) {
+    return "Introduce horas válidas en el horario.";
+  }
+
+  return "";
+}
+
+export function isWithinSchedule(schedule, now = Date.now()) {
+  if (!schedule?.length) {
+    return true;
+  }
+
+  return collectRanges(schedule, now, 1, 0).some((range) => range.startAt <= now && now < range.endAt);
+}
+
+export function getNextScheduleChange(schedule, now = Date.now()) {
+  if (!schedule?.length) {
+    return null;
+  }
+
+  const currentlyWithin = isWithinSchedule(schedule, now);
+  const boundaries = collectRanges(schedule, now, 1, 7)
+    .flatMap((range) => [range.startAt, range.endAt])
+    .filter((timestamp) => timestamp > now)
+    .sort((left, right) => left - right);
+
+  const at = boundaries.find((timestamp) => isWithinSchedule(schedule, timestamp) !== currentlyWithin);
+  return at ? { at, within: !currentlyWithin } : null;
+}
+
+export function describeScheduleWindow(slot) {
+  const orderedDays = WEEKDAYS.filter((day) => slot.days.includes(day.value));
+  const dayLabel =
+    orderedDays.length === 7 ? "Todos los días" : orderedDays.map((day) => day.short).join(" ");
+  return `${dayLabel} ${slot.start}–${slot.end}`;
+}
+
+export function formatScheduleBoundary(timestamp, now = Date.now()) {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString("es-ES", { hour: "2-digit", minute: "2-digit" });
+  if (date.toDateString() === new Date(now).toDateString()) {
+    return time;
+  }
+
+  return `${date.toLocaleDateString("es-ES", { weekday: "short" })} ${time}`;
+}
+
+function resolveResetTime(resetTime) {
+  return parseTime(resetTime) ?? { hours: 0, minutes: 0 };
+}
+
+export function isValidTime(value) {
+  return Boolean(parseTime(value));
+}
+
+export function getDayPeriodStart(resetTime, now = Date.now()) {
+  const reset = resolveResetTime(resetTime);
+  const date = new Date(now);
+  const todayReset = new Date(date.getFullYear(), date.getMonth(), date.getDate(), reset.hours, reset.minutes);
+  if (todayReset.getTime() <= now) {
+    return todayReset.getTime();
+  }
+
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1, reset.hours, reset.minutes).getTime();
+}
+
+export function getNextDayReset(resetTime, now = Date.now()) {
+  const reset = resolveResetTime(resetTime);
+  const periodStart = new Date(getDayPeriodStart(resetTime, now));
+  return new Date(
+    periodStart.getFullYear(),
+    periodStart.getMonth(),
+    periodStart.getDate() + 1,
+    reset.hours,
+    reset.minutes,
+  ).getTime();
+}
@@ -1,4 +1,34 @@
-import { DEFAULT_SETTINGS, EXPORT_SCHEMA_VERSION } from "./constants.js";
+import {
+  BUDGET_TRACKING_MAX_GAP_MS,
+  DEFAULT_BUDGET_MS,
+  DEFAULT_ESCALATION,
+  DEFAULT_QUOTA_LIMIT,
+  DEFAULT_SETTINGS,
+  EXPORT_SCHEMA_VERSION,
+  GROUP_FILTER_ALL,
+  GROUP_FILTER_NONE,
+  MAX_QUOTA_LIMIT,
+  TRASH_RETENTION_MS,
+} from "./constants.js";
+import { isEncryptedEnvelope } from "./crypto.js";
+import { normalizeGroups, reconcileGroupIds } from "./groups.js";
+import { normalizeHistory, removeSiteHistory } from "./history.js";
+import { detectImportFormat, importForeignFormat } from "./importers.js";
+import { migrateExportPayload } from "./migrations.js";
+import {
+  isPatternScope,
+  normalizeExceptions,
+  normalizePattern,
+  validatePattern,
+} from "./patterns.js";
+import {
+  getDayPeriodStart,
+  getNextDayReset,
+  getNextScheduleChange,
+  isValidTime,
+  isWithinSchedule,
+  normalizeSchedule,
+} from "./schedule.js";
 import { asTimestamp, buildFaviconUrl, hostnameFromUrl, isExtensionContext, normalizeUrl, uid } from "./utils.js";
 
 function normalizeDurationMs(value, fallback = DEFAULT_SETTINGS.defaultDurationMs) {
@@ -10,12 +40,50 @@ function normalizeDurationMs(value, fallback = DEFAULT_SETTINGS.defaultDurationM
   return Math.max(60_000, Math.round(parsed));
 }
 
+// Also reads values from before a migration, which may be all there is if it failed.
 function normalizeScope(value) {
   if (value === "url" || value === "exact") {
     return "exact";
   }
 
-  return "domain";
+  return isPatternScope(value) ? value : "domain";
+}
+
+function normalizeRule(value) {
+  return value === "quota" || value === "budget" ? value : "cooldown";
+}
+
+function normalizeCount(value, fallback, max) {
+  const parsed = Number.parseInt(String(value ?? ""), 10);
+  if (!Number.isFinite(parsed) || parsed < 0) {
+    return fallback;
+  }
+
+  return Math.min(max, parsed);
+}
+
+function normalizeNumber(value, fallback, min, max) {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed)) {
+    return fallback;
+  }
+
+  return Math.min(max, Math.max(min, parsed));
+}
+
+function normalizeEscalation(input) {
+  if (!input || typeof input !== "object" || input.enabled === false) {
+    return null;
+  }
+
+  const factor = normalizeNumber(input.factor, DEFAULT_ESCALATION.factor, 1.1, 10);
+  const windowMs = normalizeDurationMs(input.windowMs, DEFAULT_ESCALATION.windowMs);
+  return {
+    factor,
+    maxMultiplier: normalizeNumber(input.maxMultiplier, DEFAULT_ESCALATION.maxMultiplier, factor, 64),
+    windowMs,
+    decayMs: Math.max(windowMs, normalizeDurationMs(input.decayMs, DEFAULT_ESCALATION.decayMs)),
+  };
 }
 
 function sanitizeLabel(value, fallback) {
@@ -23,6 +91,16 @@ function sanitizeLabel(value, fallback) {
   return label ? label.slice(0, 30) : fallback;
 }
 
+function normalizePause(source) {
+  const pausedAt = asTimestamp(source.pausedAt, null);
+  const pauseUntil = pausedAt === null ? null : asTimestamp(source.pauseUntil, null);
+  return {
+    pausedAt,
+    pauseUntil: pauseUntil !== null && pauseUntil > pausedAt ? pauseUntil : null,
+    pauseMode: source.pauseMode === "freeze" ? "freeze" : DEFAULT_SETTINGS.pauseMode,
+  };
+}
+
 export function normalizeSettings(input) {
   const source = input && typeof input === "object" ? input : {};
   return {
@@ -39,6 +117,44 @@ export function normalizeSettings(input) {
         : typeof source.sound === "boolean"
           ? source.sound
           : DEFAULT_SETTINGS.soundOn,
+    dayResetTime: isValidTime(source.dayResetTime) ? source.dayResetTime : DEFAULT_SETTINGS.dayResetTime,
+    ...normalizePause(source),
+  };
+}
+
+export function isPaused(settings, now = Date.now()) {
+  return settings.pausedAt !== null && (settings.pauseUntil === null || now < settings.pauseUntil);
+}
+
+// While a freezing pause is in effect, cooldown clocks stay at the moment the pause started.
+export function getTimerNow(settings, now = Date.now()) {
+  return settings.pausedAt !== null && settings.pauseMode === "freeze" ? Math.min(now, settings.pausedAt) : now;
+}
+
+export function startPause(settings, now = Date.now(), until = null) {
+  return {
+    ...settings,
+    pausedAt: now,
+    pauseUntil: until !== null && until > now ? until : null,
+  };
+}
+
+export function resumeFromPause(items, settings, now = Date.now()) {
+  if (settings.pausedAt === null) {
+    return { items, settings };
+  }
+
+  const resumedAt = settings.pauseUntil === null ? now : Math.min(now, settings.pauseUntil);
+  const shiftMs = settings.pauseMode === "freeze" ? Math.max(0, resumedAt - settings.pausedAt) : 0;
+  return {
+    items: shiftMs
+      ? items.map((item) =>
+          item.rule === "cooldown" && item.endAt && item.endAt > settings.pausedAt
+            ? { ...item, endAt: item.endAt + shiftMs, updatedAt: now }
+            : item,
+        )
+      : items,
+    settings: { ...settings, pausedAt: null, pauseUntil: null },
   };
 }
 
@@ -60,6 +176,14 @@ export function normalizeSite(input, options = {}) {
   let lastVisitedAt = asTimestamp(input.lastVisitedAt, null);
   let endAt = asTimestamp(input.endAt, null);
   const durationMs = normalizeDurationMs(input.durationMs, fallbackDurationMs);
+  const escalation = normalizeEscalation(input.escalation);
+  const pattern = normalizePattern(input.pattern);
+  let scope = normalizeScope(input.scope);
+
+  // A pattern that no longer validates falls back to the whole domain instead of silently matching nothing.
+  if (isPatternScope(scope) && validatePattern(scope, pattern)) {
+    scope = "domain";
+  }
 
   if (endAt !== null && endAt <= now) {
     endAt = null;
@@ -77,8 +201,19 @@ export function normalizeSite(input, options = {}) {
     id: typeof input.id === "string" && input.id.trim() ? input.id : uid(),
     url,
     label: sanitizeLabel(input.label, host),
-    scope: normalizeScope(input.scope),
+    scope,
+    pattern: isPatternScope(scope) ? pattern : null,
+    exceptions: normalizeExceptions(input.exceptions).filter((exception) => !validatePattern("wildcard", exception)),
+    groupId: typeof input.groupId === "string" && input.groupId.trim() ? input.groupId : null,
+    rule: normalizeRule(input.rule),
     durationMs,
+    escalation,
+    multiplier: escalation ? normalizeNumber(input.multiplier, 1, 1, escalation.maxMultiplier) : 1,
+    budgetMs: normalizeDurationMs(input.budgetMs, DEFAULT_BUDGET_MS),
+    quotaLimit: Math.max(1, normalizeCount(input.quotaLimit, DEFAULT_QUOTA_LIMIT, MAX_QUOTA_LIMIT)),
+    quotaUsed: normalizeCount(input.quotaUsed, 0, Number.MAX_SAFE_INTEGER),
+    quotaPeriodStart: asTimestamp(input.quotaPeriodStart, null),
+    schedule: normalizeSchedule(input.schedule),
     endAt,
     lastVisitedAt,
     createdAt,
@@ -98,21 +233,70 @@ export function normalizeSites(items, options = {}) {
   return items.map((item) => normalizeSite(item, options)).filter(Boolean);
 }
 
-export function buildExportPayload(items, settings, exportedAt = new Date().toISOString()) {
+export function buildExportPayload(items, settings, options = {}) {
   const normalizedSettings = normalizeSettings(settings);
-  return {
-    version: EXPORT_SCHEMA_VERSION,
-    items: normalizeSites(items, {
+  const groups = normalizeGroups(options.groups);
+  const normalizedItems = reconcileGroupIds(
+    normalizeSites(items, {
+      now: getTimerNow(normalizedSettings),
       defaultDurationMs: normalizedSettings.defaultDurationMs,
     }),
+    groups,
+  );
+
+  return {
+    version: EXPORT_SCHEMA_VERSION,
+    items: normalizedItems,
     settings: normalizedSettings,
-    exportedAt,
+    groups,
+    history: normalizeHistory(options.history, normalizedItems.map((item) => item.id)),
+    ...(options.trash ? { trash: normalizeTrash(options.trash) } : {}),
+    exportedAt: options.exportedAt ?? new Date().toISOString(),
+  };
+}
+
+// Files from other tools carry no ids, dates or settings, so their sites get fresh ids and the current defaults.
+function parseForeignPayload(format, text, now, fallbackSettings) {
+  const result = importForeignFormat(format, text);
+  const groups = normalizeGroups(result.groups, now);
+  const items = reconcileGroupIds(
+    normalizeSites(result.items, {
+      now,
+      defaultDurationMs: fallbackSettings.defaultDurationMs,
+    }),
+    groups,
+  );
+
+  if (!items.length) {
+    throw new Error(
+      result.skipped.length
+        ? `No se encontraron sitios válidos. Primera línea omitida: ${result.skipped[0].reason}`
+        : "No se encontraron sitios válidos para importar.",
+    );
+  }
+
+  return {
+    version: null,
+    format,
+    exportedAt: null,
+    hasItems: true,
+    items,
+    settings: null,
+    groups,
+    history: {},
+    trash: null,
+    skipped: result.skipped,
   };
 }
 
 export function parseImportPayload(text, options = {}) {
   const now = options.now ?? Date.now();
   const fallbackSettings = normalizeSettings(options.fallbackSettings);
+  const format = detectImportFormat(text);
+  if (format !== "json") {
+    return parseForeignPayload(format, text, now, fallbackSettings);
+  }
+
   let rawPayload;
 
   try {
@@ -121,22 +305,23 @@ export function parseImportPayload(text, options = {}) {
     throw new Error("El archivo no contiene JSON válido.");
   }
 
-  const payload = Array.isArray(rawPayload) ? { version: 1, items: rawPayload } : rawPayload;
-  if (!payload || typeof payload !== "object") {
-    throw new Error("El archivo no tiene un formato importable.");
+  // Decrypting needs the passphrase and is async, so the caller asks for it and parses the decrypted text again.
+  if (isEncryptedEnvelope(rawPayload)) {
+    return { format: "encrypted", envelope: rawPayload };
   }
 
-  const version = Number(payload.version) || 1;
-  if (version > EXPORT_SCHEMA_VERSION) {
-    throw new Error("El archivo se creó con una versión más reciente de la aplicación.");
-  }
+  const { payload, sourceVersion: version } = migrateExportPayload(rawPayload);
 
   const settings = payload.settings ? normalizeSettings(payload.settings) : null;
   const effectiveSettings = settings ?? fallbackSettings;
-  const items = normalizeSites(payload.items, {
-    now,
-    defaultDurationMs: effectiveSettings.defaultDurationMs,
-  });
+  const groups = normalizeGroups(payload.groups, now);
+  const items = reconcileGroupIds(
+    normalizeSites(payload.items, {
+      now: getTimerNow(effectiveSettings, now),
+      defaultDurationMs: effectiveSettings.defaultDurationMs,
+    }),
+    groups,
+  );
 
   if (!items.length && !settings) {
     throw new Error("No se encontraron sitios ni ajustes válidos para importar.");
@@ -144,9 +329,17 @@ export function parseImportPayload(text, options = {}) {
 
   return {
     version,
+    format,
+    exportedAt: asTimestamp(Date.parse(payload.exportedAt), null),
     hasItems: Array.isArray(payload.items),
     items,
     settings,
+    groups,
+    history: normalizeHistory(payload.history, items.map((item) => item.id)),
+    trash: Array.isArray(payload.trash)
+      ? normalizeTrash(payload.trash, now).filter((entry) => !items.some((item) => item.id === entry.id))
+      : null,
+    skipped: [],
   };
 }
 
@@ -179,41 +372,220 @@ export function removeSite(items, id) {
   return items.filter((item) => item.id !== id);
 }
 
-export function startCooldown(items, id, now = Date.now()) {
+export function getTrashExpiry(entry) {
+  return entry.deletedAt + TRASH_RETENTION_MS;
+}
+
+// Trash entries keep the site exactly as it was, plus its visit history, so a restore brings back the same id.
+export function normalizeTrash(input, now = Date.now()) {
+  if (!Array.isArray(input)) {
+    return [];
+  }
+
+  const seenIds = new Set();
+  return input
+    .map((entry) => {
+      const deletedAt = asTimestamp(entry?.deletedAt, null);
+      const item = deletedAt === null ? null : normalizeSite(entry.item, { now });
+      if (!item || seenIds.has(item.id) || getTrashExpiry({ deletedAt }) <= now) {
+        return null;
+      }
+
+      seenIds.add(item.id);
+      return {
+        id: item.id,
+        item,
+        visits: normalizeHistory({ [item.id]: entry.visits })[item.id] ?? [],
+        deletedAt,
+      };
+    })
+    .filter(Boolean)
+    .sort((left, right) => right.deletedAt - left.deletedAt);
+}
+
+export function moveSiteToTrash({ items, trash, history }, id, now = Date.now()) {
+  const item = items.find((candidate) => candidate.id === id);
+  if (!item) {
+    return { items, trash, history };
+  }
+
+  return {
+    items: removeSite(items, id),
+    trash: [{ id, item, visits: history[id] ?? [], deletedAt: now }, ...trash.filter((entry) => entry.id !== id)],
+    history: removeSiteHistory(history, id),
+  };
+}
+
+export function restoreSiteFromTrash({ items, trash, history }, id, groups = []) {
+  const entry = trash.find((candidate) => candidate.id === id);
+  if (!entry || items.some((item) => item.id === id)) {
+    return null;
+  }
+
+  return {
+    items: [...items, ...reconcileGroupIds([entry.item], groups)],
+    trash: trash.filter((candidate) => candidate.id !== id),
+    history: entry.visits.length ? { ...history, [id]: entry.visits } : history,
+  };
+}
+
+export function purgeTrashEntry(trash, id) {
+  return trash.filter((entry) => entry.id !== id);
+}
+
+export function getQuotaState(item, now = Date.now(), dayResetTime = DEFAULT_SETTINGS.dayResetTime) {
+  const periodStart = getDayPeriodStart(dayResetTime, now);
+  const used = item.quotaPeriodStart !== null && item.quotaPeriodStart >= periodStart ? item.quotaUsed : 0;
+
+  return {
+    limit: item.quotaLimit,
+    used,
+    remaining: Math.max(0, item.quotaLimit - used),
+    periodStart,
+    resetAt: getNextDayReset(dayResetTime, now),
+  };
+}
+
+// The multiplier grows when a visit comes shortly after the previous cooldown ended and shrinks by one
+// factor for every full quiet period since then.
+export function getEscalationState(item, now = Date.now()) {
+  if (!item.escalation || item.rule !== "cooldown") {
+    return null;
+  }
+
+  const { factor, maxMultiplier, windowMs, decayMs } = item.escalation;
+  if (!item.lastVisitedAt) {
+    return { current: 1, next: 1, nextDurationMs: item.durationMs };
+  }
+
+  const previousEndAt = item.lastVisitedAt + item.durationMs * item.multiplier;
+  const quietMs = now - previousEndAt;
+  const decaySteps = quietMs > 0 ? Math.floor(quietMs / decayMs) : 0;
+  const current = Math.max(1, item.multiplier / factor ** decaySteps);
+  const next = quietMs < windowMs ? Math.min(maxMultiplier, current * factor) : current;
+
+  return {
+    current,
+    next,
+    nextDurationMs: Math.round(item.durationMs * next),
+  };
+}
+
+export function normalizeTimeUsage(input) {
+  const source = input && typeof input === "object" ? input : {};
+  const sites =
+    source.sites && typeof source.sites === "object"
+      ? Object.fromEntries(
+          Object.entries(source.sites).filter(([, usedMs]) => Number.isFinite(usedMs) && usedMs >= 0),
+        )
+      : {};
+  const tracking =
+    source.tracking && Array.isArray(source.tracking.siteIds) && asTimestamp(source.tracking.startedAt)
+      ? { siteIds: source.tracking.siteIds, startedAt: source.tracking.startedAt }
+      : null;
+
+  return {
+    periodStart: asTimestamp(source.periodStart, null),
+    sites,
+    tracking,
+  };
+}
+
+// Usage is written by the extension service worker; the time since its last write is added here so the
+// remaining minutes keep moving while a tracked tab stays focused.
+export function getBudgetState(item, usage, now = Date.now(), dayResetTime = DEFAULT_SETTINGS.dayResetTime) {
+  const periodStart = getDayPeriodStart(dayResetTime, now);
+  const samePeriod = usage?.periodStart === periodStart;
+  let usedMs = samePeriod ? usage.sites[item.id] || 0 : 0;
+  if (samePeriod && usage.tracking?.siteIds.includes(item.id)) {
+    usedMs += Math.min(BUDGET_TRACKING_MAX_GAP_MS, Math.max(0, now - usage.tracking.startedAt));
+  }
+
+  return {
+    limitMs: item.budgetMs,
+    usedMs: Math.min(item.budgetMs, usedMs),
+    remainingMs: Math.max(0, item.budgetMs - usedMs),
+    exhausted: usedMs >= item.budgetMs,
+    resetAt: getNextDayReset(dayResetTime, now),
+  };
+}
+
+export function registerVisit(item, now = Date.now(), options = {}) {
+  if (item.rule === "budget") {
+    return {
+      ...item,
+      lastVisitedAt: now,
+      updatedAt: now,
+    };
+  }
+
+  if (item.rule !== "quota") {
+    const escalation = getEscalationState(item, now);
+    return {
+      ...item,
+      lastVisitedAt: now,
+      endAt: now + (escalation ? escalation.nextDurationMs : item.durationMs),
+      multiplier: escalation ? escalation.next : 1,
+      updatedAt: now,
+    };
+  }
+
+  const quota = getQuotaState(item, now, options.dayResetTime);
+  const used = quota.used + 1;
+  return {
+    ...item,
+    lastVisitedAt: now,
+    endAt: used >= quota.limit ? quota.resetAt : null,
+    quotaUsed: used,
+    quotaPeriodStart: quota.periodStart,
+    updatedAt: now,
+  };
+}
+
+// A visit to a member of a linked group counts as a visit to every member of that group.
+export function startCooldown(items, id, now = Date.now(), options = {}) {
+  const target = items.find((item) => item.id === id);
+  const linkedGroupId =
+    target?.groupId && options.groups?.some((group) => group.id === target.groupId && group.linked)
+      ? target.groupId
+      : null;
+
   return items.map((item) =>
-    item.id === id
-      ? {
-          ...item,
-          lastVisitedAt: now,
-          endAt: now + item.durationMs,
-          updatedAt: now,
-        }
-      : item,
+    item.id === id || (linkedGroupId && item.groupId === linkedGroupId) ? registerVisit(item, now, options) : item,
   );
 }
 
+export function startGroupCooldown(items, groupId, now = Date.now(), options = {}) {
+  return items.map((item) => (item.groupId === groupId ? registerVisit(item, now, options) : item));
+}
+
 export function resetCooldown(items, id, now = Date.now()) {
   return items.map((item) =>
     item.id === id
       ? {
           ...item,
-          endAt: now + item.durationMs,
+          endAt: now + Math.round(item.durationMs * item.multiplier),
           updatedAt: now,
         }
       : item,
   );
 }
 
+function clearItemCooldown(item, now) {
+  return {
+    ...item,
+    endAt: null,
+    quotaUsed: item.rule === "quota" ? 0 : item.quotaUsed,
+    updatedAt: now,
+  };
+}
+
 export function clearCooldown(items, id, now = Date.now()) {
-  return items.map((item) =>
-    item.id === id
-      ? {
-          ...item,
-          endAt: null,
-          updatedAt: now,
-        }
-      : item,
-  );
+  return items.map((item) => (item.id === id ? clearItemCooldown(item, now) : item));
+}
+
+export function clearGroupCooldown(items, groupId, now = Date.now()) {
+  return items.map((item) => (item.groupId === groupId && item.endAt ? clearItemCooldown(item, now) : item));
 }
 
 export function resolveExpiredCooldowns(items, now = Date.now()) {
@@ -237,11 +609,16 @@ export function resolveExpiredCooldowns(items, now = Date.now()) {
   };
 }
 
-export function getSiteView(item, now = Date.now()) {
+export function getSiteView(item, now = Date.now(), options = {}) {
   const host = hostnameFromUrl(item.url);
   const remaining = item.endAt ? Math.max(0, item.endAt - now) : 0;
   const ready = !item.endAt || item.endAt <= now;
-  const total = item.durationMs;
+  const quota = item.rule === "quota" ? getQuotaState(item, now, options.dayResetTime) : null;
+  const budget = item.rule === "budget" ? getBudgetState(item, options.usage, now, options.dayResetTime) : null;
+  const total =
+    quota && item.endAt && item.lastVisitedAt
+      ? Math.max(1, item.endAt - item.lastVisitedAt)
+      : Math.round(item.durationMs * item.multiplier);
   const elapsed =
     item.endAt && item.lastVisitedAt ? Math.min(total, Math.max(0, now - item.lastVisitedAt)) : 0;
   const progress = ready ? 100 : Math.round((elapsed / total) * 100);
@@ -251,12 +628,18 @@ export function getSiteView(item, now = Date.now()) {
     remaining,
     ready,
     progress,
+    quota,
+    budget,
+    escalation: getEscalationState(item, now),
+    withinSchedule: isWithinSchedule(item.schedule, now),
+    nextScheduleChange: getNextScheduleChange(item.schedule, now),
   };
 }
 
 export function getVisibleSites(items, options = {}) {
   const now = options.now ?? Date.now();
   const filter = options.filter ?? "all";
+  const groupFilter = options.groupId ?? GROUP_FILTER_ALL;
   const query = String(options.query ?? "")
     .trim()
     .toLowerCase();
@@ -273,12 +656,23 @@ export function getVisibleSites(items, options = {}) {
       }
 
       return true;
+    })
+    .filter((item) => {
+      if (groupFilter === GROUP_FILTER_ALL) {
+        return true;
+      }
+
+      return groupFilter === GROUP_FILTER_NONE ? !item.groupId : item.groupId === groupFilter;
     });
 
   if (query) {
     visibleItems = visibleItems.filter((item) => {
       const label = (item.label || "").toLowerCase();
-      return label.includes(query) || item.url.toLowerCase().includes(query);
+      return (
+        label.includes(query) ||
+        item.url.toLowerCase().includes(query) ||
+        Boolean(item.pattern?.toLowerCase().includes(query))
+      );
     });
   }
 
@@ -1,15 +1,90 @@
-import { DEFAULT_SETTINGS, LS_KEY, LS_SETTINGS_KEY } from "./constants.js";
-import { normalizeSettings, normalizeSites } from "./sites.js";
+import {
+  DEFAULT_SETTINGS,
+  HISTORY_LOCK_NAME,
+  LS_BACKUPS_KEY,
+  LS_BRIDGE_CONFIG_KEY,
+  LS_BRIDGE_KEY,
+  LS_FOCUS_KEY,
+  LS_GROUPS_KEY,
+  LS_HISTORY_KEY,
+  LS_ITEMS_REVISION_KEY,
+  LS_KEY,
+  LS_MIGRATION_BACKUP_KEY,
+  LS_OVERRIDES_KEY,
+  LS_SCHEMA_VERSION_KEY,
+  LS_SERVER_SYNC_KEY,
+  LS_SERVER_SYNC_STATE_KEY,
+  LS_SETTINGS_KEY,
+  LS_SYNC_KEY,
+  LS_SYNC_STATE_KEY,
+  LS_TRASH_KEY,
+  LS_USAGE_KEY,
+  MAX_SITE_WRITE_ATTEMPTS,
+  SITES_LOCK_NAME,
+  WEB_CHANNEL_NAME,
+} from "./constants.js";
+import { addBackup, normalizeBackups } from "./backups.js";
+import {
+  isBridgeAvailable,
+  normalizeBridgeConfig,
+  normalizeBridgeState,
+  sendBridgeMessage,
+  subscribeToBridge,
+} from "./bridge.js";
+import { normalizeFocusSession } from "./focus.js";
+import { normalizeGroups } from "./groups.js";
+import { applyHistoryPatches, normalizeHistory, normalizeOverrideLog } from "./history.js";
+import { WEB_STORE_KEYS, openWebStore } from "./idb.js";
+import { MIGRATION_READ_KEYS, planStorageMigration } from "./migrations.js";
+import { applySitePatches } from "./patches.js";
+import { getTimerNow, normalizeSettings, normalizeSites, normalizeTimeUsage, normalizeTrash } from "./sites.js";
+import {
+  normalizeServerSyncConfig,
+  normalizeServerSyncState,
+  normalizeSyncPreferences,
+  normalizeSyncStatus,
+  syncWithServer,
+} from "./sync.js";
 import { isExtensionContext } from "./utils.js";
 
+// Set by openWebStorage when the web build keeps its sites, history and settings in IndexedDB.
+let webStore = null;
+let webChannel;
+
+// Tabs of the web app tell each other about IndexedDB writes here; localStorage writes raise storage events already.
+// A channel never receives its own messages, so one instance per tab both posts and listens.
+function getWebChannel() {
+  if (webChannel === undefined) {
+    webChannel = typeof BroadcastChannel === "undefined" ? null : new BroadcastChannel(WEB_CHANNEL_NAME);
+  }
+
+  return webChannel;
+}
+
 function getExtensionStorage() {
   return isExtensionContext() ? globalThis.chrome?.storage?.local : null;
 }
 
-function readExtensionStorage(keys) {
+// A web page paired with the extension reads and writes the extension's data instead of its own localStorage.
+function getBridge() {
+  if (isExtensionContext() || !isBridgeAvailable()) {
+    return null;
+  }
+
+  const config = normalizeBridgeConfig(readJson(LS_BRIDGE_CONFIG_KEY, null));
+  return config.enabled ? config : null;
+}
+
+async function readExtensionStorage(keys) {
+  const bridge = getBridge();
+  if (bridge) {
+    const response = await sendBridgeMessage(bridge.extensionId, { type: "bridge-read", keys });
+    return response.values ?? {};
+  }
+
   const storage = getExtensionStorage();
   if (!storage) {
-    return Promise.resolve(null);
+    return null;
   }
 
   return new Promise((resolve, reject) => {
@@ -25,10 +100,16 @@ function readExtensionStorage(keys) {
   });
 }
 
-function writeExtensionStorage(values) {
+async function writeExtensionStorage(values) {
+  const bridge = getBridge();
+  if (bridge) {
+    await sendBridgeMessage(bridge.extensionId, { type: "bridge-write", values });
+    return true;
+  }
+
   const storage = getExtensionStorage();
   if (!storage) {
-    return Promise.resolve(false);
+    return false;
   }
 
   return new Promise((resolve, reject) => {
@@ -57,71 +138,405 @@ function readJson(key, fallback) {
   }
 }
 
+function writeJson(key, value) {
+  if (typeof window === "undefined" || !window.localStorage) {
+    return false;
+  }
+
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function readLocalValue(key, fallback) {
+  return webStore && WEB_STORE_KEYS.includes(key) ? webStore.read(key, fallback) : readJson(key, fallback);
+}
+
+function saveStoredValue(key, value) {
+  if (usesExtensionStorage()) {
+    return writeExtensionStorage({ [key]: value });
+  }
+
+  if (webStore && WEB_STORE_KEYS.includes(key)) {
+    return webStore.write(key, value);
+  }
+
+  return Promise.resolve(writeJson(key, value));
+}
+
+async function readStoredValues(keys) {
+  if (usesExtensionStorage()) {
+    return readExtensionStorage(keys);
+  }
+
+  const values = {};
+  keys.forEach((key) => {
+    const value = readLocalValue(key, undefined);
+    if (value !== undefined) {
+      values[key] = value;
+    }
+  });
+  return values;
+}
+
+// Runs before the app renders and before migrateStoredState. The first time, the localStorage values move into
+// IndexedDB and are removed; without IndexedDB the web build keeps using localStorage.
+export async function openWebStorage() {
+  if (webStore || usesExtensionStorage()) {
+    return false;
+  }
+
+  const readLegacyValues = () => Object.fromEntries(WEB_STORE_KEYS.map((key) => [key, readJson(key, undefined)]));
+  webStore = await openWebStore(readLegacyValues, (key) => getWebChannel()?.postMessage({ keys: [key] }));
+  if (webStore?.migrated) {
+    WEB_STORE_KEYS.forEach((key) => window.localStorage.removeItem(key));
+  }
+
+  return Boolean(webStore);
+}
+
+// Runs once before the app renders. The raw values from before the migration are kept under
+// LS_MIGRATION_BACKUP_KEY, so a faulty migrator never loses the only copy of the user's sites. Errors reach the
+// caller with the stored version unchanged.
+export async function migrateStoredState(now = Date.now()) {
+  // Through the bridge the data belongs to the extension, which migrates it itself.
+  if (getBridge()) {
+    return false;
+  }
+
+  const plan = planStorageMigration(await readStoredValues(MIGRATION_READ_KEYS), now);
+  if (!plan) {
+    return false;
+  }
+
+  const save = async (key, value) => {
+    if (!(await saveStoredValue(key, value))) {
+      throw new Error(`No se pudo guardar ${key}.`);
+    }
+  };
+  if (plan.backup) {
+    await save(LS_MIGRATION_BACKUP_KEY, plan.backup);
+  }
+  for (const key of Object.keys(plan.values)) {
+    await save(key, plan.values[key]);
+  }
+  await save(LS_SCHEMA_VERSION_KEY, plan.version);
+  return true;
+}
+
+// Cooldowns frozen by a pause must survive a reload even if their original end time has already passed.
 export function loadStoredItems(now = Date.now()) {
-  return normalizeSites(readJson(LS_KEY, []), { now });
+  return normalizeSites(readLocalValue(LS_KEY, []), { now: getTimerNow(loadStoredSettings(), now) });
 }
 
-export function saveStoredItems(items) {
-  if (getExtensionStorage()) {
-    return writeExtensionStorage({ [LS_KEY]: items });
+// In IndexedDB the revision is stored with the sites; localStorage only holds it when the web build has no IndexedDB.
+export function loadStoredSitesRevision() {
+  if (webStore) {
+    return webStore.readSitesRevision();
   }
 
-  if (typeof window === "undefined" || !window.localStorage) {
-    return Promise.resolve(false);
+  return Number(readJson(LS_ITEMS_REVISION_KEY, 0)) || 0;
+}
+
+// The extension pages and the service worker share Web Locks, so holding SITES_LOCK_NAME makes the revision check
+// and the write below a single step for every context that writes the sites, and HISTORY_LOCK_NAME does the same for
+// the visit history.
+function withLock(name, task) {
+  const locks = globalThis.navigator?.locks;
+  return locks ? locks.request(name, task) : task();
+}
+
+async function readStoredSites(now) {
+  let values;
+  if (usesExtensionStorage()) {
+    values = await readExtensionStorage([LS_KEY, LS_ITEMS_REVISION_KEY]);
+  } else {
+    await webStore?.refresh();
+    values = { [LS_KEY]: readLocalValue(LS_KEY, []), [LS_ITEMS_REVISION_KEY]: loadStoredSitesRevision() };
   }
 
-  try {
-    window.localStorage.setItem(LS_KEY, JSON.stringify(items));
-    return Promise.resolve(true);
-  } catch {
-    return Promise.resolve(false);
+  return {
+    items: normalizeSites(values[LS_KEY], { now }),
+    revision: Number(values[LS_ITEMS_REVISION_KEY]) || 0,
+  };
+}
+
+// Writes the sites only if nobody else has since the given revision. Returns whether it did.
+async function swapStoredSites(revision, items) {
+  const bridge = getBridge();
+  if (bridge) {
+    const response = await sendBridgeMessage(bridge.extensionId, { type: "bridge-swap-sites", revision, items });
+    return response.swapped === true;
+  }
+
+  return withLock(SITES_LOCK_NAME, async () => {
+    if (usesExtensionStorage()) {
+      const values = await readExtensionStorage([LS_ITEMS_REVISION_KEY]);
+      if ((Number(values[LS_ITEMS_REVISION_KEY]) || 0) !== revision) {
+        return false;
+      }
+
+      return writeExtensionStorage({ [LS_KEY]: items, [LS_ITEMS_REVISION_KEY]: revision + 1 });
+    }
+
+    if (webStore) {
+      return webStore.swapSites(revision, items);
+    }
+
+    if (loadStoredSitesRevision() !== revision) {
+      return false;
+    }
+
+    const saved = await saveStoredValue(LS_KEY, items);
+    return saved && writeJson(LS_ITEMS_REVISION_KEY, revision + 1);
+  });
+}
+
+// Applies per-site patches from diffSites on top of the sites currently stored. If another context wrote in between,
+// the swap fails and the patches are replayed on the newer sites; fields changed on both sides keep the stored value
+// and come back in conflicts. now is the timer clock the sites are normalized with, as in loadStoredItems.
+export async function updateStoredSites(patches, now = Date.now()) {
+  for (let attempt = 0; attempt < MAX_SITE_WRITE_ATTEMPTS; attempt += 1) {
+    const stored = await readStoredSites(now);
+    const result = applySitePatches(stored.items, patches);
+    if (result.items === stored.items) {
+      return { items: stored.items, conflicts: result.conflicts };
+    }
+
+    if (await swapStoredSites(stored.revision, result.items)) {
+      return result;
+    }
   }
+
+  throw new Error("Los sitios cambiaron demasiadas veces seguidas; vuelve a intentarlo.");
 }
 
 export function loadStoredSettings() {
-  return normalizeSettings(readJson(LS_SETTINGS_KEY, DEFAULT_SETTINGS));
+  return normalizeSettings(readLocalValue(LS_SETTINGS_KEY, DEFAULT_SETTINGS));
 }
 
 export function saveStoredSettings(settings) {
-  if (getExtensionStorage()) {
-    return writeExtensionStorage({ [LS_SETTINGS_KEY]: normalizeSettings(settings) });
+  return saveStoredValue(LS_SETTINGS_KEY, normalizeSettings(settings));
+}
+
+export function loadStoredHistory() {
+  return normalizeHistory(readLocalValue(LS_HISTORY_KEY, {}));
+}
+
+// Applies per-visit patches from diffHistory on top of the stored history and returns the result. The service worker
+// appends visits under the same lock, so neither side overwrites what the other has just written.
+export async function updateStoredHistory(patches) {
+  const bridge = getBridge();
+  if (bridge) {
+    const response = await sendBridgeMessage(bridge.extensionId, { type: "bridge-update-history", patches });
+    return normalizeHistory(response.history);
   }
 
-  if (typeof window === "undefined" || !window.localStorage) {
-    return Promise.resolve(false);
+  return withLock(HISTORY_LOCK_NAME, async () => {
+    let stored;
+    if (usesExtensionStorage()) {
+      stored = (await readExtensionStorage([LS_HISTORY_KEY]))[LS_HISTORY_KEY];
+    } else {
+      await webStore?.refresh();
+      stored = readLocalValue(LS_HISTORY_KEY, {});
+    }
+
+    const history = applyHistoryPatches(normalizeHistory(stored), patches);
+    if (!(await saveStoredValue(LS_HISTORY_KEY, history))) {
+      throw new Error("No se pudo guardar el historial.");
+    }
+    return history;
+  });
+}
+
+export function loadStoredGroups() {
+  return normalizeGroups(readJson(LS_GROUPS_KEY, []));
+}
+
+export function saveStoredGroups(groups) {
+  return saveStoredValue(LS_GROUPS_KEY, groups);
+}
+
+export function loadStoredFocusSession(now = Date.now()) {
+  return normalizeFocusSession(readJson(LS_FOCUS_KEY, null), now);
+}
+
+export function saveStoredFocusSession(session) {
+  return saveStoredValue(LS_FOCUS_KEY, session);
+}
+
+export function loadStoredTrash(now = Date.now()) {
+  return normalizeTrash(readJson(LS_TRASH_KEY, []), now);
+}
+
+// Through the bridge the extension only accepts the entries added and removed since what it has stored.
+export async function saveStoredTrash(trash) {
+  const bridge = getBridge();
+  if (!bridge) {
+    return saveStoredValue(LS_TRASH_KEY, trash);
+  }
+
+  const stored = normalizeTrash((await readExtensionStorage([LS_TRASH_KEY]))[LS_TRASH_KEY]);
+  const storedIds = new Set(stored.map((entry) => entry.id));
+  const ids = new Set(trash.map((entry) => entry.id));
+  const added = trash.filter((entry) => !storedIds.has(entry.id));
+  const removedIds = stored.filter((entry) => !ids.has(entry.id)).map((entry) => entry.id);
+  if (added.length || removedIds.length) {
+    await sendBridgeMessage(bridge.extensionId, { type: "bridge-update-trash", added, removedIds });
   }
+  return true;
+}
+
+export function loadStoredBackups() {
+  return normalizeBackups(readJson(LS_BACKUPS_KEY, []));
+}
+
+// The extension service worker adds its own snapshots, so the list is read again right before adding to it. A paired
+// web app shows the extension's data, so there the extension takes the snapshot from what it has stored.
+export async function addStoredBackup(backup) {
+  const bridge = getBridge();
+  if (bridge) {
+    const response = await sendBridgeMessage(bridge.extensionId, { type: "bridge-backup", reason: backup.reason });
+    return normalizeBackups(response.backups);
+  }
+
+  const stored = usesExtensionStorage()
+    ? (await readExtensionStorage([LS_BACKUPS_KEY]))[LS_BACKUPS_KEY]
+    : readJson(LS_BACKUPS_KEY, []);
+  const backups = addBackup(normalizeBackups(stored), backup);
+  await saveStoredValue(LS_BACKUPS_KEY, backups);
+  return backups;
+}
+
+// Only the extension can sync, so there is no localStorage fallback.
+export function saveStoredSyncPreferences(preferences) {
+  return writeExtensionStorage({ [LS_SYNC_KEY]: normalizeSyncPreferences(preferences) });
+}
+
+export function loadStoredServerSync() {
+  return normalizeServerSyncConfig(readJson(LS_SERVER_SYNC_KEY, null));
+}
 
+export function saveStoredServerSync(config) {
+  return saveStoredValue(LS_SERVER_SYNC_KEY, normalizeServerSyncConfig(config));
+}
+
+export function loadStoredServerSyncState() {
+  return normalizeServerSyncState(readJson(LS_SERVER_SYNC_STATE_KEY, null));
+}
+
+// Used by the web app on its own; in the extension the service worker talks to the server. Returns the merged
+// sites, groups and settings, or null when the run failed or isCurrent() says the local data changed meanwhile. In
+// both cases the sync state stays as it was, so the next run pulls the same records again.
+export async function syncStoredStateWithServer(config, local, isCurrent = () => true, now = Date.now()) {
+  const state = loadStoredServerSyncState();
   try {
-    window.localStorage.setItem(LS_SETTINGS_KEY, JSON.stringify(normalizeSettings(settings)));
-    return Promise.resolve(true);
-  } catch {
-    return Promise.resolve(false);
+    const result = await syncWithServer(config, local, state, {
+      now,
+      normalizeSite: (data) => normalizeSites([data], { now: getTimerNow(local.settings, now) })[0] ?? null,
+      normalizeGroup: (data) => normalizeGroups([data], now)[0] ?? null,
+    });
+    if (!isCurrent()) {
+      return null;
+    }
+
+    writeJson(LS_SERVER_SYNC_STATE_KEY, result.syncState);
+    return { ...result, settings: normalizeSettings(result.settings) };
+  } catch (error) {
+    writeJson(LS_SERVER_SYNC_STATE_KEY, { ...state, error: error?.message || "No se pudo sincronizar." });
+    return null;
   }
 }
 
+export function saveStoredBridgeState(state) {
+  return writeExtensionStorage({ [LS_BRIDGE_KEY]: state });
+}
+
+export function loadBridgeConfig() {
+  return normalizeBridgeConfig(readJson(LS_BRIDGE_CONFIG_KEY, null));
+}
+
+// Always local: this setting decides where everything else is stored.
+export function saveBridgeConfig(config) {
+  return writeJson(LS_BRIDGE_CONFIG_KEY, normalizeBridgeConfig(config));
+}
+
+export function usesBridgeStorage() {
+  return Boolean(getBridge());
+}
+
 export function usesExtensionStorage() {
-  return Boolean(getExtensionStorage());
+  return Boolean(getExtensionStorage() || getBridge());
 }
 
-export async function loadExtensionState(now = Date.now()) {
-  const values = await readExtensionStorage([LS_KEY, LS_SETTINGS_KEY]);
+const STATE_KEYS = [
+  LS_KEY,
+  LS_SETTINGS_KEY,
+  LS_HISTORY_KEY,
+  LS_USAGE_KEY,
+  LS_GROUPS_KEY,
+  LS_OVERRIDES_KEY,
+  LS_FOCUS_KEY,
+  LS_TRASH_KEY,
+  LS_BACKUPS_KEY,
+  LS_SYNC_KEY,
+  LS_SYNC_STATE_KEY,
+  LS_SERVER_SYNC_KEY,
+  LS_SERVER_SYNC_STATE_KEY,
+  LS_BRIDGE_KEY,
+];
+
+// Everything the app shows, read fresh from storage: the extension's, or in the web build the one shared by all tabs.
+export async function loadStoredState(now = Date.now()) {
+  if (!usesExtensionStorage()) {
+    await webStore?.refresh();
+  }
+
+  const values = await readStoredValues(STATE_KEYS);
   if (!values) {
     return null;
   }
 
+  const settings = normalizeSettings(values[LS_SETTINGS_KEY]);
   return {
-    items: normalizeSites(values[LS_KEY], { now }),
-    settings: normalizeSettings(values[LS_SETTINGS_KEY]),
+    items: normalizeSites(values[LS_KEY], { now: getTimerNow(settings, now) }),
+    settings,
+    history: normalizeHistory(values[LS_HISTORY_KEY]),
+    usage: normalizeTimeUsage(values[LS_USAGE_KEY]),
+    groups: normalizeGroups(values[LS_GROUPS_KEY]),
+    overrides: normalizeOverrideLog(values[LS_OVERRIDES_KEY]),
+    focusSession: normalizeFocusSession(values[LS_FOCUS_KEY], now),
+    trash: normalizeTrash(values[LS_TRASH_KEY], now),
+    backups: normalizeBackups(values[LS_BACKUPS_KEY]),
+    sync: normalizeSyncPreferences(values[LS_SYNC_KEY]),
+    syncStatus: normalizeSyncStatus(values[LS_SYNC_STATE_KEY]),
+    serverSync: normalizeServerSyncConfig(values[LS_SERVER_SYNC_KEY]),
+    serverSyncStatus: normalizeSyncStatus(values[LS_SERVER_SYNC_STATE_KEY]),
+    bridge: normalizeBridgeState(values[LS_BRIDGE_KEY], now),
   };
 }
 
-export function subscribeToExtensionState(onChange) {
-  if (!getExtensionStorage() || !globalThis.chrome?.storage?.onChanged) {
+// Calls onChange whenever another context changes the stored state: the service worker or a paired extension, or in
+// the web build another tab.
+export function subscribeToStoredState(onChange) {
+  const bridge = getBridge();
+  if (bridge) {
+    return subscribeToBridge(bridge.extensionId, onChange);
+  }
+
+  if (!usesExtensionStorage()) {
+    return subscribeToOtherTabs(onChange);
+  }
+
+  if (!globalThis.chrome?.storage?.onChanged) {
     return () => {};
   }
 
   const listener = (changes, areaName) => {
-    if (areaName === "local" && (changes[LS_KEY] || changes[LS_SETTINGS_KEY])) {
+    if (areaName === "local" && STATE_KEYS.some((key) => changes[key])) {
       onChange();
     }
   };
@@ -129,3 +544,29 @@ export function subscribeToExtensionState(onChange) {
   globalThis.chrome.storage.onChanged.addListener(listener);
   return () => globalThis.chrome.storage.onChanged.removeListener(listener);
 }
+
+function subscribeToOtherTabs(onChange) {
+  if (typeof window === "undefined") {
+    return () => {};
+  }
+
+  const channel = getWebChannel();
+  const handleMessage = (event) => {
+    if (Array.isArray(event.data?.keys) && event.data.keys.some((key) => STATE_KEYS.includes(key))) {
+      onChange();
+    }
+  };
+  // A null key means another tab cleared localStorage entirely.
+  const handleStorage = (event) => {
+    if (event.storageArea === window.localStorage && (event.key === null || STATE_KEYS.includes(event.key))) {
+      onChange();
+    }
+  };
+
+  channel?.addEventListener("message", handleMessage);
+  window.addEventListener("storage", handleStorage);
+  return () => {
+    channel?.removeEventListener("message", handleMessage);
+    window.removeEventListener("storage", handleStorage);
+  };
+}
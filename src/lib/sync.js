@@ -0,0 +1,319 @@
+import { DEFAULT_SYNC } from "./constants.js";
+import { asTimestamp } from "./utils.js";
+
+// Sync preferences stay in chrome.storage.local: each device decides whether it takes part and whether its running
+// timers travel with the rules. That chrome.storage.sync sync runs only in the extension service worker, which takes
+// its merge from here; the server sync below runs both there and in the web app.
+export function normalizeSyncPreferences(input) {
+  const source = input && typeof input === "object" ? input : {};
+  return {
+    enabled: typeof source.enabled === "boolean" ? source.enabled : DEFAULT_SYNC.enabled,
+    syncTimers: typeof source.syncTimers === "boolean" ? source.syncTimers : DEFAULT_SYNC.syncTimers,
+  };
+}
+
+export function normalizeSyncStatus(input) {
+  const source = input && typeof input === "object" ? input : {};
+  return {
+    lastSyncedAt: asTimestamp(source.lastSyncedAt, null),
+    error: typeof source.error === "string" && source.error ? source.error : null,
+  };
+}
+
+const SYNC_TOMBSTONE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Per entity, the most recent updatedAt wins. An entity this device knew at its last sync and no longer has was
+// deleted here; a tombstone then stops other devices from bringing it back unless they edited it afterwards.
+export function mergeSyncEntities(localList, remoteList, knownIds, tombstones, now, combine) {
+  const localById = new Map(localList.map((entry) => [entry.id, entry]));
+  const remoteById = new Map(remoteList.map((entry) => [entry.id, entry]));
+  const deleted = { ...tombstones };
+  knownIds.forEach((id) => {
+    if (!localById.has(id) && !(id in deleted)) {
+      deleted[id] = now;
+    }
+  });
+
+  const ids = [...new Set([...localById.keys(), ...remoteById.keys()])];
+  const list = [];
+  ids.forEach((id) => {
+    const local = localById.get(id);
+    const remote = remoteById.get(id);
+    const known = knownIds.has(id);
+    const winner = !local
+      ? known
+        ? null
+        : remote
+      : remote && (Number(remote.updatedAt) || 0) > (Number(local.updatedAt) || 0)
+        ? combine(local, remote)
+        : local;
+    const deletedAt = deleted[id];
+    // A site added or restored here since the last sync was not known yet, so an older tombstone cannot remove it.
+    const addedHere = local && !known;
+    if (!winner || (deletedAt && !addedHere && (Number(winner.updatedAt) || 0) <= deletedAt)) {
+      return;
+    }
+
+    delete deleted[id];
+    list.push(winner);
+  });
+
+  Object.keys(deleted).forEach((id) => {
+    if (deleted[id] < now - SYNC_TOMBSTONE_MS) {
+      delete deleted[id];
+    }
+  });
+
+  return { list, deleted };
+}
+
+const SERVER_TIMER_FIELDS = ["endAt", "lastVisitedAt", "multiplier", "quotaUsed", "quotaPeriodStart"];
+const SERVER_LOCAL_SETTINGS = ["notificationsOn", "soundOn", "pausedAt", "pauseUntil", "pauseMode"];
+const SERVER_BATCH_SIZE = 500;
+
+function omitFields(source, fields) {
+  return Object.fromEntries(Object.entries(source).filter(([field]) => !fields.includes(field)));
+}
+
+function pickFields(source, fields) {
+  return Object.fromEntries(fields.filter((field) => field in source).map((field) => [field, source[field]]));
+}
+
+export function normalizeServerSyncConfig(input) {
+  const source = input && typeof input === "object" ? input : {};
+  return {
+    url: typeof source.url === "string" ? source.url : "",
+    token: typeof source.token === "string" ? source.token : "",
+    enabled: source.enabled === true,
+  };
+}
+
+// The fields are stored as typed, so they are cleaned up where they are used.
+function getServerUrl(config) {
+  return config.url.trim().replace(/\/+$/, "");
+}
+
+export function isServerSyncReady(config) {
+  return config.enabled && Boolean(config.token.trim()) && /^https?:\/\/[^/]+/i.test(getServerUrl(config));
+}
+
+// Identifies the server and the user; not a secret, only enough to notice that either has changed.
+function getServerAccount(config) {
+  let hash = 5381;
+  for (const character of config.token.trim()) {
+    hash = (hash * 33 + character.charCodeAt(0)) >>> 0;
+  }
+
+  return `${getServerUrl(config)}#${hash.toString(36)}`;
+}
+
+export function normalizeServerSyncState(input) {
+  const source = input && typeof input === "object" ? input : {};
+  return {
+    account: typeof source.account === "string" ? source.account : "",
+    since: Number.isInteger(source.since) && source.since > 0 ? source.since : 0,
+    shadow: source.shadow && typeof source.shadow === "object" ? source.shadow : {},
+    settingsJson: typeof source.settingsJson === "string" ? source.settingsJson : null,
+    settingsUpdatedAt: asTimestamp(source.settingsUpdatedAt, 0),
+    lastSyncedAt: asTimestamp(source.lastSyncedAt, null),
+    error: typeof source.error === "string" && source.error ? source.error : null,
+  };
+}
+
+// Running timers, pauses and the favicon stay on each device; the server only keeps the rules.
+export function toServerSite(item) {
+  return omitFields(item, ["favicon", ...SERVER_TIMER_FIELDS]);
+}
+
+export function toServerSettings(settings) {
+  return omitFields(settings, SERVER_LOCAL_SETTINGS);
+}
+
+async function requestServer(config, path, options = {}) {
+  let response;
+  try {
+    response = await fetch(`${getServerUrl(config)}${path}`, {
+      ...options,
+      headers: { Authorization: `Bearer ${config.token.trim()}`, "Content-Type": "application/json" },
+    });
+  } catch {
+    throw new Error("No se pudo conectar con el servidor de sincronización.");
+  }
+
+  const body = await response.json().catch(() => null);
+  if (response.status === 401) {
+    throw new Error("El servidor rechazó el token.");
+  }
+
+  if (!response.ok || !body) {
+    throw new Error(body?.error || `El servidor respondió con el estado ${response.status}.`);
+  }
+
+  return body;
+}
+
+// One round trip: pull every record newer than the last revision seen, then push what changed here. The shadow maps
+// kind:id to the updatedAt the server last confirmed, which tells local edits and local deletions apart from records
+// this device simply has not heard of. The newest updatedAt wins, as on the server.
+export async function syncWithServer(config, local, syncState, options = {}) {
+  const now = options.now ?? Date.now();
+  const normalizeSiteRecord = options.normalizeSite ?? ((data) => data);
+  const normalizeGroupRecord = options.normalizeGroup ?? ((data) => data);
+  // Another server or user starts from scratch; the revisions and the shadow belong to the previous one.
+  const account = getServerAccount(config);
+  const state = syncState.account === account ? syncState : normalizeServerSyncState(null);
+  const shadow = { ...state.shadow };
+  let items = local.items;
+  let groups = local.groups;
+  let settings = local.settings;
+  let settingsUpdatedAt = state.settingsUpdatedAt;
+  const settingsChangedHere =
+    state.settingsJson !== null && JSON.stringify(toServerSettings(settings)) !== state.settingsJson;
+
+  // On a tie the server keeps its copy, so a conflict answer replaces a local copy with the same updatedAt.
+  const applyEntity = (list, record, normalize, keepFields, fromConflict) => {
+    const key = `${record.kind}:${record.id}`;
+    const current = list.find((entry) => entry.id === record.id);
+    const currentAt = current ? Number(current.updatedAt) || 0 : 0;
+    if (current && (currentAt > record.updatedAt || (currentAt === record.updatedAt && !fromConflict))) {
+      if (!record.deleted) {
+        shadow[key] = record.updatedAt;
+      }
+      return list;
+    }
+
+    // Deleted here after the server last confirmed it; the deletion goes up in the push below.
+    if (!current && key in shadow && record.updatedAt <= shadow[key]) {
+      return list;
+    }
+
+    if (record.deleted) {
+      delete shadow[key];
+      return current ? list.filter((entry) => entry.id !== record.id) : list;
+    }
+
+    const next = normalize(current ? { ...record.data, ...pickFields(current, keepFields) } : record.data);
+    if (!next) {
+      return list;
+    }
+
+    shadow[key] = record.updatedAt;
+    return current ? list.map((entry) => (entry.id === record.id ? next : entry)) : [...list, next];
+  };
+
+  const applyRecord = (record, fromConflict = false) => {
+    if (record.kind === "site") {
+      items = applyEntity(items, record, normalizeSiteRecord, ["favicon", ...SERVER_TIMER_FIELDS], fromConflict);
+    } else if (record.kind === "group") {
+      groups = applyEntity(groups, record, normalizeGroupRecord, [], fromConflict);
+    } else if (record.kind === "settings" && !record.deleted && record.updatedAt > settingsUpdatedAt) {
+      settingsUpdatedAt = record.updatedAt;
+      if (!settingsChangedHere) {
+        settings = { ...settings, ...toServerSettings(record.data) };
+      }
+    }
+  };
+
+  let since = state.since;
+  let more = true;
+  while (more) {
+    const page = await requestServer(config, `/v1/changes?since=${since}`);
+    // The server no longer has the revisions this device saw, so neither the revision nor the shadow says anything
+    // about what it holds: the pull starts over from zero and everything here is offered again.
+    if (page.reset === true && since > 0) {
+      since = 0;
+      settingsUpdatedAt = 0;
+      Object.keys(shadow).forEach((key) => delete shadow[key]);
+      continue;
+    }
+
+    (Array.isArray(page.changes) ? page.changes : []).forEach((record) => applyRecord(record));
+    since = Number(page.revision) || since;
+    more = page.more === true;
+  }
+
+  const changes = [];
+  const collect = (kind, list, toData) => {
+    const ids = new Set();
+    list.forEach((entry) => {
+      ids.add(entry.id);
+      const updatedAt = Number(entry.updatedAt) || now;
+      if (!(`${kind}:${entry.id}` in shadow) || updatedAt > shadow[`${kind}:${entry.id}`]) {
+        changes.push({ kind, id: entry.id, updatedAt, data: toData(entry) });
+      }
+    });
+    Object.keys(shadow).forEach((key) => {
+      const id = key.slice(kind.length + 1);
+      if (key.startsWith(`${kind}:`) && !ids.has(id)) {
+        changes.push({ kind, id, updatedAt: Math.max(now, shadow[key] + 1), deleted: true });
+      }
+    });
+  };
+  collect("site", items, toServerSite);
+  collect("group", groups, (group) => group);
+  // The settings have no updatedAt of their own; a change is detected against what was last synced.
+  if (settingsChangedHere || settingsUpdatedAt === 0) {
+    changes.push({
+      kind: "settings",
+      id: "settings",
+      updatedAt: Math.max(now, settingsUpdatedAt + 1),
+      data: toServerSettings(settings),
+    });
+  }
+
+  for (let start = 0; start < changes.length; start += SERVER_BATCH_SIZE) {
+    const batch = changes.slice(start, start + SERVER_BATCH_SIZE);
+    const result = await requestServer(config, "/v1/changes", {
+      method: "POST",
+      body: JSON.stringify({ changes: batch }),
+    });
+    const accepted = Array.isArray(result.accepted) ? result.accepted : [];
+    // When nobody else wrote in between, the new revisions are all ours and need not be pulled back.
+    if (Number(result.revision) === since + accepted.length) {
+      since = Number(result.revision);
+    }
+    const byKey = new Map(batch.map((change) => [`${change.kind}:${change.id}`, change]));
+    accepted.forEach((entry) => {
+      const change = byKey.get(`${entry.kind}:${entry.id}`);
+      if (!change) {
+        return;
+      }
+
+      if (change.kind === "settings") {
+        settingsUpdatedAt = change.updatedAt;
+      } else if (change.deleted) {
+        delete shadow[`${change.kind}:${change.id}`];
+      } else {
+        shadow[`${change.kind}:${change.id}`] = change.updatedAt;
+      }
+    });
+    // A rejected change lost to a newer copy on the server, which comes back with the answer.
+    (Array.isArray(result.conflicts) ? result.conflicts : []).forEach((record) => {
+      if (record.kind === "settings" && !record.deleted && record.updatedAt >= settingsUpdatedAt) {
+        settingsUpdatedAt = record.updatedAt;
+        settings = { ...settings, ...toServerSettings(record.data) };
+        return;
+      }
+
+      if (!record.deleted) {
+        delete shadow[`${record.kind}:${record.id}`];
+      }
+      applyRecord(record, true);
+    });
+  }
+
+  return {
+    items,
+    groups,
+    settings,
+    syncState: {
+      account,
+      since,
+      shadow,
+      settingsJson: JSON.stringify(toServerSettings(settings)),
+      settingsUpdatedAt,
+      lastSyncedAt: now,
+      error: null,
+    },
+  };
+}
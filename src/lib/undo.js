@@ -0,0 +1,125 @@
+import { MAX_UNDO_ENTRIES } from "./constants.js";
+import { uid } from "./utils.js";
+
+export const EMPTY_UNDO_HISTORY = Object.freeze({ past: [], future: [] });
+
+function sameValue(left, right) {
+  return JSON.stringify(left ?? null) === JSON.stringify(right ?? null);
+}
+
+function diffList(before, after) {
+  const beforeById = new Map(before.map((entry, index) => [entry.id, { entry, index }]));
+  const afterById = new Map(after.map((entry, index) => [entry.id, { entry, index }]));
+  const ids = new Set([...beforeById.keys(), ...afterById.keys()]);
+
+  return [...ids]
+    .map((id) => ({
+      id,
+      before: beforeById.get(id)?.entry ?? null,
+      after: afterById.get(id)?.entry ?? null,
+      beforeIndex: beforeById.get(id)?.index ?? null,
+      afterIndex: afterById.get(id)?.index ?? null,
+    }))
+    .filter((change) => !sameValue(change.before, change.after));
+}
+
+function diffMap(before, after) {
+  const ids = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...ids]
+    .map((id) => ({ id, before: before[id] ?? null, after: after[id] ?? null }))
+    .filter((change) => !sameValue(change.before, change.after));
+}
+
+// Snapshots hold items, groups, trash, settings and history; only what actually changed is kept in the entry.
+export function createUndoEntry(label, before, after) {
+  const entry = {
+    id: uid(),
+    label,
+    items: diffList(before.items, after.items),
+    groups: diffList(before.groups, after.groups),
+    trash: diffList(before.trash, after.trash),
+    history: diffMap(before.history, after.history),
+    settings: sameValue(before.settings, after.settings) ? null : { before: before.settings, after: after.settings },
+  };
+
+  return entry.items.length || entry.groups.length || entry.trash.length || entry.history.length || entry.settings
+    ? entry
+    : null;
+}
+
+export function pushUndoEntry(undoHistory, entry) {
+  if (!entry) {
+    return undoHistory;
+  }
+
+  return { past: [...undoHistory.past, entry].slice(-MAX_UNDO_ENTRIES), future: [] };
+}
+
+function applyListChanges(list, changes, from, to, indexKey) {
+  let nextList = list;
+  let skipped = 0;
+
+  changes.forEach((change) => {
+    const currentIndex = nextList.findIndex((entry) => entry.id === change.id);
+    const current = currentIndex === -1 ? null : nextList[currentIndex];
+    if (!sameValue(current, change[from])) {
+      skipped += 1;
+      return;
+    }
+
+    if (!change[to]) {
+      nextList = nextList.filter((entry) => entry.id !== change.id);
+    } else if (currentIndex === -1) {
+      const index = Math.min(change[indexKey] ?? nextList.length, nextList.length);
+      nextList = [...nextList.slice(0, index), change[to], ...nextList.slice(index)];
+    } else {
+      nextList = nextList.map((entry) => (entry.id === change.id ? change[to] : entry));
+    }
+  });
+
+  return { list: nextList, skipped };
+}
+
+function applyMapChanges(map, changes, from, to) {
+  const nextMap = { ...map };
+  let skipped = 0;
+
+  changes.forEach((change) => {
+    if (!sameValue(nextMap[change.id], change[from])) {
+      skipped += 1;
+      return;
+    }
+
+    if (change[to]) {
+      nextMap[change.id] = change[to];
+    } else {
+      delete nextMap[change.id];
+    }
+  });
+
+  return { map: skipped === changes.length ? map : nextMap, skipped };
+}
+
+// Entries are applied per site rather than as whole snapshots, so changes made meanwhile by the extension or
+// another tab survive an undo. A site that changed since the entry was recorded is left as it is and counted.
+export function applyUndoEntry(state, entry, direction) {
+  const from = direction === "undo" ? "after" : "before";
+  const to = direction === "undo" ? "before" : "after";
+  const indexKey = direction === "undo" ? "beforeIndex" : "afterIndex";
+  const items = applyListChanges(state.items, entry.items, from, to, indexKey);
+  const groups = applyListChanges(state.groups, entry.groups, from, to, indexKey);
+  const trash = applyListChanges(state.trash, entry.trash, from, to, indexKey);
+  const history = applyMapChanges(state.history, entry.history, from, to);
+  const settingsConflict = entry.settings && !sameValue(state.settings, entry.settings[from]);
+
+  return {
+    state: {
+      items: items.list,
+      groups: groups.list,
+      trash: trash.list,
+      history: history.map,
+      settings: entry.settings && !settingsConflict ? entry.settings[to] : state.settings,
+    },
+    skipped: items.skipped + groups.skipped + trash.skipped + history.skipped + (settingsConflict ? 1 : 0),
+  };
+}
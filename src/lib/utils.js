@@ -49,6 +49,31 @@ export function formatMinutesLabel(minutes) {
   return `${hours} ${hours === 1 ? "hora" : "horas"}`;
 }
 
+export function formatDurationLabel(ms) {
+  const totalMinutes = Math.max(0, Math.round(ms / 60_000));
+  if (totalMinutes < 60) {
+    return `${totalMinutes} min`;
+  }
+
+  const totalHours = Math.floor(totalMinutes / 60);
+  if (totalHours < 48) {
+    const minutes = totalMinutes % 60;
+    return minutes ? `${totalHours} h ${minutes} min` : `${totalHours} h`;
+  }
+
+  const days = Math.round(totalHours / 24);
+  return `${days} días`;
+}
+
+export function formatDateTime(timestamp) {
+  return new Date(timestamp).toLocaleString("es-ES", {
+    day: "numeric",
+    month: "short",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
 export function clampMinutes(value, fallback = 1) {
   const parsed = Number.parseInt(String(value || ""), 10);
   return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
@@ -64,7 +89,11 @@ export function buildFaviconUrl(value) {
 }
 
 export function downloadJsonFile(filename, text) {
-  const blob = new Blob([text], { type: "application/json" });
+  downloadTextFile(filename, text, "application/json");
+}
+
+export function downloadTextFile(filename, text, type = "text/plain") {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
   const anchor = document.createElement("a");
   anchor.href = url;
@@ -1,10 +1,21 @@
 import React from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
+import { migrateStoredState, openWebStorage } from "./lib/storage.js";
 import "./styles.css";
 
 if (globalThis.location?.protocol === "chrome-extension:") {
   document.documentElement.dataset.shell = "extension";
 }
 
-createRoot(document.getElementById("root")).render(<App />);
+// App reads storage synchronously while it mounts, so the web database has to be open and migrations finished first.
+// If either step fails the stored data stays as it was and the app renders on it, showing the first error.
+let storageError = null;
+const keepError = (error) => {
+  storageError ??= error;
+};
+openWebStorage()
+  .catch(keepError)
+  .then(() => migrateStoredState())
+  .catch(keepError)
+  .finally(() => createRoot(document.getElementById("root")).render(<App storageError={storageError} />));
@@ -0,0 +1,46 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildSitesCsv } from "../src/lib/csv.js";
+import { importForeignFormat } from "../src/lib/importers.js";
+import { matchesPattern } from "../src/lib/patterns.js";
+import { parseImportPayload } from "../src/lib/sites.js";
+
+const NOW = Date.parse("2026-01-05T12:00:00Z");
+
+test("a uBlock filter with a path still covers the subdomains of its host", () => {
+  const { items } = importForeignFormat("ublock", "||a.com/path^\n");
+  assert.deepEqual(items.map(({ url, scope, pattern }) => ({ url, scope, pattern })), [
+    { url: "https://a.com/path", scope: "prefix", pattern: "a.com/path" },
+  ]);
+  assert.equal(matchesPattern("prefix", items[0].pattern, "https://www.a.com/path/page"), true);
+  assert.equal(matchesPattern("prefix", items[0].pattern, "https://www.a.com/other"), false);
+});
+
+test("re-importing an exported CSV keeps each site's scope and pattern", () => {
+  const [wildcard, exact] = parseImportPayload(
+    JSON.stringify({
+      items: [
+        { url: "https://reddit.com", scope: "wildcard", pattern: "*.reddit.com/r/all*" },
+        { url: "https://a.com/page", scope: "exact" },
+      ],
+    }),
+    { now: NOW },
+  ).items;
+
+  const { items, skipped } = parseImportPayload(buildSitesCsv([wildcard, exact], { now: NOW }), { now: NOW });
+  assert.deepEqual(skipped, []);
+  assert.deepEqual(items.map(({ url, scope, pattern }) => ({ url, scope, pattern })), [
+    { url: "https://reddit.com/", scope: "wildcard", pattern: "*.reddit.com/r/all*" },
+    { url: "https://a.com/page", scope: "exact", pattern: null },
+  ]);
+});
+
+test("CSV rows with an unknown scope or an invalid pattern are skipped with a reason", () => {
+  const { items, skipped } = importForeignFormat(
+    "csv",
+    "url,scope,pattern\nhttps://a.com,everything,\nhttps://b.com,regex,(\nhttps://c.com,,\n",
+  );
+  assert.deepEqual(items.map((item) => item.url), ["https://c.com/"]);
+  assert.deepEqual(skipped.map((entry) => entry.line), [2, 3]);
+  assert.match(skipped[0].reason, /no es un alcance válido/);
+});
@@ -0,0 +1,61 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { test } from "node:test";
+import { EXPORT_SCHEMA_VERSION, STORAGE_SCHEMA_VERSION } from "../src/lib/constants.js";
+import {
+  EXPORT_MIGRATIONS,
+  STORAGE_MIGRATIONS,
+  migrateExportPayload,
+  planStorageMigration,
+} from "../src/lib/migrations.js";
+
+// Each fixture holds the input of one migration step and the output it must produce.
+function readFixture(name) {
+  return JSON.parse(readFileSync(new URL(`./fixtures/migrations/${name}.json`, import.meta.url), "utf8"));
+}
+
+for (const version of Object.keys(EXPORT_MIGRATIONS)) {
+  test(`export migration to version ${version}`, () => {
+    const { input, expected } = readFixture(`export-${version}`);
+    assert.deepEqual(EXPORT_MIGRATIONS[version](input), expected);
+  });
+}
+
+for (const version of Object.keys(STORAGE_MIGRATIONS)) {
+  test(`storage migration to version ${version}`, () => {
+    const { input, expected } = readFixture(`storage-${version}`);
+    assert.deepEqual(STORAGE_MIGRATIONS[version](input), expected);
+  });
+}
+
+test("a version 1 export, a bare array of sites, goes through every step", () => {
+  const { input } = readFixture("export-2");
+  const { payload, sourceVersion } = migrateExportPayload(input.items);
+
+  assert.equal(sourceVersion, 1);
+  assert.equal(payload.version, EXPORT_SCHEMA_VERSION);
+  assert.equal(payload.items[0].scope, "exact");
+  assert.deepEqual(payload.groups, []);
+});
+
+test("an export from a newer version is rejected", () => {
+  assert.throws(() => migrateExportPayload({ version: EXPORT_SCHEMA_VERSION + 1, items: [] }));
+});
+
+test("stored values are migrated once and backed up", () => {
+  const { input, expected } = readFixture(`storage-${STORAGE_SCHEMA_VERSION}`);
+  const plan = planStorageMigration(input, 1000);
+
+  assert.deepEqual(plan.values, expected);
+  assert.deepEqual(plan.backup, { fromVersion: 0, toVersion: STORAGE_SCHEMA_VERSION, at: 1000, values: input });
+  assert.equal(planStorageMigration({ ...expected, cooldown_schema_version: STORAGE_SCHEMA_VERSION }, 1000), null);
+});
+
+test("a retried migration keeps the backup of the first attempt", () => {
+  const { input, expected } = readFixture(`storage-${STORAGE_SCHEMA_VERSION}`);
+  const backup = { fromVersion: 0, toVersion: STORAGE_SCHEMA_VERSION, at: 1000, values: input };
+  const plan = planStorageMigration({ ...expected, cooldown_migration_backup: backup }, 2000);
+
+  assert.equal(plan.backup, null);
+  assert.deepEqual(plan.values, expected);
+});
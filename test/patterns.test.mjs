@@ -0,0 +1,22 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { PATTERN_PLACEHOLDERS, matchesPattern } from "../src/lib/patterns.js";
+
+test("the prefix placeholder matches the URLs YouTube serves", () => {
+  assert.equal(matchesPattern("prefix", PATTERN_PLACEHOLDERS.prefix, "https://www.youtube.com/shorts/abc"), true);
+  assert.equal(matchesPattern("prefix", PATTERN_PLACEHOLDERS.prefix, "https://youtube.com/shorts/abc"), true);
+  assert.equal(matchesPattern("prefix", PATTERN_PLACEHOLDERS.prefix, "https://www.youtube.com/watch?v=abc"), false);
+});
+
+test("a prefix covers subdomains of its host, not other hosts ending in the same letters", () => {
+  assert.equal(matchesPattern("prefix", "a.com/path", "https://m.a.com/path/page"), true);
+  assert.equal(matchesPattern("prefix", "a.com/path", "http://a.com/path?x=1"), true);
+  assert.equal(matchesPattern("prefix", "a.com/path", "https://evila.com/path"), false);
+  assert.equal(matchesPattern("prefix", "a.com/path", "https://a.com.evil.net/path"), false);
+  assert.equal(matchesPattern("prefix", "www.a.com/path", "https://a.com/path"), false);
+});
+
+test("a prefix with a query only matches URLs that start with it", () => {
+  assert.equal(matchesPattern("prefix", "a.com/search?q=news", "https://www.a.com/search?q=news&page=2"), true);
+  assert.equal(matchesPattern("prefix", "a.com/search?q=news", "https://a.com/search?q=sports"), false);
+});
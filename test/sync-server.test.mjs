@@ -0,0 +1,135 @@
+import assert from "node:assert/strict";
+import { execFile, spawn } from "node:child_process";
+import { mkdtemp, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import process from "node:process";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { syncWithServer } from "../src/lib/sync.js";
+
+const serverFile = fileURLToPath(new URL("../server/index.mjs", import.meta.url));
+let dataDir;
+let env;
+let server;
+let baseUrl;
+
+async function addUser(name) {
+  const { stdout } = await promisify(execFile)(process.execPath, [serverFile, "add-user", name], { env });
+  return stdout.trim();
+}
+
+function request(token, route, body) {
+  return fetch(`${baseUrl}${route}`, {
+    method: body ? "POST" : "GET",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: body ? JSON.stringify(body) : undefined,
+  }).then(async (response) => ({ status: response.status, body: await response.json() }));
+}
+
+before(async () => {
+  dataDir = await mkdtemp(path.join(tmpdir(), "cooldown-sync-"));
+  env = { ...process.env, PORT: "0", HOST: "127.0.0.1", SYNC_DATA_FILE: path.join(dataDir, "sync.json") };
+  server = spawn(process.execPath, [serverFile], { env, stdio: ["ignore", "ignore", "pipe"] });
+  baseUrl = await new Promise((resolve, reject) => {
+    let output = "";
+    server.stderr.on("data", (chunk) => {
+      output += chunk;
+      const match = /http:\/\/[\d.]+:\d+/.exec(output);
+      if (match) {
+        resolve(match[0]);
+      }
+    });
+    server.once("exit", (code) => reject(new Error(`El servidor terminó con el código ${code}: ${output}`)));
+  });
+});
+
+after(async () => {
+  server?.kill();
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+test("the health route needs no token", async () => {
+  assert.deepEqual(await request("", "/v1/health"), { status: 200, body: { ok: true, protocol: 1 } });
+  assert.equal((await request("unknown", "/v1/changes?since=0")).status, 401);
+});
+
+test("pushed changes are pulled back in revision order and the newest updatedAt wins", async () => {
+  const token = await addUser("push-pull");
+  const pushed = await request(token, "/v1/changes", {
+    changes: [
+      { kind: "site", id: "a", updatedAt: 10, data: { url: "https://a.com/" } },
+      { kind: "group", id: "g", updatedAt: 10, data: { name: "Ocio" } },
+    ],
+  });
+  assert.equal(pushed.status, 200);
+  assert.deepEqual(pushed.body, {
+    revision: 2,
+    accepted: [
+      { kind: "site", id: "a", rev: 1 },
+      { kind: "group", id: "g", rev: 2 },
+    ],
+    conflicts: [],
+  });
+
+  const stale = await request(token, "/v1/changes", {
+    changes: [
+      { kind: "site", id: "a", updatedAt: 10, data: { url: "https://b.com/" } },
+      { kind: "group", id: "g", updatedAt: 20, deleted: true },
+    ],
+  });
+  assert.equal(stale.body.revision, 3);
+  assert.deepEqual(stale.body.accepted, [{ kind: "group", id: "g", rev: 3 }]);
+  assert.deepEqual(stale.body.conflicts.map((record) => record.data), [{ url: "https://a.com/" }]);
+
+  const pulled = await request(token, "/v1/changes?since=1");
+  assert.equal(pulled.body.revision, 3);
+  assert.equal(pulled.body.more, false);
+  assert.deepEqual(
+    pulled.body.changes.map(({ kind, id, rev, deleted, data }) => ({ kind, id, rev, deleted, data })),
+    [{ kind: "group", id: "g", rev: 3, deleted: true, data: null }],
+  );
+});
+
+test("invalid changes are rejected without touching the data", async () => {
+  const token = await addUser("invalid");
+  const response = await request(token, "/v1/changes", { changes: [{ kind: "note", id: "a", updatedAt: 1, data: {} }] });
+  assert.equal(response.status, 400);
+  assert.deepEqual((await request(token, "/v1/changes?since=0")).body, { revision: 0, more: false, changes: [] });
+});
+
+test("a since ahead of the user's revision asks the client to start again", async () => {
+  const token = await addUser("reset");
+  await request(token, "/v1/changes", { changes: [{ kind: "site", id: "a", updatedAt: 1, data: {} }] });
+  assert.deepEqual((await request(token, "/v1/changes?since=5")).body, {
+    revision: 1,
+    more: false,
+    reset: true,
+    changes: [],
+  });
+});
+
+test("two clients converge through the server", async () => {
+  const config = { url: baseUrl, token: await addUser("clients"), enabled: true };
+  const site = { id: "a", url: "https://a.com/", label: "A", updatedAt: 100, endAt: 5000, favicon: "a.png" };
+  const first = await syncWithServer(config, { items: [site], groups: [], settings: { theme: "dark" } }, {}, { now: 1000 });
+  assert.equal(first.syncState.since, 2);
+
+  // The second device has its own timer for the site; the rules come from the server and the timer stays.
+  const second = await syncWithServer(
+    config,
+    { items: [{ ...site, label: "Old", updatedAt: 50, endAt: 9000 }], groups: [], settings: { theme: "light" } },
+    {},
+    { now: 2000 },
+  );
+  assert.deepEqual(second.items, [{ ...site, endAt: 9000 }]);
+  assert.deepEqual(second.settings, { theme: "dark" });
+
+  // Deleting the site on the second device removes it from the first on its next sync.
+  const deleted = await syncWithServer(config, { ...second, items: [] }, second.syncState, { now: 3000 });
+  assert.deepEqual(deleted.items, []);
+  const updated = await syncWithServer(config, first, first.syncState, { now: 4000 });
+  assert.deepEqual(updated.items, []);
+  assert.deepEqual(updated.settings, { theme: "dark" });
+});
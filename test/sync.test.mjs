@@ -0,0 +1,67 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { mergeSyncEntities } from "../src/lib/sync.js";
+
+const NOW = Date.parse("2026-01-05T12:00:00Z");
+const DAY_MS = 24 * 60 * 60 * 1000;
+const takeRemote = (local, remote) => remote;
+
+test("the copy with the most recent updatedAt wins", () => {
+  const { list } = mergeSyncEntities(
+    [
+      { id: "a", label: "local", updatedAt: 2 },
+      { id: "b", label: "local", updatedAt: 5 },
+    ],
+    [
+      { id: "a", label: "remote", updatedAt: 3 },
+      { id: "b", label: "remote", updatedAt: 4 },
+      { id: "c", label: "remote", updatedAt: 1 },
+    ],
+    new Set(),
+    {},
+    NOW,
+    takeRemote,
+  );
+  assert.deepEqual(list.map((entry) => `${entry.id}:${entry.label}`), ["a:remote", "b:local", "c:remote"]);
+});
+
+test("the combine callback decides what a newer remote copy keeps from the local one", () => {
+  const { list } = mergeSyncEntities(
+    [{ id: "a", endAt: 100, updatedAt: 1 }],
+    [{ id: "a", endAt: 200, updatedAt: 2 }],
+    new Set(["a"]),
+    {},
+    NOW,
+    (local, remote) => ({ ...remote, endAt: local.endAt }),
+  );
+  assert.deepEqual(list, [{ id: "a", endAt: 100, updatedAt: 2 }]);
+});
+
+test("a known entity missing here was deleted here and leaves a tombstone", () => {
+  const { list, deleted } = mergeSyncEntities([], [{ id: "a", updatedAt: 1 }], new Set(["a"]), {}, NOW, takeRemote);
+  assert.deepEqual(list, []);
+  assert.deepEqual(deleted, { a: NOW });
+});
+
+test("a tombstone removes older copies but not one edited or added here afterwards", () => {
+  const deletedAt = NOW - DAY_MS;
+  const { list, deleted } = mergeSyncEntities(
+    [
+      { id: "a", updatedAt: deletedAt - 1 },
+      { id: "b", updatedAt: deletedAt + 1 },
+      { id: "c", updatedAt: deletedAt - 1 },
+    ],
+    [],
+    new Set(["a", "b"]),
+    { a: deletedAt, b: deletedAt, c: deletedAt },
+    NOW,
+    takeRemote,
+  );
+  assert.deepEqual(list.map((entry) => entry.id), ["b", "c"]);
+  assert.deepEqual(deleted, { a: deletedAt });
+});
+
+test("tombstones older than thirty days are dropped", () => {
+  const { deleted } = mergeSyncEntities([], [], new Set(), { old: NOW - 31 * DAY_MS, recent: NOW - DAY_MS }, NOW, takeRemote);
+  assert.deepEqual(Object.keys(deleted), ["recent"]);
+});